@@ -0,0 +1,95 @@
+/**
+ * Achievement Store - Achievements each player has unlocked, in localStorage
+ *
+ * Themes declare achievements ("achievements" in the theme JSON) and
+ * TrailGameEngine.checkAchievements() says which ones a run has earned.
+ * This remembers them between runs, per player name and theme, so each
+ * one unlocks (and shows its toast) only once.
+ */
+
+class AchievementStore {
+  /**
+   * @param {Storage} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+    this.storage = storage;
+  }
+
+  static get KEY_PREFIX() {
+    return 'trailAchievements:';
+  }
+
+  /**
+   * Player names are matched trimmed and case-insensitively; blank is Anonymous
+   */
+  static playerKey(playerName) {
+    const name = String(playerName || '').trim().toLowerCase() || 'anonymous';
+    return AchievementStore.KEY_PREFIX + name;
+  }
+
+  /**
+   * Everything a player has unlocked: { themeName: { achievementId: unlockedAt } }
+   */
+  read(playerName) {
+    if (!this.storage) return {};
+
+    try {
+      return JSON.parse(this.storage.getItem(AchievementStore.playerKey(playerName))) || {};
+    } catch (error) {
+      console.warn('Corrupt achievement data:', playerName, error);
+      return {};
+    }
+  }
+
+  /**
+   * A player's unlocks for one theme: { achievementId: unlockedAt }
+   */
+  unlocked(playerName, themeName) {
+    return this.read(playerName)[themeName] || {};
+  }
+
+  /**
+   * Remember achievements a run earned.
+   * @param {Object[]} achievements - From engine.checkAchievements()
+   * @returns {Object[]} The ones this player hadn't unlocked before
+   */
+  record(playerName, themeName, achievements) {
+    const all = this.read(playerName);
+    const theme = all[themeName] || {};
+    const fresh = achievements.filter(achievement => !theme[achievement.id]);
+    if (fresh.length === 0 || !this.storage) return fresh;
+
+    const unlockedAt = new Date().toISOString();
+    fresh.forEach(achievement => {
+      theme[achievement.id] = unlockedAt;
+    });
+    all[themeName] = theme;
+
+    try {
+      this.storage.setItem(AchievementStore.playerKey(playerName), JSON.stringify(all));
+    } catch (error) {
+      console.warn('Could not save achievements:', error);
+    }
+    return fresh;
+  }
+
+  /**
+   * A theme's achievements with this player's progress, in theme order:
+   * [{ ...achievement, unlockedAt }] (unlockedAt is null while locked)
+   */
+  progress(playerName, theme) {
+    const unlocked = this.unlocked(playerName, theme.name);
+    return (theme.achievements || []).map(achievement => ({
+      ...achievement,
+      unlockedAt: unlocked[achievement.id] || null
+    }));
+  }
+}
+
+// Global instance
+const achievementStore = new AchievementStore();
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AchievementStore;
+}
@@ -0,0 +1,153 @@
+/**
+ * Career Store - What each player has done across runs, in localStorage
+ *
+ * Themes can lock professions and unlockables (starting items and
+ * resources) behind milestones: an "unlock" object such as
+ *
+ *   { "wins": 1, "hint": "Reach Area 51 once to unlock" }
+ *
+ * Every key given must be met:
+ *   runs      - finished runs (won or lost), at least this many
+ *   wins      - won runs, at least this many
+ *   reached   - location name or list, all reached in some run
+ *   collected - { resourceKey: n }: at least n found across all runs
+ *                (TrailGameEngine's state.collected, added up)
+ *
+ * Progress is kept per player name and theme, like AchievementStore.
+ * Practice runs don't count.
+ */
+
+// SaveMigrator is a browser global; under Node it has to be required
+const CareerMigrator = typeof SaveMigrator !== 'undefined' ? SaveMigrator : require('./save-migrations.js');
+
+class CareerStore {
+  /**
+   * @param {Storage} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+    this.storage = storage;
+  }
+
+  static get KEY_PREFIX() {
+    return 'trailCareer:';
+  }
+
+  /**
+   * Player names are matched trimmed and case-insensitively; blank is Anonymous
+   */
+  static playerKey(playerName) {
+    const name = String(playerName || '').trim().toLowerCase() || 'anonymous';
+    return CareerStore.KEY_PREFIX + name;
+  }
+
+  static emptyRecord() {
+    return { runs: 0, wins: 0, reached: [], collected: {} };
+  }
+
+  readAll(playerName) {
+    if (!this.storage) return {};
+
+    try {
+      return JSON.parse(this.storage.getItem(CareerStore.playerKey(playerName))) || {};
+    } catch (error) {
+      console.warn('Corrupt career data:', playerName, error);
+      return {};
+    }
+  }
+
+  /**
+   * A player's record for one theme: { runs, wins, reached, collected, themeVersion }
+   */
+  read(playerName, themeName) {
+    return { ...CareerStore.emptyRecord(), ...this.readAll(playerName)[themeName] };
+  }
+
+  write(playerName, themeName, record) {
+    if (!this.storage) return;
+
+    const all = this.readAll(playerName);
+    all[themeName] = record;
+    try {
+      this.storage.setItem(CareerStore.playerKey(playerName), JSON.stringify(all));
+    } catch (error) {
+      console.warn('Could not save career progress:', error);
+    }
+  }
+
+  recordArrival(playerName, themeName, locationName) {
+    const record = this.read(playerName, themeName);
+    if (record.reached.includes(locationName)) return;
+
+    record.reached.push(locationName);
+    this.write(playerName, themeName, record);
+  }
+
+  /**
+   * Count a finished run
+   * @param {Object} run - { won, collected } (collected is the run's state.collected)
+   */
+  recordRun(playerName, themeName, { won = false, collected = {} } = {}) {
+    const record = this.read(playerName, themeName);
+    record.runs++;
+    if (won) record.wins++;
+    Object.keys(collected).forEach(key => {
+      record.collected[key] = (record.collected[key] || 0) + collected[key];
+    });
+    this.write(playerName, themeName, record);
+  }
+
+  /**
+   * Carry a player's collected totals over resources the theme renamed
+   * (renameResources in its saveMigrations, see SaveMigrator) since the
+   * record was last brought up to date
+   */
+  migrate(playerName, theme) {
+    const record = this.read(playerName, theme.name);
+    if (record.themeVersion === theme.version) return;
+
+    CareerMigrator.themeMigrationsSince(theme, record.themeVersion || '0.0.0').forEach(migration => {
+      Object.entries(migration.renameResources || {}).forEach(([from, to]) => {
+        if (record.collected[from] === undefined) return;
+        record.collected[to] = (record.collected[to] || 0) + record.collected[from];
+        delete record.collected[from];
+      });
+    });
+    record.themeVersion = theme.version;
+    this.write(playerName, theme.name, record);
+  }
+
+  /**
+   * Whether a career record meets an unlock's milestones. No unlock means
+   * it's available from the start.
+   */
+  static meets(unlock, record) {
+    if (!unlock) return true;
+
+    const reached = [].concat(unlock.reached || []);
+    const collected = unlock.collected || {};
+    return record.runs >= (unlock.runs || 0) &&
+      record.wins >= (unlock.wins || 0) &&
+      reached.every(name => record.reached.includes(name)) &&
+      Object.keys(collected).every(key => (record.collected[key] || 0) >= collected[key]);
+  }
+
+  isUnlocked(playerName, themeName, unlock) {
+    return CareerStore.meets(unlock, this.read(playerName, themeName));
+  }
+
+  /**
+   * The theme's unlockables this player has earned
+   */
+  earnedUnlockables(playerName, theme) {
+    const record = this.read(playerName, theme.name);
+    return (theme.unlockables || []).filter(unlockable => CareerStore.meets(unlockable.unlock, record));
+  }
+}
+
+// Global instance
+const careerStore = new CareerStore();
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CareerStore;
+}
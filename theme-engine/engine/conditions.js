@@ -0,0 +1,236 @@
+/**
+ * Condition Evaluator - JSON condition language for themes
+ *
+ * Themes can't ship JS functions, so conditions on events, choices, shop
+ * items, money-making activities and epilogues are plain JSON objects.
+ * Every key in an object must hold (implicit AND):
+ *
+ *   { "fuel": { "max": 20 } }                       resource range (any resource key)
+ *   { "currency": 100 }                             exact value
+ *   { "distance": { "min": 300 }, "day": { "below": 10 } }
+ *   { "partySize": { "min": 3 } }                   members still with you
+ *   { "health": { "below": 40 } }                   lowest health among them
+ *   { "phase": "late", "weather": ["rain", "bad"] } one of
+ *   { "profession": "dealer", "pace": "rush", "rations": "bare" }
+ *   { "location": "Sedona, AZ" }                    where the party is (last arrived at)
+ *   { "item": "guitar", "flag": ["documentedSuv"] } all held / all set
+ *   { "event": ["black_suv"] }                      all happened this run (event ids)
+ *   { "route": "interstate" }                       all taken at a fork (route ids)
+ *   { "skill": "mechanic", "trait": "skittish" }    all found among members still with you
+ *   { "count": { "forage": 0, "rest": { "max": 2 } } }  times the party did things (COUNT_KEYS)
+ *   { "any": [ ... ] }, { "all": [ ... ] }, { "not": { ... } }
+ *
+ * Ranges take min/max (inclusive) and above/below (exclusive). Legacy
+ * "hasGuitar" style strings still check state.items.
+ */
+
+class ConditionEvaluator {
+  /**
+   * @param {TrailGameEngine} engine - Read for state and current phase
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Keys with a fixed meaning; any other key is treated as a resource
+   */
+  static get NUMERIC_KEYS() {
+    return ['distance', 'day', 'partySize', 'health'];
+  }
+
+  static get CHOICE_KEYS() {
+    return ['phase', 'profession', 'weather', 'pace', 'rations', 'location'];
+  }
+
+  static get HELD_KEYS() {
+    return ['item', 'flag', 'event', 'route', 'skill', 'trait'];
+  }
+
+  /**
+   * What "count" can count - TrailGameEngine keeps these in state.actionCounts.
+   * forage covers the foraging mini-game too; purchases covers gas.
+   */
+  static get COUNT_KEYS() {
+    return ['forage', 'rest', 'purchases', 'activities', 'miniGames'];
+  }
+
+  /**
+   * Evaluate a condition against the engine's current state.
+   * Missing conditions always pass; unknown keys fail.
+   */
+  evaluate(condition) {
+    if (condition === undefined || condition === null) return true;
+
+    if (typeof condition === 'string') {
+      return this.evaluateLegacy(condition);
+    }
+
+    return Object.keys(condition).every(key => this.evaluateKey(key, condition[key]));
+  }
+
+  /**
+   * "hasGuitar" -> state.items.guitar; other strings pass (old behaviour)
+   */
+  evaluateLegacy(condition) {
+    const itemCheck = condition.match(/^has(.+)$/);
+    if (!itemCheck) return true;
+
+    const itemName = itemCheck[1].charAt(0).toLowerCase() + itemCheck[1].slice(1);
+    return !!this.engine.state.items[itemName];
+  }
+
+  evaluateKey(key, expected) {
+    const { state } = this.engine;
+
+    switch (key) {
+      case 'all':
+        return expected.every(sub => this.evaluate(sub));
+      case 'any':
+        return expected.some(sub => this.evaluate(sub));
+      case 'not':
+        return !this.evaluate(expected);
+      case 'distance':
+        return ConditionEvaluator.matchNumber(state.distance, expected);
+      case 'day':
+        return ConditionEvaluator.matchNumber(state.daysElapsed || 0, expected);
+      case 'partySize':
+        return ConditionEvaluator.matchNumber(state.party.filter(m => !m.abandoned).length, expected);
+      case 'health': {
+        const stillHere = state.party.filter(m => !m.abandoned);
+        return stillHere.length > 0 && ConditionEvaluator.matchNumber(Math.min(...stillHere.map(m => m.health)), expected);
+      }
+      case 'phase':
+        return ConditionEvaluator.matchOneOf(this.engine.getCurrentPhase(), expected);
+      case 'profession':
+      case 'weather':
+      case 'pace':
+      case 'rations':
+        return ConditionEvaluator.matchOneOf(state[key], expected);
+      case 'location':
+        return ConditionEvaluator.matchOneOf(this.engine.getCurrentLocation().name, expected);
+      case 'item':
+        return ConditionEvaluator.toList(expected).every(item => !!state.items[item]);
+      case 'flag':
+        return ConditionEvaluator.toList(expected).every(flag => !!(state.flags && state.flags[flag]));
+      case 'event':
+        return ConditionEvaluator.toList(expected).every(id => this.engine.hasSeenEvent(id));
+      case 'route': {
+        const taken = Object.values(state.routeChoices || {});
+        return ConditionEvaluator.toList(expected).every(id => taken.includes(id));
+      }
+      case 'skill':
+      case 'trait': {
+        const held = state.party.filter(m => !m.abandoned).map(m => m[key]);
+        return ConditionEvaluator.toList(expected).every(id => held.includes(id));
+      }
+      case 'count':
+        return Object.keys(expected).every(action => {
+          const counts = state.actionCounts || {};
+          return ConditionEvaluator.matchNumber(counts[action] || 0, expected[action]);
+        });
+      default:
+        if (Object.prototype.hasOwnProperty.call(state.resources, key)) {
+          return ConditionEvaluator.matchNumber(state.resources[key], expected);
+        }
+        console.warn('Unknown condition key:', key);
+        return false;
+    }
+  }
+
+  static toList(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  static matchOneOf(actual, expected) {
+    return ConditionEvaluator.toList(expected).includes(actual);
+  }
+
+  /**
+   * Match a number against an exact value or a { min, max, above, below } range
+   */
+  static matchNumber(actual, expected) {
+    if (typeof expected === 'number') return actual === expected;
+
+    if (expected.min !== undefined && actual < expected.min) return false;
+    if (expected.max !== undefined && actual > expected.max) return false;
+    if (expected.above !== undefined && actual <= expected.above) return false;
+    if (expected.below !== undefined && actual >= expected.below) return false;
+    return true;
+  }
+
+  /**
+   * Static check of a condition's keys, for the theme linter.
+   * context lists what exists in the theme: resourceKeys, phaseNames,
+   * professionIds and the pace/ration/weather table keys (paceIds,
+   * rationIds, weatherIds) and, optionally, eventIds, locationNames,
+   * routeIds, skillIds and traitIds. Returns
+   * [{ path, message }] relative to the condition.
+   */
+  static check(condition, context = {}, path = '') {
+    const { resourceKeys = [], phaseNames = [], professionIds = [], eventIds = null, locationNames = null, routeIds = null } = context;
+    const partyIds = { skill: context.skillIds, trait: context.traitIds };
+    const tableIds = { pace: context.paceIds, rations: context.rationIds, weather: context.weatherIds };
+    const problems = [];
+    if (typeof condition !== 'object' || condition === null) return problems;
+
+    Object.keys(condition).forEach(key => {
+      const value = condition[key];
+      const keyPath = `${path}/${key}`;
+
+      if (key === 'all' || key === 'any') {
+        value.forEach((sub, index) => {
+          problems.push(...ConditionEvaluator.check(sub, context, `${keyPath}/${index}`));
+        });
+      } else if (key === 'not') {
+        problems.push(...ConditionEvaluator.check(value, context, keyPath));
+      } else if (key === 'phase') {
+        ConditionEvaluator.toList(value).filter(phase => !phaseNames.includes(phase)).forEach(phase => {
+          problems.push({ path: keyPath, message: `no journey phase named "${phase}"` });
+        });
+      } else if (key === 'profession') {
+        ConditionEvaluator.toList(value).filter(id => !professionIds.includes(id)).forEach(id => {
+          problems.push({ path: keyPath, message: `"${id}" doesn't match any profession id` });
+        });
+      } else if (key === 'count') {
+        Object.keys(value).filter(action => !ConditionEvaluator.COUNT_KEYS.includes(action)).forEach(action => {
+          problems.push({ path: `${keyPath}/${action}`, message: `can't count "${action}" (one of: ${ConditionEvaluator.COUNT_KEYS.join(', ')})` });
+        });
+      } else if (key === 'event' && eventIds) {
+        ConditionEvaluator.toList(value).filter(id => !eventIds.includes(id)).forEach(id => {
+          problems.push({ path: keyPath, message: `no event with id "${id}"` });
+        });
+      } else if (key === 'location' && locationNames) {
+        ConditionEvaluator.toList(value).filter(name => !locationNames.includes(name)).forEach(name => {
+          problems.push({ path: keyPath, message: `no location named "${name}"` });
+        });
+      } else if (key === 'route' && routeIds) {
+        ConditionEvaluator.toList(value).filter(id => !routeIds.includes(id)).forEach(id => {
+          problems.push({ path: keyPath, message: `no fork has a route "${id}"` });
+        });
+      } else if (partyIds[key]) {
+        ConditionEvaluator.toList(value).filter(id => !partyIds[key].includes(id)).forEach(id => {
+          problems.push({ path: keyPath, message: `no party ${key} "${id}"` });
+        });
+      } else if (tableIds[key]) {
+        ConditionEvaluator.toList(value).filter(id => !tableIds[key].includes(id)).forEach(id => {
+          problems.push({ path: keyPath, message: `no ${key} option "${id}" in the travel tables` });
+        });
+      } else if (
+        !ConditionEvaluator.NUMERIC_KEYS.includes(key) &&
+        !ConditionEvaluator.CHOICE_KEYS.includes(key) &&
+        !ConditionEvaluator.HELD_KEYS.includes(key) &&
+        !resourceKeys.includes(key)
+      ) {
+        problems.push({ path: keyPath, message: `unknown condition key "${key}" (never matches)` });
+      }
+    });
+
+    return problems;
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConditionEvaluator;
+}
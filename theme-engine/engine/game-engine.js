@@ -11,11 +11,227 @@
  * All theme-specific content is injected via the theme object.
  */
 
+// SeededRandom is a browser global; under Node it has to be required
+const TrailRandom = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./random.js');
+const TrailConditions = typeof ConditionEvaluator !== 'undefined' ? ConditionEvaluator : require('./conditions.js');
+const TrailSaveMigrator = typeof SaveMigrator !== 'undefined' ? SaveMigrator : require('./save-migrations.js');
+const TrailRoutes = typeof RouteMap !== 'undefined' ? RouteMap : require('./routes.js');
+
 class TrailGameEngine {
-  constructor(theme) {
+  /**
+   * @param {Object} theme - Theme configuration
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - RNG seed; a random one is picked if omitted
+   */
+  constructor(theme, options = {}) {
     this.theme = theme;
+    this.travelTables = TrailGameEngine.resolveTravelTables(theme);
+    this.rng = new TrailRandom(options.seed !== undefined ? options.seed : TrailRandom.generateSeed());
     this.state = this.initializeGameState();
     this.eventHistory = [];
+    this.conditions = new TrailConditions(this);
+    this.practiceSnapshots = [];
+
+    // Event the player is looking at (choices are recorded by index into it)
+    this.pendingEvent = null;
+
+    // Mini-game started and not yet finished (finishMiniGame needs one)
+    this.activeMiniGame = null;
+
+    // Every call that changes the run, in order - with the seed, enough to
+    // play it back (see getReplay / applyReplayInput). null when a loaded
+    // save didn't carry one.
+    this.replayInputs = [];
+    this.replayVersion = TrailGameEngine.REPLAY_VERSION;
+  }
+
+  /**
+   * Format of the recorded inputs. 2: travel() runs the day's fail check
+   * itself, and each day and arrival draws its event once.
+   */
+  static get REPLAY_VERSION() {
+    return 2;
+  }
+
+  /**
+   * Pace, ration and weather tables used when a theme doesn't supply its own.
+   * Consumption values are per travel day; moraleDrain adds to the daily drain.
+   */
+  static get DEFAULT_TRAVEL() {
+    return {
+      paces: {
+        mellow: { label: 'Mellow', miles: 30, fuel: 8, moraleDrain: -2, health: 1 },
+        steady: { label: 'Steady', miles: 50, fuel: 12, moraleDrain: 0, default: true },
+        rush: { label: 'Rush', miles: 70, fuel: 18, moraleDrain: 3, health: -1 }
+      },
+      rations: {
+        bare: { label: 'Bare Bones', icon: '🍞', food: 4, moraleDrain: 2, health: -2 },
+        normal: { label: 'Normal', icon: '🍔', food: 8, moraleDrain: 0, default: true },
+        feast: { label: 'Feast', icon: '🍕', food: 15, moraleDrain: -2, health: 2 }
+      },
+      weather: {
+        types: {
+          clear: { label: 'Clear', icon: '☀️', default: true },
+          rain: { label: 'Rain', icon: '🌧️', moraleDrain: 3 },
+          hot: { label: 'Hot', icon: '🔥', food: 3, health: -1 },
+          bad: { label: 'Storm', icon: '⛈️', moraleDrain: 8, health: -2 }
+        },
+        chances: { clear: 70, rain: 15, hot: 10, bad: 5 },
+        chancesByPhase: {}
+      }
+    };
+  }
+
+  /**
+   * The theme's travel tables, each falling back to the default table
+   * as a whole (a theme with two paces doesn't inherit "rush")
+   */
+  static resolveTravelTables(theme) {
+    const defaults = TrailGameEngine.DEFAULT_TRAVEL;
+    const travel = theme.travel || {};
+    const weather = travel.weather || {};
+
+    return {
+      paces: travel.paces || defaults.paces,
+      rations: travel.rations || defaults.rations,
+      weather: {
+        types: weather.types || defaults.weather.types,
+        chances: weather.chances || (weather.types ? {} : defaults.weather.chances),
+        chancesByPhase: weather.chancesByPhase || {}
+      }
+    };
+  }
+
+  /**
+   * Health each party member starts with, and the most they can have
+   */
+  static get MAX_HEALTH() {
+    return 100;
+  }
+
+  /**
+   * How a member's health reads, best first: the first label whose min they meet
+   */
+  static get HEALTH_CONDITIONS() {
+    return [
+      { min: 70, label: 'Good' },
+      { min: 40, label: 'Fair' },
+      { min: 15, label: 'Poor' },
+      { min: 0, label: 'Very poor' }
+    ];
+  }
+
+  /**
+   * Party settings a theme's "party" block can leave out
+   */
+  static get DEFAULT_PARTY() {
+    return {
+      traits: [],
+      skills: [],
+      restHealing: 5, // Health per day rested
+      sickReason: 'was too sick to go on'
+    };
+  }
+
+  /**
+   * Key of the table entry marked default, else the first one
+   */
+  static defaultKey(table) {
+    const keys = Object.keys(table);
+    return keys.find(key => table[key].default) || keys[0];
+  }
+
+  /**
+   * Gas station price list; a top-off for whatever's left in the tank is
+   * always offered on top (see getFuelOptions)
+   */
+  static get FUEL_PRICES() {
+    return [
+      { amount: 25, cost: 20 },
+      { amount: 50, cost: 35 },
+      { amount: 75, cost: 50 },
+      { amount: 100, cost: 60 }
+    ];
+  }
+
+  /**
+   * Roles a resource can declare ("roles": ["food", "forage"]); each is
+   * held by at most one resource:
+   *   fuel     - burned every travel day (pace and weather "fuel"), sold at the gas station
+   *   food     - eaten every travel day (rations and weather "food")
+   *   morale   - drained by travel and doubts; someone leaves when it hits 0
+   *   currency - what shopping costs; professions set its starting amount
+   *   forage   - what foraging finds
+   * Every theme needs morale and currency. Without fuel there's no gas
+   * station, without food no rations, without forage no foraging.
+   */
+  static get RESOURCE_ROLES() {
+    return ['fuel', 'food', 'morale', 'currency', 'forage'];
+  }
+
+  /**
+   * Problems with a theme's resource roles as { path, message }: a role
+   * given to two resources, or morale or currency given to none
+   */
+  static resourceRoleProblems(theme) {
+    const problems = [];
+    const holders = {};
+    Object.keys(theme.resources || {}).forEach(key => {
+      [].concat((theme.resources[key] || {}).roles || []).forEach(role => {
+        if (holders[role]) {
+          problems.push({ path: `/resources/${key}/roles`, message: `"${role}" is already the role of ${holders[role]}` });
+        } else {
+          holders[role] = key;
+        }
+      });
+    });
+    ['morale', 'currency'].filter(role => !holders[role]).forEach(role => {
+      problems.push({ path: '/resources', message: `no resource has the "${role}" role` });
+    });
+    return problems;
+  }
+
+  /**
+   * Resource changes for a finished mini-game, from its reported result,
+   * keyed by role (see RESOURCE_ROLES) or days
+   */
+  static get MINI_GAME_REWARDS() {
+    return {
+      rapids: result => (result.success ? { morale: result.points * 2 } : { morale: -15 }),
+      repair: result => (result.success ? { morale: 15 } : { currency: -50, days: 1, morale: -10 }),
+      forage: result => (result.trash ? { forage: -10, morale: -15 } : { forage: result.collected }),
+      performance: result => ({
+        food: Math.floor(result.notesHit * 2.5),
+        currency: Math.floor(result.score / 10),
+        morale: Math.min(20, Math.floor(result.notesHit / 2)),
+        days: 0.5
+      }),
+      // Scored on its own at the end of the run; no resource changes
+      missileCommand: () => ({})
+    };
+  }
+
+  /**
+   * Most a mini-game can report, from how the UI runs it. Forage shows two
+   * boards of 12 items (5 seconds, refreshed at 3), each worth up to 4.
+   * The street performance spawns a note every 1.2 seconds for 20 seconds.
+   * Missile Command is three waves of 15 + 5 * wave missiles. Rapids
+   * depends on the theme's config (see maxRapidsPoints).
+   */
+  static get MINI_GAME_LIMITS() {
+    return {
+      forageItems: 24,
+      forageItemValue: 4,
+      performanceNotes: 17,
+      missileHits: 75
+    };
+  }
+
+  /**
+   * Seed this run was started with (quote it in bug reports)
+   */
+  get seed() {
+    return this.rng.seed;
   }
 
   /**
@@ -24,29 +240,32 @@ class TrailGameEngine {
   initializeGameState() {
     const { resources, journey, professions } = this.theme;
 
+    const startValues = {};
+    Object.keys(resources).forEach(key => {
+      startValues[key] = resources[key].startValue;
+    });
+
     return {
-      // Resources (fuel, food, morale, currency, specialItem)
-      resources: {
-        fuel: resources.fuel.startValue,
-        food: resources.food.startValue,
-        morale: resources.morale.startValue,
-        currency: resources.currency.startValue,
-        specialItem: resources.specialItem.startValue
-      },
+      // Resources - the five core ones plus whatever else the theme declares
+      resources: startValues,
 
       // Journey progress
       distance: 0,
       totalDistance: journey.totalDistance,
-      currentLocationIndex: 0,
+      currentLocationIndex: 0, // Into getRoute().locations
+
+      // Route taken at each fork so far ({ forkLocationName: routeId })
+      routeChoices: {},
 
       // Time tracking
       month: 5, // August 1
       day: 1,
+      daysElapsed: 0, // Total days on the road (day-of-month wraps)
 
-      // Travel settings
-      pace: 'steady', // mellow, steady, rush
-      rations: 'normal', // bare, normal, feast
-      weather: 'clear', // clear, rain, bad, hot
+      // Travel settings - keys into the theme's travel tables
+      pace: TrailGameEngine.defaultKey(this.travelTables.paces),
+      rations: TrailGameEngine.defaultKey(this.travelTables.rations),
+      weather: TrailGameEngine.defaultKey(this.travelTables.weather.types),
 
       // Player state
       profession: null,
@@ -60,8 +279,35 @@ class TrailGameEngine {
       usedEvents: [],
       forageCount: 0,
 
-      // Items/collectibles
-      items: {}
+      // What the party can run into next, drawn once: 'travel' (a random
+      // event) after a day on the road, 'arrival' (checkpoint, mountain
+      // pass, rapids) on reaching a location
+      eventDue: null,
+
+      // Items/collectibles - themes can hand some out up front
+      items: { ...(this.theme.startingItems || {}) },
+
+      // Story state: named flags set by choices, and follow-up events
+      // waiting for their day/mile ({ id, dueDay, dueDistance })
+      flags: {},
+      scheduledEvents: [],
+
+      // Where once-per-location money activities were last done ({ busk: "Arcata" })
+      activityLocations: {},
+
+      // Times the party did things this run, for "count" conditions
+      // (see ConditionEvaluator.COUNT_KEYS)
+      actionCounts: {},
+
+      // Resources the party found this run (events, foraging, mini-games;
+      // not purchases), which add up across runs toward unlocks
+      collected: {},
+
+      // Whether the finished run goes to the leaderboard
+      leaderboardEligible: true,
+
+      // Date (YYYY-MM-DD, UTC) of the Daily Challenge this run is, or null
+      dailyChallenge: null
     };
   }
 
@@ -69,47 +315,209 @@ class TrailGameEngine {
    * Set player profession and apply starting modifiers
    */
   setProfession(professionId) {
+    this.recordInput('setProfession', { id: professionId });
     const profession = this.theme.professions.find(p => p.id === professionId);
     if (!profession) throw new Error(`Profession ${professionId} not found`);
 
     this.state.profession = professionId;
     this.state.professionName = profession.displayName;
-    this.state.professionModifiers = profession.modifiers;
-    this.state.resources.currency = profession.startingCurrency;
-
-    // Set score multiplier based on difficulty
-    const multipliers = {
-      dealer: 0.8,
-      dropout: 1.0,
-      artist: 1.3
-    };
-    this.state.scoreMultiplier = multipliers[professionId] || 1.0;
 
-    // Give guitar as default item for NorCal Trail
-    if (this.theme.name === 'The NorCal Trail') {
-      this.state.items.guitar = true;
+    // Only the player's browser knows a locked profession was earned, so
+    // picking one takes the run off the leaderboard (the Daily Challenge
+    // opens every profession to everyone)
+    if (profession.unlock && !this.state.dailyChallenge) {
+      this.state.leaderboardEligible = false;
     }
+    this.state.professionModifiers = profession.modifiers;
+    this.state.resources[this.resourceKey('currency')] = profession.startingCurrency;
+
+    // Harder professions score more
+    this.state.scoreMultiplier = profession.scoreMultiplier || 1.0;
   }
 
   /**
    * Initialize party members
    */
   initializeParty(memberNames) {
-    this.state.party = memberNames.map(name => ({
-      name,
-      doubting: false,
-      doubt: null,
-      abandoned: false
-    }));
+    this.recordInput('initializeParty', { names: memberNames });
+    const { traits, skills } = this.partySettings;
+
+    // Skills are dealt from a shuffled deck, so a party only doubles up
+    // once every skill is taken
+    const skillDeck = [];
+    this.state.party = memberNames.map(name => {
+      if (skills.length > 0 && skillDeck.length === 0) {
+        skillDeck.push(...this.rng.shuffle(skills.map(skill => skill.id)));
+      }
+      return {
+        name,
+        doubting: false,
+        doubt: null,
+        abandoned: false,
+        health: TrailGameEngine.MAX_HEALTH,
+        trait: traits.length > 0 ? this.rng.pick(traits).id : null,
+        skill: skillDeck.length > 0 ? skillDeck.pop() : null
+      };
+    });
+  }
+
+  /**
+   * The theme's party block with defaults filled in
+   */
+  get partySettings() {
+    return { ...TrailGameEngine.DEFAULT_PARTY, ...this.theme.party };
+  }
+
+  findTrait(id) {
+    return this.partySettings.traits.find(trait => trait.id === id) || null;
+  }
+
+  findSkill(id) {
+    return this.partySettings.skills.find(skill => skill.id === id) || null;
+  }
+
+  /**
+   * Skills of the members still with the party (each skill once)
+   */
+  getActiveSkills() {
+    const ids = [...new Set(this.state.party.filter(m => !m.abandoned && m.skill).map(m => m.skill))];
+    return ids.map(id => this.findSkill(id)).filter(Boolean);
+  }
+
+  /**
+   * A member's health as a word ("Good", "Fair", ...)
+   */
+  getHealthCondition(member) {
+    const health = member.health === undefined ? TrailGameEngine.MAX_HEALTH : member.health;
+    return TrailGameEngine.HEALTH_CONDITIONS.find(condition => health >= condition.min).label;
+  }
+
+  /**
+   * Change one member's health. Losses are scaled by their trait's
+   * healthLossMultiplier (a hardy member shrugs off what lays another out).
+   */
+  changeMemberHealth(member, amount) {
+    const trait = this.findTrait(member.trait);
+    const multiplier = amount < 0 && trait && trait.healthLossMultiplier !== undefined ? trait.healthLossMultiplier : 1;
+    member.health = Math.max(0, Math.min(TrailGameEngine.MAX_HEALTH, member.health + amount * multiplier));
+  }
+
+  /**
+   * Change the health of everyone still with the party
+   */
+  changePartyHealth(amount) {
+    this.state.party.forEach(member => {
+      if (member.abandoned) return;
+      this.changeMemberHealth(member, amount);
+    });
+  }
+
+  /**
+   * The day's health change from pace, rations and weather; anyone left
+   * with no health leaves the party
+   * Returns array of members who left this turn
+   */
+  updatePartyHealth() {
+    const { pace, rations, weather } = this.getTravelConditions();
+    this.changePartyHealth((pace.health || 0) + (rations.health || 0) + (weather.health || 0));
+
+    const left = [];
+    this.state.party.forEach(member => {
+      if (member.abandoned || member.health > 0) return;
+
+      member.abandoned = true;
+      member.abandonReason = this.partySettings.sickReason;
+      left.push({ name: member.name, reason: member.abandonReason, sick: true });
+    });
+    return left;
+  }
+
+  /**
+   * Members whose skill changes how a choice plays out (its tag, or its
+   * outcomes' tags, appear in their skill's outcomeWeights or effectMultipliers)
+   */
+  getChoiceHelpers(choice) {
+    const tags = [choice.tag, ...(choice.outcomes || []).map(outcome => outcome.tag)].filter(Boolean);
+    if (tags.length === 0) return [];
+
+    return this.state.party.filter(member => {
+      if (member.abandoned) return false;
+      const modifiers = (this.findSkill(member.skill) || {}).modifiers || {};
+      return tags.some(tag =>
+        (modifiers.outcomeWeights && modifiers.outcomeWeights[tag] !== undefined) ||
+        (modifiers.effectMultipliers && modifiers.effectMultipliers[tag]));
+    });
+  }
+
+  /**
+   * Start the run with unlockables (theme.unlockables) the player has earned:
+   * their startingItems and startingResources. Which ones are earned is up to
+   * the caller (see CareerStore), which the server can't check, so a run
+   * that gets any isn't ranked. Comes after setProfession, before setting out.
+   */
+  applyUnlockables(unlockableIds) {
+    if (this.state.dailyChallenge) {
+      throw new Error('The Daily Challenge starts everyone on an even footing, without unlockables');
+    }
+    if (this.state.daysElapsed > 0) {
+      throw new Error('Unlockables are handed out before the party sets out');
+    }
+    this.recordInput('applyUnlockables', { ids: unlockableIds });
+    if (unlockableIds.length > 0) this.state.leaderboardEligible = false;
+
+    unlockableIds.forEach(id => {
+      const unlockable = (this.theme.unlockables || []).find(u => u.id === id);
+      if (!unlockable) throw new Error(`Unlockable ${id} not found`);
+
+      Object.entries(unlockable.startingItems || {}).forEach(([item, value]) => {
+        this.state.items[item] = typeof value === 'number' ? (this.state.items[item] || 0) + value : value;
+      });
+      Object.entries(unlockable.startingResources || {}).forEach(([key, amount]) => {
+        if (!this.state.resources.hasOwnProperty(key)) return;
+        this.state.resources[key] += amount;
+        this.clampResource(key);
+      });
+    });
+  }
+
+  /**
+   * Record the player's name and pick the group's name from the theme
+   */
+  nameGroup(playerName) {
+    this.recordInput('nameGroup', { playerName });
+    this.state.playerName = playerName;
+
+    const groupNames = (this.theme.ui && this.theme.ui.groupNames) || [];
+    this.state.groupName = groupNames.length > 0 ? this.rng.pick(groupNames) : 'The Travelers';
+  }
+
+  /**
+   * Switch pace or rations to another entry of its travel table
+   * @param {string} setting - 'pace' or 'rations'
+   * @returns {boolean} false if the table has no such option
+   */
+  setTravelOption(setting, optionKey) {
+    this.recordInput('setTravelOption', { setting, option: optionKey });
+    const table = { pace: this.travelTables.paces, rations: this.travelTables.rations }[setting];
+    if (!table || !table[optionKey]) return false;
+
+    this.state[setting] = optionKey;
+    return true;
   }
 
   /**
    * Get current journey phase (early/middle/late)
    */
   getCurrentPhase() {
-    const { phases } = this.theme.journey;
+    const { phases, totalDistance } = this.theme.journey;
+
+    // Phases are laid out on the main line; a longer or shorter route
+    // stretches them to fit
+    const scale = totalDistance / this.state.totalDistance;
+    const distance = scale === 1 ? this.state.distance : this.state.distance * scale;
+
     for (const phase of phases) {
-      if (this.state.distance >= phase.startMile && this.state.distance < phase.endMile) {
+      if (distance >= phase.startMile && distance < phase.endMile) {
         return phase.name;
       }
     }
@@ -121,6 +529,7 @@ class TrailGameEngine {
    */
   advanceTime(days) {
     this.state.day += days;
+    this.state.daysElapsed = (this.state.daysElapsed || 0) + days;
 
     // Month progression
     const monthDays = [31, 30, 31, 30, 31, 31, 30]; // Simplified calendar
@@ -134,68 +543,62 @@ class TrailGameEngine {
   }
 
   /**
-   * Calculate miles traveled based on pace
+   * Current pace, ration and weather table entries
    */
-  getMilesPerDay() {
-    const paceMiles = {
-      mellow: 30,
-      steady: 50,
-      rush: 70
+  getTravelConditions() {
+    const { paces, rations, weather } = this.travelTables;
+    return {
+      pace: paces[this.state.pace] || paces[TrailGameEngine.defaultKey(paces)],
+      rations: rations[this.state.rations] || rations[TrailGameEngine.defaultKey(rations)],
+      weather: weather.types[this.state.weather] || {}
     };
-    return paceMiles[this.state.pace] || 50;
+  }
+
+  /**
+   * Calculate miles traveled based on pace, scaled by the weather's speed
+   */
+  getMilesPerDay() {
+    const { pace, weather } = this.getTravelConditions();
+    const speed = weather.speed !== undefined ? weather.speed : 1;
+    return Math.round(pace.miles * speed);
   }
 
   /**
    * Calculate resource consumption rates
    */
   getConsumptionRates() {
-    // Gas consumption by pace (matches original exactly)
-    const paceGas = {
-      mellow: 8,
-      steady: 12,
-      rush: 18
-    };
-
-    // Food consumption by rations (matches original exactly)
-    const rationFood = {
-      bare: 4,
-      normal: 8,
-      feast: 15
-    };
-
-    // Base morale drain from profession
-    const professionMoraleDrain = this.state.professionModifiers?.vibeDrainByPhase?.[this.getCurrentPhase()] || 5;
-
-    // Pace modifiers to morale
-    let paceModifier = 0;
-    if (this.state.pace === 'rush') paceModifier += 3;
-    if (this.state.pace === 'mellow') paceModifier -= 2;
-
-    // Ration modifiers to morale
-    let rationModifier = 0;
-    if (this.state.rations === 'bare') rationModifier += 2;
-    if (this.state.rations === 'feast') rationModifier -= 2;
-
-    // Weather modifiers to morale
-    let weatherModifier = 0;
-    if (this.state.weather === 'bad') weatherModifier += 8;
-    if (this.state.weather === 'rain') weatherModifier += 3;
-
-    // Hot weather affects food
-    let weatherFoodModifier = 0;
-    if (this.state.weather === 'hot') weatherFoodModifier += 3;
+    const { pace, rations, weather } = this.getTravelConditions();
 
     return {
-      fuel: paceGas[this.state.pace] || 12,
-      food: (rationFood[this.state.rations] || 8) + weatherFoodModifier,
-      moraleBase: professionMoraleDrain + paceModifier + rationModifier + weatherModifier
+      fuel: (pace.fuel || 0) + (weather.fuel || 0),
+      food: (rations.food || 0) + (weather.food || 0),
+      moraleBase: this.getProfessionBaseDrain() + (pace.moraleDrain || 0) + (rations.moraleDrain || 0) + (weather.moraleDrain || 0)
     };
   }
 
   /**
-   * Travel for one day
+   * Travel for one day. Returns the arrival ({ type: 'arrival' | 'win',
+   * location }), the day's fail or abandonment (see checkFailConditions),
+   * or null. Throws once the run is over.
    */
   travel() {
+    if (!this.state.alive) throw new Error('The run is already over');
+    if (this.pendingEvent) throw new Error('The party has an event to deal with before traveling on');
+
+    this.takeSnapshot('travel', `Travel (day ${(this.state.daysElapsed || 0) + 1})`);
+    this.recordInput('travel');
+    this.state.eventDue = null;
+
+    // A party that's out of fuel, past the time limit or gone doesn't set out
+    const stranded = this.endIfFailed();
+    if (stranded) return stranded;
+
+    // Setting out from a fork without picking a route keeps to the main line
+    const fork = this.getPendingFork();
+    if (fork) {
+      this.state.routeChoices = { ...this.state.routeChoices, [this.getCurrentLocation().name]: TrailRoutes.mainRoute(fork).id };
+    }
+
     const miles = this.getMilesPerDay();
     const consumption = this.getConsumptionRates();
 
@@ -203,70 +606,91 @@ class TrailGameEngine {
     this.state.distance += miles;
     this.advanceTime(1);
 
-    // Consume resources
-    this.state.resources.fuel -= consumption.fuel;
-
-    // Only consume food if it's actually food (not Evidence)
-    // Evidence accumulates rather than depletes
-    if (this.theme.resources.food.name !== 'Evidence') {
-      this.state.resources.food -= consumption.food;
-    }
-
-    // Herbs consumption and morale system
-    // If you have herbs, consume them and vibes stay stable
-    // If you're out of herbs, vibes drain significantly
-    if (this.state.resources.specialItem > 0) {
-      // Consume herbs each day (reduces stress of the journey)
-      this.state.resources.specialItem -= 2;
-      if (this.state.resources.specialItem < 0) this.state.resources.specialItem = 0;
+    // Burn fuel and eat food, in themes with a resource in those roles
+    const fuel = this.resourceKey('fuel');
+    const food = this.resourceKey('food');
+    if (fuel) this.state.resources[fuel] -= consumption.fuel;
+    if (food) this.state.resources[food] -= consumption.food;
+
+    // A resource marked easesMoraleDrain (NorCal's herbs) spares the party
+    // the profession's phase drain while there's any left
+    const eased = Object.keys(this.theme.resources)
+      .some(key => this.theme.resources[key].easesMoraleDrain && this.state.resources[key] > 0);
+    const moraleDrain = eased
+      ? Math.max(0, consumption.moraleBase - this.getProfessionBaseDrain())
+      : consumption.moraleBase;
+
+    // Declared per-day drains/accruals for any resource
+    Object.keys(this.theme.resources).forEach(key => {
+      const daily = this.theme.resources[key].daily;
+      if (daily === undefined) return;
+      this.state.resources[key] += this.rollEffects({ [key]: daily })[key];
+      this.clampResource(key);
+    });
 
-      // With herbs, minimal vibe drain (just basic pace/ration/weather modifiers)
-      const minimalDrain = consumption.moraleBase - this.getProfessionBaseDrain();
-      this.state.resources.morale -= Math.max(0, minimalDrain);
-    } else {
-      // No herbs! Full vibe drain kicks in - journey gets rough
-      this.state.resources.morale -= consumption.moraleBase;
-    }
+    this.state.resources[this.resourceKey('morale')] -= moraleDrain;
 
     // Update weather randomly
     this.updateWeather();
 
-    // Apply party morale effects
-    const abandonedMembers = this.updatePartyMorale();
+    // Apply party health and morale effects
+    const abandonedMembers = [...this.updatePartyHealth(), ...this.updatePartyMorale()];
 
     // Store abandonment for UI to handle
     this.state.abandonedThisTurn = abandonedMembers;
 
-    // Check for location arrival
-    return this.checkLocationArrival();
+    // Crossing a fail threshold on the way still gets the party to the next
+    // stop (which may have what it's out of), but never to the end
+    const nextStop = this.getNextLocation();
+    const reachesStop = nextStop && this.state.distance >= nextStop.distance &&
+      nextStop.name !== this.theme.journey.endLocation;
+    if (!reachesStop) {
+      const failure = this.endIfFailed();
+      if (failure) return failure;
+    }
+
+    const arrival = this.checkLocationArrival();
+    if (arrival) {
+      if (arrival.type === 'arrival') this.state.eventDue = 'arrival';
+      return arrival;
+    }
+    if (abandonedMembers.length > 0) return null;
+
+    // Otherwise the day ends with the fail check (morale or a resource can
+    // still drive someone off) and then a random event
+    this.state.eventDue = 'travel';
+    return this.applyFailConditions();
   }
 
   /**
-   * Get base profession morale drain (without modifiers)
+   * The profession's daily morale drain for the current phase
+   * (modifiers.moraleDrainByPhase), 5 where it doesn't give one
    */
   getProfessionBaseDrain() {
-    const profession = this.state.profession;
-    if (!profession) return 0;
-
-    const phase = this.getCurrentPhase();
-    const vibeDrainByPhase = profession.vibeDrainByPhase || {};
-    return vibeDrainByPhase[phase] || 0;
+    const drainByPhase = (this.state.professionModifiers && this.state.professionModifiers.moraleDrainByPhase) || {};
+    const drain = drainByPhase[this.getCurrentPhase()];
+    return drain !== undefined ? drain : 5;
   }
 
   /**
-   * Update weather conditions randomly
+   * Roll the next day's weather from the current phase's distribution
    */
   updateWeather() {
-    const random = Math.random();
-    if (random < 0.7) {
-      this.state.weather = 'clear';
-    } else if (random < 0.85) {
-      this.state.weather = 'rain';
-    } else if (random < 0.95) {
-      this.state.weather = 'hot';
-    } else {
-      this.state.weather = 'bad';
+    const { weather } = this.travelTables;
+    const chances = weather.chancesByPhase[this.getCurrentPhase()] || weather.chances;
+    const keys = Object.keys(chances).filter(key => chances[key] > 0);
+    const total = keys.reduce((sum, key) => sum + chances[key], 0);
+    if (total <= 0) return;
+
+    let random = this.rng.next() * total;
+    for (const key of keys) {
+      random -= chances[key];
+      if (random < 0) {
+        this.state.weather = key;
+        return;
+      }
     }
+    this.state.weather = keys[keys.length - 1];
   }
 
   /**
@@ -274,7 +698,8 @@ class TrailGameEngine {
    * Returns array of members who abandoned this turn
    */
   updatePartyMorale() {
-    const vibes = this.state.resources.morale;
+    const morale = this.resourceKey('morale');
+    const vibes = this.state.resources[morale];
     const abandonedThisTurn = [];
 
     // Count how many should be doubting based on vibes
@@ -295,40 +720,19 @@ class TrailGameEngine {
         const member = nonDoubting[i];
         member.doubting = true;
 
-        // Pick appropriate doubt type based on what's actually wrong
-        const paranoia = this.state.resources.specialItem;
-        const belief = this.state.resources.morale;
-
-        let availableDoubts = this.theme.events.doubts;
-
-        // Determine which resource is the problem
-        const highParanoia = paranoia >= 50;
-        const lowBelief = belief < 50;
-
-        if (highParanoia && !lowBelief) {
-          // ONLY high paranoia is the problem
-          availableDoubts = this.theme.events.doubts.filter(d => d.trigger === 'highParanoia');
-        } else if (lowBelief && !highParanoia) {
-          // ONLY low belief is the problem
-          availableDoubts = this.theme.events.doubts.filter(d => d.trigger === 'lowBelief');
-        } else if (highParanoia && lowBelief) {
-          // BOTH are problems - pick randomly between the two types
-          const useParanoiaDoubt = Math.random() < 0.5;
-          availableDoubts = this.theme.events.doubts.filter(d =>
-            d.trigger === (useParanoiaDoubt ? 'highParanoia' : 'lowBelief')
-          );
-        } else {
-          // Neither is a problem (high belief, low paranoia) - shouldn't happen, but use low belief doubts as default
-          availableDoubts = this.theme.events.doubts.filter(d => d.trigger === 'lowBelief');
-        }
+        // Pick appropriate doubt type based on what's actually wrong: low
+        // morale, or a resource past its doubtTrigger threshold. With more
+        // than one problem, pick one of them at random; with none, low morale.
+        const triggers = this.getActiveDoubtTriggers();
+        const trigger = triggers.length > 1 ? this.rng.pick(triggers) : triggers[0] || 'lowBelief';
+        let availableDoubts = this.theme.events.doubts.filter(d => d.trigger === trigger);
 
         // Fallback to all doubts if filtering resulted in empty array
         if (availableDoubts.length === 0) {
           availableDoubts = this.theme.events.doubts;
         }
 
-        const randomDoubt = availableDoubts[Math.floor(Math.random() * availableDoubts.length)];
-        member.doubt = randomDoubt.name;
+        member.doubt = this.pickDoubt(member, availableDoubts).name;
       }
     }
 
@@ -348,7 +752,7 @@ class TrailGameEngine {
 
       const doubt = this.theme.events.doubts.find(d => d.name === member.doubt);
       if (doubt) {
-        this.state.resources.morale -= doubt.moraleDrain;
+        this.state.resources[morale] -= doubt.moraleDrain;
       }
     });
 
@@ -375,34 +779,12 @@ class TrailGameEngine {
         abandonChance = 0.05 * (75 - vibes) / 25;
       }
 
-      // Also check for high paranoia (specialItem)
-      // 100 paranoia = 100% chance (complete panic)
-      // 70+ paranoia = increasing chance
-      const paranoia = this.state.resources.specialItem;
-      let paranoiaAbandonChance = 0;
-      if (paranoia >= 100) {
-        paranoiaAbandonChance = 1.0; // Automatic at max paranoia
-      } else if (paranoia >= 85) {
-        // 20% to 100% chance between 100 and 85 paranoia
-        paranoiaAbandonChance = 0.2 + (0.8 * (paranoia - 85) / 15);
-      } else if (paranoia >= 70) {
-        // 5% to 20% chance between 85 and 70 paranoia
-        paranoiaAbandonChance = 0.05 + (0.15 * (paranoia - 70) / 15);
-      }
-
-      // Use the higher of the two chances
-      abandonChance = Math.max(abandonChance, paranoiaAbandonChance);
-
-      if (Math.random() < abandonChance) {
+      // Resources with an abandonment threshold (max paranoia, say) are
+      // handled in checkFailConditions
+      if (this.rng.chance(abandonChance)) {
         const doubt = this.theme.events.doubts.find(d => d.name === member.doubt);
         member.abandoned = true;
-
-        // Use paranoia-specific reason if abandoning due to paranoia
-        if (paranoiaAbandonChance > abandonChance && paranoiaAbandonChance > 0.1) {
-          member.abandonReason = 'became too paranoid and fled';
-        } else {
-          member.abandonReason = doubt?.abandonReason || 'gave up on the trip';
-        }
+        member.abandonReason = doubt?.abandonReason || 'gave up on the trip';
 
         abandonedThisTurn.push({
           name: member.name,
@@ -414,20 +796,60 @@ class TrailGameEngine {
     return abandonedThisTurn;
   }
 
+  /**
+   * Doubt triggers in effect: lowBelief while morale is under 50, plus the
+   * doubtTrigger of any resource past its threshold (Roswell's Paranoia
+   * declares { "name": "highParanoia", "atOrAbove": 50 })
+   */
+  getActiveDoubtTriggers() {
+    const triggers = Object.keys(this.theme.resources)
+      .map(key => ({ key, trigger: this.theme.resources[key].doubtTrigger }))
+      .filter(({ key, trigger }) => trigger && this.isPastThreshold(this.state.resources[key], trigger))
+      .map(({ trigger }) => trigger.name);
+    if (this.state.resources[this.resourceKey('morale')] < 50) triggers.push('lowBelief');
+    return triggers;
+  }
+
+  /**
+   * Pick the doubt a member develops. Their trait's doubtWeights multiply
+   * the odds of each doubt, by doubt name or trigger.
+   */
+  pickDoubt(member, doubts) {
+    const trait = this.findTrait(member.trait);
+    const skew = trait && trait.doubtWeights;
+    if (!skew) return this.rng.pick(doubts);
+
+    const weights = doubts.map(doubt => {
+      const byName = skew[doubt.name] !== undefined ? skew[doubt.name] : 1;
+      const byTrigger = doubt.trigger && skew[doubt.trigger] !== undefined ? skew[doubt.trigger] : 1;
+      return Math.max(0, byName * byTrigger);
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return this.rng.pick(doubts);
+
+    let random = this.rng.next() * totalWeight;
+    for (let i = 0; i < doubts.length; i++) {
+      random -= weights[i];
+      if (random < 0) return doubts[i];
+    }
+    return doubts[doubts.length - 1];
+  }
+
   /**
    * Check if player has reached a location
    */
   checkLocationArrival() {
-    const nextLoc = this.theme.locations[this.state.currentLocationIndex + 1];
+    const nextLoc = this.getNextLocation();
     if (nextLoc && this.state.distance >= nextLoc.distance) {
       this.state.currentLocationIndex++;
       this.state.forageCount = 0; // Reset foraging at new location
 
       // Apply landmark morale boost
       if (nextLoc.hasLandmark && nextLoc.landmarkData && nextLoc.landmarkData.moraleBoost) {
-        this.state.resources.morale = Math.min(
-          this.theme.resources.morale.max,
-          this.state.resources.morale + nextLoc.landmarkData.moraleBoost
+        const morale = this.resourceKey('morale');
+        this.state.resources[morale] = Math.min(
+          this.getResourceBounds(morale).max,
+          this.state.resources[morale] + nextLoc.landmarkData.moraleBoost
         );
       }
 
@@ -444,12 +866,45 @@ class TrailGameEngine {
   }
 
   /**
-   * Get random event for current phase
+   * Get random event for current phase (a due follow-up event wins)
    */
   getRandomEvent() {
+    this.takeDueEvent('travel');
+    this.recordInput('getRandomEvent');
+    this.pendingEvent = this.drawRandomEvent();
+    return this.pendingEvent;
+  }
+
+  /**
+   * Use up the event travel() left due ('travel' or 'arrival'), so each day
+   * and each arrival gets one draw. Throws if it isn't due.
+   */
+  takeDueEvent(kind) {
+    if (this.state.eventDue !== kind) {
+      throw new Error(kind === 'travel'
+        ? 'No event is due until the party travels on'
+        : `Nothing more happens at ${this.getCurrentLocation().name} until the party arrives somewhere new`);
+    }
+    this.state.eventDue = null;
+  }
+
+  drawRandomEvent() {
+    const followUp = this.takeDueFollowUp();
+    if (followUp) {
+      this.eventHistory.push({ event: followUp, timestamp: { month: this.state.month, day: this.state.day } });
+      return followUp;
+    }
+
     const phase = this.getCurrentPhase();
     let eventPool = this.theme.events[phase] || [];
 
+    // On a route with its own events, those come up until they're used up
+    const route = this.getCurrentRoute();
+    const routeEvents = ((route && route.events) || []).filter(event =>
+      !this.state.usedEvents.includes(event.id || event.text) && this.checkFlags(event) &&
+      (!event.condition || this.checkEventCondition(event.condition)));
+    if (routeEvents.length > 0) eventPool = routeEvents;
+
     // If current phase has no events, combine all phases
     if (eventPool.length === 0) {
       eventPool = [
@@ -470,8 +925,9 @@ class TrailGameEngine {
       availableEvents = eventPool;
     }
 
-    // Filter by condition if present
+    // Filter by condition and story flags if present
     availableEvents = availableEvents.filter(event => {
+      if (!this.checkFlags(event)) return false;
       if (!event.condition) return true;
       return this.checkEventCondition(event.condition);
     });
@@ -492,7 +948,7 @@ class TrailGameEngine {
 
     // Weighted random selection
     const totalWeight = availableEvents.reduce((sum, e) => sum + (e.weight || 1), 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
 
     for (const event of availableEvents) {
       random -= (event.weight || 1);
@@ -509,129 +965,563 @@ class TrailGameEngine {
   }
 
   /**
-   * Check event condition (handles both string and function conditions)
+   * Check a condition from an event, choice, shop item, activity or epilogue.
+   * Handles functions, legacy "hasGuitar" strings and JSON condition objects
+   * (see conditions.js).
    */
   checkEventCondition(condition) {
     if (typeof condition === 'function') {
       return condition(this.state);
     }
 
-    // Handle string conditions like "hasGuitar", "hasSpareParts"
-    if (typeof condition === 'string') {
-      const itemCheck = condition.match(/^has(.+)$/);
-      if (itemCheck) {
-        const itemName = itemCheck[1].charAt(0).toLowerCase() + itemCheck[1].slice(1);
-        return !!this.state.items[itemName];
-      }
-    }
-
-    return true;
+    return this.conditions.evaluate(condition);
   }
 
   /**
-   * Apply event effects to game state
+   * Get the choices of an event the player can see. Hidden by a failing
+   * `condition`; see isChoiceEnabled for greyed-out choices.
    */
-  applyEffects(effects) {
-    if (!effects) return;
-
-    Object.keys(effects).forEach(key => {
-      const value = effects[key];
-
-      if (key === 'distance') {
-        this.state.distance += value;
-      } else if (key === 'days') {
-        this.advanceTime(value);
-      } else if (this.state.resources.hasOwnProperty(key)) {
-        this.state.resources[key] += value;
+  getAvailableChoices(event) {
+    return (event.choices || []).filter(choice =>
+      this.checkFlags(choice) && (!choice.condition || this.checkEventCondition(choice.condition))
+    );
+  }
 
-        // Cap resources at max
-        const resourceConfig = this.theme.resources[key];
-        if (resourceConfig && resourceConfig.max) {
-          this.state.resources[key] = Math.min(resourceConfig.max, this.state.resources[key]);
-        }
-      }
-    });
+  /**
+   * Whether a visible choice can be picked (`enableCondition`)
+   */
+  isChoiceEnabled(choice) {
+    return !choice.enableCondition || this.checkEventCondition(choice.enableCondition);
+  }
 
-    // Prevent negative resources (except currency can go negative)
-    Object.keys(this.state.resources).forEach(key => {
-      if (key !== 'currency') {
-        this.state.resources[key] = Math.max(0, this.state.resources[key]);
-      }
-    });
+  /**
+   * Shop items available right now
+   */
+  getShopItems() {
+    if (!this.theme.shop) return [];
+    return this.theme.shop.items.filter(item => !item.condition || this.checkEventCondition(item.condition));
   }
 
   /**
-   * Check fail conditions
+   * Money-making activities available right now
    */
-  checkFailConditions() {
-    const allAbandoned = this.state.party.every(m => m.abandoned);
+  getMoneyActivities() {
+    const activities = (this.theme.moneyMaking && this.theme.moneyMaking.activities) || [];
+    return activities.filter(activity =>
+      !activity.condition || this.checkEventCondition(activity.condition)
+    );
+  }
 
-    if (allAbandoned) {
-      this.state.alive = false;
-      return { type: 'fail', reason: 'allAbandoned' };
+  /**
+   * Spend a day on a money-making activity: roll the earnings, apply its
+   * effects. oncePerLocation activities refuse a second go at the same stop.
+   * Returns { success, earnings, effects, message } (message untemplated).
+   */
+  doMoneyActivity(activityId) {
+    this.recordInput('doMoneyActivity', { activity: activityId });
+    const activity = this.getMoneyActivities().find(a => a.id === activityId);
+    if (!activity) {
+      return { success: false, message: 'You can\'t do that here.' };
     }
 
-    if (this.state.resources.fuel <= 0) {
-      this.state.alive = false;
-      return { type: 'fail', reason: 'noFuel' };
+    const location = this.getCurrentLocation().name;
+    this.state.activityLocations = this.state.activityLocations || {};
+    if (activity.oncePerLocation && this.state.activityLocations[activityId] === location) {
+      const repeatMessage = activity.repeatMessage || `You can't do that in $LOCATION again.`;
+      return { success: false, message: repeatMessage.replace(/\$LOCATION/g, location) };
     }
 
-    if (this.state.resources.food <= -20) {
-      this.state.alive = false;
-      return { type: 'fail', reason: 'starved' };
+    const earnings = this.rng.int(activity.earnings.min, activity.earnings.max);
+    this.state.resources[this.resourceKey('currency')] += earnings;
+    this.advanceTime(1);
+    const effects = this.applyEffects(activity.effects);
+
+    if (activity.oncePerLocation) {
+      this.state.activityLocations[activityId] = location;
     }
+    this.countAction('activities');
 
-    // Check time limit for mystery themes
-    if (this.theme.mystery && this.theme.mystery.enabled) {
-      if (this.state.day > this.theme.mystery.timeLimit) {
-        this.state.alive = false;
-        return { type: 'fail', reason: 'timeExpired' };
+    return {
+      success: true,
+      earnings,
+      effects,
+      message: (activity.message || `You earned $AMOUNT.`).replace(/\$AMOUNT/g, earnings)
+    };
+  }
+
+  /**
+   * Check an event or choice's requiresFlags / forbidsFlags against state
+   */
+  checkFlags(entry) {
+    const flags = this.state.flags;
+    const requires = entry.requiresFlags || [];
+    const forbids = entry.forbidsFlags || [];
+    return requires.every(flag => flags[flag]) && !forbids.some(flag => flags[flag]);
+  }
+
+  /**
+   * Set or clear a story flag
+   */
+  setFlag(flag, value = true) {
+    if (value) {
+      this.state.flags[flag] = true;
+    } else {
+      delete this.state.flags[flag];
+    }
+  }
+
+  hasFlag(flag) {
+    return !!this.state.flags[flag];
+  }
+
+  /**
+   * Schedule a follow-up event from theme.events.followUps
+   * @param {Object} followUp - { event, afterDays } or { event, afterMiles }
+   */
+  scheduleFollowUp(followUp) {
+    const event = this.findFollowUpEvent(followUp.event);
+    if (!event) {
+      console.warn('Unknown follow-up event:', followUp.event);
+      return;
+    }
+
+    this.state.scheduledEvents.push({
+      id: followUp.event,
+      dueDay: followUp.afterDays !== undefined ? this.state.daysElapsed + followUp.afterDays : null,
+      dueDistance: followUp.afterMiles !== undefined ? this.state.distance + followUp.afterMiles : null
+    });
+  }
+
+  findFollowUpEvent(id) {
+    return (this.theme.events.followUps || []).find(event => event.id === id);
+  }
+
+  /**
+   * Remove and return the first scheduled follow-up that is due. Follow-ups
+   * whose flags no longer hold when they come due are dropped.
+   */
+  takeDueFollowUp() {
+    const scheduled = this.state.scheduledEvents;
+
+    for (let i = 0; i < scheduled.length; i++) {
+      const entry = scheduled[i];
+      const dueByDay = entry.dueDay !== null && this.state.daysElapsed >= entry.dueDay;
+      const dueByDistance = entry.dueDistance !== null && this.state.distance >= entry.dueDistance;
+      if (!dueByDay && !dueByDistance) continue;
+
+      scheduled.splice(i--, 1);
+      const event = this.findFollowUpEvent(entry.id);
+      if (event && this.checkFlags(event) && (!event.condition || this.checkEventCondition(event.condition))) {
+        return event;
       }
     }
 
-    if (this.state.resources.morale <= 0) {
+    return null;
+  }
+
+  /**
+   * Apply the story side of an outcome: flags and follow-ups
+   */
+  applyStoryEffects({ setFlags, clearFlags, followUps }) {
+    (setFlags || []).forEach(flag => this.setFlag(flag));
+    (clearFlags || []).forEach(flag => this.setFlag(flag, false));
+    (followUps || []).forEach(followUp => this.scheduleFollowUp(followUp));
+  }
+
+  /**
+   * Resolve a non-choice event: apply its effects and story flags.
+   * Returns the effects actually applied (ranges rolled).
+   */
+  resolveEvent(event) {
+    if (!this.pendingEvent || event !== this.pendingEvent) throw new Error('That event isn\'t waiting to be resolved');
+
+    this.recordInput('resolveEvent');
+    this.pendingEvent = null;
+    const effects = this.applyEffects(event.effects);
+    this.applyStoryEffects(event);
+    return effects;
+  }
+
+  /**
+   * Resolve an event choice and apply the result. A choice either lists
+   * weighted `outcomes` or has a single result with an optional `risk` roll
+   * (fail* variants apply when it fails).
+   * Returns { message, effects, endsGame, failed, tag } - message is
+   * untemplated, effects are the rolled values. endsGame ends the run.
+   * @param {Object} [context] - Handed back by undo() in practice mode (e.g. the event, to show it again)
+   */
+  resolveChoice(choice, context = {}) {
+    const index = this.pendingEvent && this.pendingEvent.choices ? this.pendingEvent.choices.indexOf(choice) : -1;
+    if (index === -1) throw new Error('That choice isn\'t on an event waiting to be resolved');
+
+    this.takeSnapshot('choice', choice.text, context);
+    this.recordInput('resolveChoice', { choice: index });
+    this.pendingEvent = null;
+
+    if (choice.outcomes && choice.outcomes.length > 0) {
+      const picked = this.pickOutcome(choice.outcomes);
+      const tag = picked.tag || choice.tag || null;
+      const effects = this.applyEffects(this.applySkillMultipliers(picked.effects, tag));
+      this.applyStoryEffects(picked);
+      if (picked.endsGame) this.state.alive = false;
+      return {
+        message: picked.message || choice.message || 'Continued on...',
+        effects,
+        endsGame: picked.endsGame || false,
+        failed: false,
+        tag
+      };
+    }
+
+    const failed = !!(choice.risk && this.rng.chance(choice.risk));
+    const message = choice.message || 'Continued on...';
+
+    const outcome = failed
+      ? { message: choice.failMessage || message, effects: choice.failEffects || {}, endsGame: choice.failEndsGame || false }
+      : { message, effects: choice.effects || {}, endsGame: choice.endsGame || false };
+
+    const effects = this.applyEffects(this.applySkillMultipliers(outcome.effects, choice.tag));
+    this.applyStoryEffects(failed
+      ? { setFlags: choice.failSetFlags, clearFlags: choice.failClearFlags, followUps: choice.failFollowUps }
+      : choice);
+    if (outcome.endsGame) this.state.alive = false;
+    return { ...outcome, effects, failed, tag: choice.tag || null };
+  }
+
+  /**
+   * Weighted pick from a choice's outcomes. Professions can skew the odds
+   * per outcome tag with modifiers.outcomeWeights (e.g. { "breakdown": 0.5 }).
+   */
+  pickOutcome(outcomes) {
+    const skews = [
+      this.state.professionModifiers?.outcomeWeights || {},
+      ...this.getActiveSkills().map(skill => (skill.modifiers && skill.modifiers.outcomeWeights) || {})
+    ];
+    const weights = outcomes.map(outcome => {
+      const base = outcome.weight !== undefined ? outcome.weight : 1;
+      const multiplier = skews.reduce((product, skew) =>
+        product * (outcome.tag && skew[outcome.tag] !== undefined ? skew[outcome.tag] : 1), 1);
+      return Math.max(0, base * multiplier);
+    });
+
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return outcomes[0];
+
+    let random = this.rng.next() * totalWeight;
+    for (let i = 0; i < outcomes.length; i++) {
+      random -= weights[i];
+      if (random < 0) return outcomes[i];
+    }
+
+    return outcomes[outcomes.length - 1];
+  }
+
+  /**
+   * Scale a tagged outcome's effects by the party's skills'
+   * effectMultipliers (e.g. a mechanic's { "repair": { "currency": 0.5 } }).
+   * Whole numbers stay whole.
+   */
+  applySkillMultipliers(effects, tag) {
+    if (!effects || !tag) return effects;
+
+    const multipliers = this.getActiveSkills()
+      .map(skill => skill.modifiers && skill.modifiers.effectMultipliers && skill.modifiers.effectMultipliers[tag])
+      .filter(Boolean);
+    if (multipliers.length === 0) return effects;
+
+    const scale = (value, factor) => (Number.isInteger(value) ? Math.round(value * factor) : value * factor);
+    const scaled = { ...effects };
+    multipliers.forEach(multiplier => {
+      Object.keys(multiplier).forEach(key => {
+        const value = scaled[key];
+        if (value === undefined) return;
+        scaled[key] = typeof value === 'number'
+          ? scale(value, multiplier[key])
+          : { min: scale(value.min, multiplier[key]), max: scale(value.max, multiplier[key]) };
+      });
+    });
+    return scaled;
+  }
+
+  /**
+   * Roll ranged effect values ({ min, max }) into plain numbers.
+   * Integer bounds give an integer; otherwise a uniform float.
+   */
+  rollEffects(effects) {
+    const rolled = {};
+
+    Object.keys(effects).forEach(key => {
+      const value = effects[key];
+      if (typeof value === 'number') {
+        rolled[key] = value;
+      } else if (Number.isInteger(value.min) && Number.isInteger(value.max)) {
+        rolled[key] = this.rng.int(value.min, value.max);
+      } else {
+        rolled[key] = value.min + this.rng.next() * (value.max - value.min);
+      }
+    });
+
+    return rolled;
+  }
+
+  /**
+   * Apply event effects to game state
+   * Returns the effects actually applied (ranges rolled)
+   */
+  applyEffects(effects) {
+    if (!effects) return {};
+
+    const rolled = this.rollEffects(effects);
+
+    Object.keys(rolled).forEach(key => {
+      const value = rolled[key];
+
+      if (key === 'distance') {
+        this.state.distance += value;
+      } else if (key === 'days') {
+        this.advanceTime(value);
+      } else if (key === 'parts') {
+        this.state.items.parts = Math.max(0, (this.state.items.parts || 0) + value);
+      } else if (key === 'health') {
+        this.changePartyHealth(value);
+      } else if (key === 'memberHealth') {
+        // One member still with the party, named in what's returned
+        const member = this.rng.pick(this.state.party.filter(m => !m.abandoned));
+        if (member) {
+          this.changeMemberHealth(member, value);
+          rolled.member = member.name;
+        }
+      } else if (this.state.resources.hasOwnProperty(key)) {
+        this.state.resources[key] += value;
+        this.noteCollected(key, value);
+      }
+    });
+
+    // Keep every resource within its declared bounds
+    Object.keys(this.state.resources).forEach(key => this.clampResource(key));
+
+    return rolled;
+  }
+
+  /**
+   * Declared { min, max } of a resource. min defaults to 0; "min": null
+   * (e.g. currency that can go into debt) and a missing max mean unbounded.
+   */
+  getResourceBounds(key) {
+    const resource = this.theme.resources[key] || {};
+    return {
+      min: resource.min === undefined ? 0 : (resource.min === null ? -Infinity : resource.min),
+      max: resource.max === undefined ? Infinity : resource.max
+    };
+  }
+
+  clampResource(key) {
+    const { min, max } = this.getResourceBounds(key);
+    this.state.resources[key] = Math.max(min, Math.min(max, this.state.resources[key]));
+  }
+
+  /**
+   * Key of the resource in a role (see RESOURCE_ROLES), or null if the
+   * theme gives that role to none
+   */
+  resourceKey(role) {
+    const resources = this.theme.resources;
+    return Object.keys(resources).find(key => (resources[key].roles || []).includes(role)) || null;
+  }
+
+  /**
+   * Effects keyed by role (MINI_GAME_REWARDS) re-keyed by resource; roles
+   * the theme gives to no resource are dropped
+   */
+  effectsForRoles(effects) {
+    const keyed = {};
+    Object.keys(effects).forEach(role => {
+      const key = role === 'days' ? 'days' : this.resourceKey(role);
+      if (key) keyed[key] = effects[role];
+    });
+    return keyed;
+  }
+
+  /**
+   * Check fail conditions: a failure (see getFailure) ends the run,
+   * otherwise zero morale or a resource's abandonment threshold drives one
+   * member off. Returns { type: 'fail' | 'moraleAbandonment' |
+   * 'resourceAbandonment', ... } or null.
+   */
+  checkFailConditions() {
+    this.recordInput('checkFailConditions');
+    return this.applyFailConditions();
+  }
+
+  /**
+   * The fail check itself, unrecorded (travel() runs it as part of the day)
+   */
+  applyFailConditions() {
+    const failure = this.endIfFailed();
+    if (failure) return failure;
+
+    const morale = this.resourceKey('morale');
+    if (this.state.resources[morale] <= 0) {
       // Trigger abandonment instead of game over
       const stillHere = this.state.party.filter(m => !m.abandoned);
       if (stillHere.length > 0) {
-        const victim = stillHere[Math.floor(Math.random() * stillHere.length)];
+        const victim = this.rng.pick(stillHere);
         victim.abandoned = true;
-        this.state.resources.morale = 20; // Reset morale
+        this.state.resources[morale] = 20; // Reset morale
         return { type: 'moraleAbandonment', member: victim };
       }
     }
 
-    // Check for max paranoia (Roswell Trail theme)
-    if (this.theme.resources.specialItem.name === 'Paranoia' &&
-        this.state.resources.specialItem >= 100) {
+    // Resources with an abandonment threshold (e.g. max paranoia) drive
+    // someone off when crossed, then settle back to resetTo
+    for (const [key, resource] of Object.entries(this.theme.resources)) {
+      const abandonment = resource.abandonment;
+      if (!abandonment || !this.isPastThreshold(this.state.resources[key], abandonment)) continue;
+
       const stillHere = this.state.party.filter(m => !m.abandoned);
-      if (stillHere.length > 0) {
-        const victim = stillHere[Math.floor(Math.random() * stillHere.length)];
-        victim.abandoned = true;
+      if (stillHere.length === 0) break;
+
+      const victim = this.rng.pick(stillHere);
+      victim.abandoned = true;
+      if (abandonment.reasons && abandonment.reasons.length > 0) {
+        victim.reason = this.rng.pick(abandonment.reasons);
+      }
 
-        // Choose a paranoia-related reason
-        const paranoiaReasons = [
-          "fled into the desert muttering about surveillance",
-          "destroyed their phone and hitchhiked to Canada",
-          "joined a commune to 'go off the grid'",
-          "locked themselves in a motel room covered in tinfoil",
-          "bought a one-way ticket to remote Alaska",
-          "disappeared without a trace (probably witness protection)"
-        ];
-        victim.reason = paranoiaReasons[Math.floor(Math.random() * paranoiaReasons.length)];
-
-        this.state.resources.specialItem = 80; // Reset paranoia slightly
-        return { type: 'paranoiaAbandonment', member: victim };
+      if (abandonment.resetTo !== undefined) {
+        this.state.resources[key] = abandonment.resetTo;
       }
+      return { type: 'resourceAbandonment', resource: key, member: victim };
     }
 
     return null;
   }
 
+  /**
+   * How the run has failed, if it has: everyone gone, a resource past its
+   * failAt, or a mystery's time limit. Rolls nothing.
+   * @returns {{ type: 'fail', reason: string, message?: string }|null}
+   */
+  getFailure() {
+    if (this.state.party.every(m => m.abandoned)) {
+      return { type: 'fail', reason: 'allAbandoned' };
+    }
+
+    // Declared fail thresholds (running out of fuel, starving, ...)
+    for (const [key, resource] of Object.entries(this.theme.resources)) {
+      if (resource.failAt && this.isPastThreshold(this.state.resources[key], resource.failAt)) {
+        return { type: 'fail', reason: resource.failAt.reason || key, message: resource.failAt.message };
+      }
+    }
+
+    // Check time limit for mystery themes (days on the road; state.day is
+    // the day of the month)
+    if (this.theme.mystery && this.theme.mystery.enabled) {
+      if (Math.floor(this.state.daysElapsed || 0) > this.theme.mystery.timeLimit) {
+        return { type: 'fail', reason: 'timeExpired' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * End the run if it has failed (see getFailure); returns the failure or null
+   */
+  endIfFailed() {
+    const failure = this.getFailure();
+    if (failure) {
+      this.state.alive = false;
+      this.state.eventDue = null;
+    }
+    return failure;
+  }
+
+  /**
+   * Whether a resource value has crossed a theme threshold
+   * ({ atOrAbove } / { atOrBelow } in failAt and abandonment)
+   */
+  isPastThreshold(value, threshold) {
+    if (threshold.atOrAbove !== undefined && value >= threshold.atOrAbove) return true;
+    if (threshold.atOrBelow !== undefined && value <= threshold.atOrBelow) return true;
+    return false;
+  }
+
+  /**
+   * The run's path through the theme for the routes chosen so far
+   * (see RouteMap.resolve): { locations, routes, totalDistance }
+   */
+  getRoute() {
+    const key = JSON.stringify(this.state.routeChoices || {});
+    if (!this.route || this.route.key !== key) {
+      this.route = { key, ...TrailRoutes.resolve(this.theme, this.state.routeChoices) };
+    }
+    return this.route;
+  }
+
   /**
    * Get current location
    */
   getCurrentLocation() {
-    return this.theme.locations[this.state.currentLocationIndex];
+    return this.getRoute().locations[this.state.currentLocationIndex];
+  }
+
+  /**
+   * Where the party is headed, or undefined at the end
+   */
+  getNextLocation() {
+    return this.getRoute().locations[this.state.currentLocationIndex + 1];
+  }
+
+  /**
+   * Route the party is on between its current location and the next
+   * (null off any fork)
+   */
+  getCurrentRoute() {
+    return this.getRoute().routes[this.state.currentLocationIndex] || null;
+  }
+
+  /**
+   * The current location's fork, if the party hasn't picked a route there yet
+   */
+  getPendingFork() {
+    const location = this.getCurrentLocation();
+    const choices = this.state.routeChoices || {};
+    return location.fork && !choices[location.name] ? location.fork : null;
+  }
+
+  /**
+   * Take one of the routes at the current location's fork. Locks (route.unlock)
+   * are the UI's business, like professions', and taking a locked route
+   * takes the run off the leaderboard.
+   * @returns {Object} The route
+   */
+  chooseRoute(routeId) {
+    const location = this.getCurrentLocation();
+    const fork = this.getPendingFork();
+    if (!fork) throw new Error(`There's no route to choose at ${location.name}`);
+
+    const route = fork.routes.find(r => r.id === routeId);
+    if (!route) throw new Error(`No route "${routeId}" from ${location.name}`);
+
+    this.recordInput('chooseRoute', { route: routeId });
+    if (route.unlock && !this.state.dailyChallenge) this.state.leaderboardEligible = false;
+    this.state.routeChoices = { ...this.state.routeChoices, [location.name]: routeId };
+    this.state.totalDistance = this.getRoute().totalDistance;
+    return route;
+  }
+
+  /**
+   * Choice event for a mountain pass location (its `location.event`)
+   */
+  getMountainPassEvent(location) {
+    if (!location.event) {
+      throw new Error(`Mountain pass "${location.name}" has no event`);
+    }
+
+    this.takeDueEvent('arrival');
+    this.recordInput('getMountainPassEvent');
+    this.pendingEvent = location.event;
+    return this.pendingEvent;
   }
 
   /**
@@ -642,42 +1532,51 @@ class TrailGameEngine {
   }
 
   /**
-   * Forage for food with progressive penalties
+   * Forage for the forage resource with progressive penalties.
+   * Throws if the theme has no resource in the forage role.
    */
   forage() {
-    const forageBonus = this.state.professionModifiers?.forageBonus || 0;
+    const key = this.resourceKey('forage');
+    if (!key) throw new Error('This theme has nothing to forage for');
+
+    this.recordInput('forage');
+    const forageBonus = (this.state.professionModifiers?.forageBonus || 0) +
+      this.getActiveSkills().reduce((sum, skill) => sum + ((skill.modifiers && skill.modifiers.forageBonus) || 0), 0);
     const forageMoraleChange = this.state.professionModifiers?.forageMoraleChange || 0;
 
-    // Base food amount (10-25 with random variation)
-    let foodFound = Math.floor(Math.random() * 15) + 10;
+    // Base amount (10-25 with random variation)
+    let found = this.rng.int(10, 24);
 
     // Apply profession bonus
-    foodFound = Math.floor(foodFound * (1 + forageBonus));
+    found = Math.floor(found * (1 + forageBonus));
 
     // Progressive penalties for over-foraging at same location
+    const morale = this.resourceKey('morale');
+    const foundText = `${found} ${this.theme.resources[key].name.toLowerCase()}`;
+    const moraleName = this.theme.resources[morale].name.toLowerCase();
     let moralePenalty = 0;
     let message = '';
 
     if (this.state.forageCount === 0) {
-      message = `You forage and find ${foodFound} food! ${forageMoraleChange >= 0 ? 'Nice!' : ''}`;
+      message = `You forage and find ${foundText}! ${forageMoraleChange >= 0 ? 'Nice!' : ''}`;
     } else if (this.state.forageCount === 1) {
       moralePenalty = -5;
-      message = `You forage again and find ${foodFound} food, but the crew's getting restless. (-5 vibes)`;
+      message = `You forage again and find ${foundText}, but the crew's getting restless. (-5 ${moraleName})`;
     } else {
       moralePenalty = -10;
-      message = `The locals are giving you dirty looks. You're overstaying your welcome. Found ${foodFound} food. (-10 vibes)`;
+      message = `The locals are giving you dirty looks. You're overstaying your welcome. Found ${foundText}. (-10 ${moraleName})`;
     }
 
     // Apply effects
-    this.state.resources.food = Math.min(
-      this.theme.resources.food.max,
-      this.state.resources.food + foodFound
-    );
-    this.state.resources.morale += forageMoraleChange + moralePenalty;
+    this.state.resources[key] = Math.min(this.getResourceBounds(key).max, this.state.resources[key] + found);
+    this.state.resources[morale] += forageMoraleChange + moralePenalty;
     this.state.forageCount++;
+    this.countAction('forage');
+    this.noteCollected(key, found);
 
     return {
-      foodFound,
+      resource: key,
+      found,
       moralePenalty,
       forageMoraleChange,
       message
@@ -693,28 +1592,32 @@ class TrailGameEngine {
       return { success: false, message: 'Item not found' };
     }
 
-    if (this.state.resources.currency < item.cost) {
-      return { success: false, message: 'Not enough cash!' };
+    if (item.condition && !this.checkEventCondition(item.condition)) {
+      return { success: false, message: `${item.name} isn't available here.` };
+    }
+
+    const currency = this.resourceKey('currency');
+    if (this.state.resources[currency] < item.cost) {
+      return { success: false, message: `Not enough ${this.theme.resources[currency].name.toLowerCase()}!` };
     }
 
+    this.takeSnapshot('purchase', `Buy ${item.name}`);
+    this.recordInput('buyItem', { item: itemId });
+
     // Deduct cost
-    this.state.resources.currency -= item.cost;
-
-    // Apply item effects
-    if (item.type === 'fuel' || item.type === 'food' || item.type === 'specialItem' || item.type === 'morale') {
-      const resourceKey = item.type === 'fuel' ? 'fuel' :
-                          item.type === 'food' ? 'food' :
-                          item.type === 'morale' ? 'morale' : 'specialItem';
-      const max = this.theme.resources[resourceKey].max;
-      const newValue = this.state.resources[resourceKey] + item.amount;
-
-      // Clamp between 0 and max
-      this.state.resources[resourceKey] = Math.max(0, Math.min(max, newValue));
+    this.state.resources[currency] -= item.cost;
+    this.countAction('purchases');
+
+    // Apply item effects - any declared resource can be sold
+    if (this.theme.resources[item.type]) {
+      this.state.resources[item.type] += item.amount;
+      this.clampResource(item.type);
     } else if (item.type === 'parts') {
       this.state.items.parts = (this.state.items.parts || 0) + item.amount;
     } else if (item.type === 'guitar') {
       this.state.items.guitar = true;
-      this.state.resources.morale = Math.min(this.theme.resources.morale.max, 100);
+      const morale = this.resourceKey('morale');
+      this.state.resources[morale] = Math.min(this.getResourceBounds(morale).max, 100);
     }
 
     return {
@@ -724,26 +1627,182 @@ class TrailGameEngine {
   }
 
   /**
-   * Rest for multiple days
+   * What the gas station sells right now: FUEL_PRICES entries that fit in
+   * the tank, plus a top-off ({ amount, cost, topOff: true }). Empty when
+   * full, or when the theme has no resource in the fuel role.
+   */
+  getFuelOptions() {
+    const key = this.resourceKey('fuel');
+    if (!key) return [];
+
+    const spaceLeft = this.getResourceBounds(key).max - this.state.resources[key];
+    if (spaceLeft <= 0) return [];
+
+    const options = TrailGameEngine.FUEL_PRICES.filter(option => option.amount <= spaceLeft);
+    options.push({ amount: spaceLeft, cost: Math.ceil(spaceLeft * 0.65), topOff: true }); // ~$0.65 per unit
+    return options;
+  }
+
+  /**
+   * Buy one of getFuelOptions()
+   */
+  buyFuel(amount, topOff = false) {
+    this.recordInput('buyFuel', { amount, topOff });
+    const fuelKey = this.resourceKey('fuel');
+    const currencyKey = this.resourceKey('currency');
+    const fuel = this.theme.resources[fuelKey];
+    const currency = this.theme.resources[currencyKey];
+
+    const option = this.getFuelOptions().find(o => o.amount === amount && !!o.topOff === topOff);
+    if (!option) {
+      return { success: false, message: fuel ? `That much ${fuel.name.toLowerCase()} won't fit.` : 'There\'s nothing to buy here.' };
+    }
+    if (this.state.resources[currencyKey] < option.cost) {
+      return { success: false, message: `Not enough ${currency.name.toLowerCase()}!` };
+    }
+
+    this.state.resources[fuelKey] = Math.min(this.getResourceBounds(fuelKey).max, this.state.resources[fuelKey] + option.amount);
+    this.state.resources[currencyKey] -= option.cost;
+    this.countAction('purchases');
+
+    return {
+      success: true,
+      message: `Filled up with ${option.amount} units of ${fuel.name.toLowerCase()}! ${fuel.icon}`
+    };
+  }
+
+  /**
+   * Roll whether the party is pulled over at a checkpoint; professions with
+   * antagonistTargetChance get stopped more. A stop brings the current
+   * phase's copEvent when the theme has one.
+   * @returns {{ stopped: boolean, event: Object|null }}
+   */
+  rollCheckpoint() {
+    this.takeDueEvent('arrival');
+    this.recordInput('rollCheckpoint');
+    const copTargetChance = this.state.professionModifiers?.antagonistTargetChance || 0;
+    if (!this.rng.chance(0.5 + copTargetChance)) {
+      return { stopped: false, event: null };
+    }
+
+    const events = this.theme.events[this.getCurrentPhase()] || [];
+    this.pendingEvent = events.find(e => e.copEvent === true) || null;
+    return { stopped: true, event: this.pendingEvent };
+  }
+
+  /**
+   * A mini-game gets its own random stream, forked from the run's so its
+   * spawns replay with the seed
+   */
+  startMiniGame(game) {
+    // Rapids are what an arrival at a minigame location holds, and the
+    // repair game is how an event's repairGame choice plays out
+    if (game === 'rapids') this.takeDueEvent('arrival');
+    if (game === 'repair') {
+      const event = this.pendingEvent;
+      if (!event || !(event.choices || []).some(choice => choice.special === 'repairGame')) {
+        throw new Error('Nothing needs repairing');
+      }
+      this.pendingEvent = null;
+    }
+
+    this.recordInput('startMiniGame', { game });
+    this.activeMiniGame = game;
+    this.countAction('miniGames');
+    if (game === 'forage') this.countAction('forage');
+    return this.rng.fork();
+  }
+
+  /**
+   * Apply a finished mini-game's result (see MINI_GAME_REWARDS).
+   * Throws unless it follows startMiniGame for the same game and the result
+   * is one the game can produce (see checkMiniGameResult).
+   * Returns the effects applied.
+   */
+  finishMiniGame(game, result) {
+    if (this.activeMiniGame !== game) {
+      throw new Error(`No ${game} mini-game in progress`);
+    }
+    this.checkMiniGameResult(game, result);
+
+    this.recordInput('finishMiniGame', { game, result });
+    this.activeMiniGame = null;
+    const reward = TrailGameEngine.MINI_GAME_REWARDS[game];
+    return reward ? this.applyEffects(this.effectsForRoles(reward(result))) : {};
+  }
+
+  /**
+   * Throw if a mini-game result is outside what the game can produce
+   */
+  checkMiniGameResult(game, result) {
+    const limits = TrailGameEngine.MINI_GAME_LIMITS;
+    const count = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+    const only = (...keys) => Object.keys(result).every(key => keys.includes(key));
+    const valid = {
+      rapids: () => only('success', 'points') && typeof result.success === 'boolean' &&
+        count(result.points || 0, this.maxRapidsPoints()),
+      repair: () => only('success') && typeof result.success === 'boolean',
+      forage: () => (result.trash === true && only('trash')) ||
+        (only('collected') && count(result.collected, limits.forageItems * limits.forageItemValue)),
+      // Each hit scores 10 x the combo, so a perfect run scores 10 x (1 + 2 + ... + notes)
+      performance: () => only('notesHit', 'score') && count(result.notesHit, limits.performanceNotes) &&
+        count(result.score, 5 * result.notesHit * (result.notesHit + 1)),
+      missileCommand: () => only('won', 'score') && typeof result.won === 'boolean' &&
+        count(result.score, limits.missileHits)
+    }[game];
+
+    if (!valid) throw new Error(`Unknown mini-game "${game}"`);
+    if (!result || typeof result !== 'object' || !valid()) {
+      throw new Error(`Impossible ${game} result (${JSON.stringify(result)})`);
+    }
+  }
+
+  /**
+   * Most rapids points: one item per spawnRate (default 800ms) over its
+   * duration (default 30s), each worth the best good item
+   */
+  maxRapidsPoints() {
+    const config = this.theme.miniGames && this.theme.miniGames.rapids;
+    if (!config) return 0;
+
+    const spawns = Math.floor((config.duration || 30) * 1000 / (config.spawnRate || 800));
+    const best = Math.max(0, ...(config.goodItems || []).map(item => item.value !== undefined ? item.value : item.points || 0));
+    return spawns * best;
+  }
+
+  /**
+   * Rest for multiple days. Each resource's restCost is paid per rest.
    */
   rest(days = 2) {
-    const foodCost = 10;
+    this.recordInput('rest', { days });
+    const costs = Object.keys(this.theme.resources)
+      .filter(key => this.theme.resources[key].restCost)
+      .map(key => ({ key, cost: this.theme.resources[key].restCost }));
 
-    if (this.state.resources.food < foodCost) {
+    const short = costs.find(({ key, cost }) => this.state.resources[key] < cost);
+    if (short) {
       return {
         success: false,
-        message: "Not enough food to rest safely."
+        message: `Not enough ${this.theme.resources[short.key].name.toLowerCase()} to rest safely.`
       };
     }
 
-    // Consume food
-    this.state.resources.food -= foodCost;
+    costs.forEach(({ key, cost }) => {
+      this.state.resources[key] -= cost;
+    });
+    this.countAction('rest');
 
     // Advance time
     this.advanceTime(days);
 
+    // Rest heals, more with a skill like a medic's restHealing
+    const healing = this.partySettings.restHealing +
+      this.getActiveSkills().reduce((sum, skill) => sum + ((skill.modifiers && skill.modifiers.restHealing) || 0), 0);
+    this.changePartyHealth(healing * days);
+
     // Cure doubts if vibes > 60
-    if (this.state.resources.morale > 60) {
+    const morale = this.state.resources[this.resourceKey('morale')];
+    if (morale > 60) {
       this.state.party.forEach(member => {
         member.doubting = false;
         member.doubt = null;
@@ -752,33 +1811,308 @@ class TrailGameEngine {
 
     return {
       success: true,
-      message: `You rest for ${days} days. ${this.state.resources.morale > 60 ? 'Everyone feels refreshed and doubts fade away!' : 'The rest helps a bit.'}`
+      message: `You rest for ${days} days. ${morale > 60 ? 'Everyone feels refreshed and doubts fade away!' : 'The rest helps a bit.'}`
+    };
+  }
+
+  countAction(action) {
+    this.state.actionCounts = this.state.actionCounts || {};
+    this.state.actionCounts[action] = (this.state.actionCounts[action] || 0) + 1;
+  }
+
+  /**
+   * Add a resource gain to state.collected (losses don't count against it)
+   */
+  noteCollected(key, amount) {
+    if (!(amount > 0)) return;
+    this.state.collected = this.state.collected || {};
+    this.state.collected[key] = (this.state.collected[key] || 0) + amount;
+  }
+
+  /**
+   * Whether an event (by id) has come up this run
+   */
+  hasSeenEvent(eventId) {
+    return this.eventHistory.some(entry => entry.event && entry.event.id === eventId);
+  }
+
+  /**
+   * The theme's achievements (theme.achievements) this run has earned.
+   * Each says when it's checked in "when":
+   *   'arrival' - on reaching any location, and when the run ends
+   *   'end'     - when the run ends, won or lost (the default)
+   *   'win'     - when the run ends at the destination
+   * Checking rolls nothing and records nothing, so it never changes a run.
+   * Practice runs don't earn achievements.
+   * @param {string} moment - 'arrival' or 'end'
+   * @param {Object} [outcome] - { won } when the run has ended
+   * @returns {Object[]} Achievements whose conditions hold right now
+   */
+  checkAchievements(moment, { won = false } = {}) {
+    if (this.state.practice) return [];
+
+    return (this.theme.achievements || []).filter(achievement => {
+      const when = achievement.when || 'end';
+      if (moment === 'arrival' && when !== 'arrival') return false;
+      if (when === 'win' && !won) return false;
+      return this.conditions.evaluate(achievement.condition);
+    });
+  }
+
+  /**
+   * Practice mode, for playtesting: the engine snapshots itself before each
+   * travel day, event choice and purchase so decisions can be undone.
+   * The run is marked as practice for good - it never goes to the leaderboard.
+   */
+  startPractice() {
+    if (this.state.dailyChallenge) {
+      throw new Error('The Daily Challenge can\'t be played as a practice run');
+    }
+    this.recordInput('startPractice');
+    this.state.practice = true;
+    this.state.leaderboardEligible = false;
+  }
+
+  /**
+   * Today's Daily Challenge date. Days run on UTC so everyone plays the
+   * same one at the same time.
+   */
+  static dailyChallengeDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Seed every player gets for a theme's Daily Challenge on a date
+   */
+  static dailyChallengeSeed(themeName, date) {
+    return TrailRandom.normalizeSeed(`daily:${themeName}:${date}`);
+  }
+
+  /**
+   * Make this run the Daily Challenge: reseed with the date's shared seed,
+   * so every player gets the same events, weather and mini-game spawns.
+   * Has to come before anything else happens in the run.
+   * @param {string} [date] - YYYY-MM-DD; defaults to today
+   */
+  startDailyChallenge(date = TrailGameEngine.dailyChallengeDate()) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Not a Daily Challenge date: "${date}"`);
+    }
+    if (!this.replayInputs || this.replayInputs.length > 0) {
+      throw new Error('The Daily Challenge has to be chosen before the run starts');
+    }
+
+    this.rng = new TrailRandom(TrailGameEngine.dailyChallengeSeed(this.theme.name, date));
+    this.recordInput('startDailyChallenge', { date });
+    this.state.dailyChallenge = date;
+  }
+
+  static get MAX_PRACTICE_SNAPSHOTS() {
+    return 100;
+  }
+
+  /**
+   * Remember the run as it was before a decision (practice mode only).
+   * Called before the decision's replay input is recorded, so undo drops it.
+   */
+  takeSnapshot(kind, label, context = {}) {
+    if (!this.state.practice) return;
+
+    this.practiceSnapshots.push({
+      kind,
+      label,
+      day: this.state.daysElapsed || 0,
+      context,
+      state: JSON.parse(JSON.stringify(this.state)),
+      eventHistory: this.eventHistory.slice(),
+      rngState: this.rng.getState(),
+      pendingEvent: this.pendingEvent,
+      replayLength: this.replayInputs ? this.replayInputs.length : 0
+    });
+    if (this.practiceSnapshots.length > TrailGameEngine.MAX_PRACTICE_SNAPSHOTS) {
+      this.practiceSnapshots.shift();
+    }
+  }
+
+  /**
+   * Decisions that can be undone, oldest first: [{ kind, label, day }]
+   */
+  getUndoHistory() {
+    return this.practiceSnapshots.map(({ kind, label, day }) => ({ kind, label, day }));
+  }
+
+  /**
+   * Step back to just before the last decision (or the last `steps` of them).
+   * The random sequence rewinds too, so repeating a decision repeats its result.
+   * @returns {{ kind, label, day, context }|null} The decision undone; null if there's nothing to undo
+   */
+  undo(steps = 1) {
+    if (steps < 1 || this.practiceSnapshots.length === 0) return null;
+
+    const [snapshot] = this.practiceSnapshots.splice(-Math.min(steps, this.practiceSnapshots.length));
+    this.state = snapshot.state;
+    this.eventHistory = snapshot.eventHistory;
+    this.rng.setState(snapshot.rngState);
+    this.pendingEvent = snapshot.pendingEvent;
+    this.activeMiniGame = null;
+
+    // Undone decisions drop out of the replay too
+    if (this.replayInputs) this.replayInputs.length = snapshot.replayLength;
+
+    const { kind, label, day, context } = snapshot;
+    return { kind, label, day, context };
+  }
+
+  recordInput(action, data = {}) {
+    if (this.replayInputs) this.replayInputs.push({ action, ...data });
+  }
+
+  /**
+   * Everything needed to play the run back: the seed and each recorded
+   * input. null if the run was loaded from a save without one.
+   */
+  getReplay() {
+    if (!this.replayInputs) return null;
+
+    return {
+      replayVersion: this.replayVersion,
+      themeName: this.theme.name,
+      themeVersion: this.theme.version,
+      seed: this.rng.seed,
+      inputs: this.replayInputs.map(input => ({ ...input }))
     };
   }
 
+  /**
+   * The replay carried by saveGame() output, or null
+   */
+  static replayFromSave(saveData) {
+    if (!saveData || !Array.isArray(saveData.replayInputs)) return null;
+
+    return {
+      replayVersion: saveData.replayVersion || 1,
+      themeName: saveData.themeName,
+      themeVersion: saveData.themeVersion,
+      seed: saveData.seed,
+      inputs: saveData.replayInputs
+    };
+  }
+
+  /**
+   * Repeat one recorded input on this engine (a fresh one seeded with the
+   * replay's seed, fed the inputs in order, retraces the run).
+   * Returns whatever the original call returned.
+   */
+  applyReplayInput(input) {
+    switch (input.action) {
+      case 'setProfession': return this.setProfession(input.id);
+      case 'initializeParty': return this.initializeParty(input.names);
+      case 'nameGroup': return this.nameGroup(input.playerName);
+      case 'applyUnlockables': return this.applyUnlockables(input.ids);
+      case 'chooseRoute': return this.chooseRoute(input.route);
+      case 'setTravelOption': return this.setTravelOption(input.setting, input.option);
+      case 'startPractice': return this.startPractice();
+      case 'startDailyChallenge': return this.startDailyChallenge(input.date);
+      case 'travel': return this.travel();
+      case 'checkFailConditions': return this.checkFailConditions();
+      case 'getRandomEvent': return this.getRandomEvent();
+      case 'getMountainPassEvent': return this.getMountainPassEvent(this.getCurrentLocation());
+      case 'rollCheckpoint': return this.rollCheckpoint();
+      case 'resolveEvent': return this.resolveEvent(this.pendingEvent);
+      case 'resolveChoice': {
+        const choice = this.pendingEvent && this.pendingEvent.choices && this.pendingEvent.choices[input.choice];
+        if (!choice) throw new Error(`Replay diverged: no choice ${input.choice} on the current event`);
+        return this.resolveChoice(choice);
+      }
+      case 'buyItem': {
+        // Only purchases that went through are recorded
+        const result = this.buyItem(input.item);
+        if (!result.success) throw new Error(`Replay diverged: couldn't buy ${input.item} (${result.message})`);
+        return result;
+      }
+      case 'buyFuel': return this.buyFuel(input.amount, input.topOff);
+      case 'rest': return this.rest(input.days);
+      case 'forage': return this.forage();
+      case 'doMoneyActivity': return this.doMoneyActivity(input.activity);
+      case 'startMiniGame': return this.startMiniGame(input.game);
+      case 'finishMiniGame': return this.finishMiniGame(input.game, input.result);
+      default:
+        throw new Error(`Unknown replay action "${input.action}"`);
+    }
+  }
+
   /**
    * Save game state
    */
   saveGame() {
     return {
+      saveVersion: TrailSaveMigrator.SAVE_VERSION,
       themeName: this.theme.name,
       themeVersion: this.theme.version,
+      seed: this.rng.seed,
+      rngState: this.rng.getState(),
       state: JSON.parse(JSON.stringify(this.state)),
+      replayInputs: this.replayInputs ? this.replayInputs.map(input => ({ ...input })) : null,
+      replayVersion: this.replayVersion,
       eventHistory: this.eventHistory,
       timestamp: Date.now()
     };
   }
 
   /**
-   * Load game state
+   * Load game state. The save is first migrated to the current save format
+   * and theme version (see SaveMigrator), then checked against the theme.
+   * If it references things the theme no longer has, this throws an Error
+   * with error.problems and error.repairable; pass { repair: true } to load
+   * anyway with the repairs applied.
+   * @returns {{ migrated: string[], repaired: Object[] }}
    */
-  loadGame(saveData) {
+  loadGame(saveData, options = {}) {
     if (saveData.themeName !== this.theme.name) {
       throw new Error('Save file is for a different theme');
     }
 
-    this.state = saveData.state;
-    this.eventHistory = saveData.eventHistory || [];
+    const { save, applied } = TrailSaveMigrator.migrate(saveData, this.theme);
+    const problems = TrailSaveMigrator.validate(save, this);
+    const report = problems.map(({ path, message, fatal }) => ({ path, message, fatal }));
+    const fatal = problems.some(problem => problem.fatal);
+
+    if (fatal || (problems.length > 0 && !options.repair)) {
+      const label = `${this.theme.name} ${this.theme.version}`;
+      const details = report.map(problem => `  ${problem.path}: ${problem.message}`).join('\n');
+      const error = new Error(fatal
+        ? `This save can't be loaded into ${label}:\n${details}`
+        : `This save needs ${problems.length} repair(s) to load into ${label}:\n${details}`);
+      error.problems = report;
+      error.repairable = !fatal;
+      throw error;
+    }
+    problems.forEach(problem => problem.repair(save.state));
+
+    this.state = save.state;
+    this.eventHistory = save.eventHistory || [];
+    this.practiceSnapshots = [];
+    this.replayInputs = save.replayInputs || null;
+    this.replayVersion = save.replayVersion;
+    this.pendingEvent = null;
+    this.activeMiniGame = null;
+
+    // Profession tuning follows the current theme, not the one saved with
+    const profession = this.theme.professions.find(p => p.id === this.state.profession);
+    if (profession) {
+      this.state.professionModifiers = profession.modifiers;
+      this.state.scoreMultiplier = profession.scoreMultiplier || 1.0;
+    }
+
+    // Resume the random sequence exactly where the save left off
+    if (saveData.seed !== undefined) {
+      this.rng = new TrailRandom(saveData.seed);
+      if (saveData.rngState !== undefined) {
+        this.rng.setState(saveData.rngState);
+      }
+    }
+
+    return { migrated: applied, repaired: report };
   }
 }
 
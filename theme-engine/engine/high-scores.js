@@ -1,30 +1,60 @@
 /**
- * High Score System with Supabase Backend
+ * High Score System
  *
- * Manages high scores and analytics for all themes
- * Uses Supabase for real-time leaderboards and analytics
+ * Manages high scores and analytics for all themes. Where they're kept is
+ * up to a leaderboard adapter (engine/leaderboard-adapters.js): Supabase
+ * by default, this browser's localStorage, or our own score server.
+ * Pick one by defining LEADERBOARD_CONFIG before this script loads:
+ *
+ *   <script>const LEADERBOARD_CONFIG = { backend: 'rest', rest: { baseUrl: '/api' } };</script>
+ *
+ * Scores that can't be sent (offline, backend down) wait in a queue in
+ * localStorage and go out on the next syncPendingScores().
  */
 
+const ScoreBackends = typeof createLeaderboardAdapter !== 'undefined'
+  ? { createLeaderboardAdapter, PendingScoreQueue, EMPTY_ANALYTICS }
+  : require('./leaderboard-adapters.js');
+
 class HighScoreManager {
-  constructor() {
-    // Store config for lazy initialization
-    this.SUPABASE_URL = 'https://pusahwnnzjmfpxzadlng.supabase.co';
-    this.SUPABASE_ANON_KEY = 'sb_publishable_5i-0Hx0or7TT0ifnttS5tg_GrtDceam';
-    this.supabase = null;
+  /**
+   * @param {Object} [config] - Overrides for defaultConfig(); defaults to LEADERBOARD_CONFIG if defined
+   */
+  constructor(config = (typeof LEADERBOARD_CONFIG !== 'undefined' ? LEADERBOARD_CONFIG : {})) {
+    const defaults = HighScoreManager.defaultConfig();
+    this.config = {
+      ...defaults,
+      ...config,
+      supabase: { ...defaults.supabase, ...config.supabase }
+    };
+    this.adapter = ScoreBackends.createLeaderboardAdapter(this.config);
+    this.pending = new ScoreBackends.PendingScoreQueue();
 
     // Generate session ID for analytics
     this.sessionId = this.generateSessionId();
     this.sessionStarted = false;
-  }
-
-  // Initialize Supabase client on first use
-  initSupabase() {
-    if (this.supabase) return this.supabase;
 
-    if (typeof window !== 'undefined' && window.supabase && window.supabase.createClient) {
-      this.supabase = window.supabase.createClient(this.SUPABASE_URL, this.SUPABASE_ANON_KEY);
+    // Send queued scores now and whenever the connection comes back
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => this.syncPendingScores());
+      if (this.pending.list().length > 0) {
+        setTimeout(() => this.syncPendingScores(), 0);
+      }
     }
-    return this.supabase;
+  }
+
+  static defaultConfig() {
+    return {
+      backend: 'supabase',
+      // Send unlocked achievements to the backend too (see syncAchievements)
+      syncAchievements: false,
+      supabase: {
+        url: 'https://pusahwnnzjmfpxzadlng.supabase.co',
+        anonKey: 'sb_publishable_5i-0Hx0or7TT0ifnttS5tg_GrtDceam',
+        // Leaderboards only list scores verify-score.js has replayed and accepted
+        requireVerified: true
+      }
+    };
   }
 
   /**
@@ -71,38 +101,29 @@ class HighScoreManager {
   async trackSessionStart(themeName) {
     if (this.sessionStarted) return; // Prevent duplicate tracking
 
-    const supabase = this.initSupabase();
-    if (!supabase) return;
-
     try {
-      const fingerprint = this.generateFingerprint();
-
-      const { error } = await supabase
-        .from('game_sessions')
-        .insert({
-          session_id: this.sessionId,
-          theme_name: themeName,
-          started_at: new Date().toISOString(),
-          player_fingerprint: fingerprint
-        });
-
-      if (error) {
-        console.error('Error tracking session start:', error);
-      } else {
-        this.sessionStarted = true;
-      }
+      await this.adapter.trackSessionStart({
+        sessionId: this.sessionId,
+        themeName,
+        startedAt: new Date().toISOString(),
+        fingerprint: this.generateFingerprint()
+      });
+      this.sessionStarted = true;
     } catch (error) {
       console.error('Session tracking error:', error);
     }
   }
 
   /**
-   * Add a new score
+   * Add a new score. Runs that aren't leaderboardEligible (practice mode)
+   * are never recorded. details.replay (engine.getReplay()) goes with the
+   * score so the server can re-play the run and verify it. Daily Challenge
+   * runs (details.daily) go to that day's board and are ranked there.
+   * Returns { madeTopTen, rank }, plus queued: true if the score is waiting
+   * to be sent, or rejected: reason if the backend refused it.
    */
   async addScore(themeName, playerName, score, details = {}) {
-    const supabase = this.initSupabase();
-    if (!supabase) {
-      console.error('Cannot save score: Supabase not initialized');
+    if (details.leaderboardEligible === false) {
       return { madeTopTen: false, rank: -1 };
     }
 
@@ -110,119 +131,219 @@ class HighScoreManager {
       playerName = 'Anonymous';
     }
 
-    try {
-      // Save to Supabase
-      const { data, error } = await supabase
-        .from('high_scores')
-        .insert({
-          theme_name: themeName,
-          player_name: playerName.trim(),
-          score: score,
-          distance: details.distance || 0,
-          days: details.days || 0,
-          profession: details.profession || 'Unknown',
-          survived: details.survived || 0,
-          failed: details.failed || false
-        })
-        .select();
-
-      if (error) {
-        console.error('Error saving score:', error);
-        return { madeTopTen: false, rank: -1 };
-      }
+    const entry = {
+      themeName,
+      playerName: playerName.trim(),
+      score,
+      distance: details.distance || 0,
+      days: details.days || 0,
+      profession: details.profession || 'Unknown',
+      survived: details.survived || 0,
+      failed: details.failed || false,
+      daily: details.daily || null,
+      replay: details.replay || null,
+      sessionId: this.sessionId
+    };
 
-      // Update session with completion
-      await supabase
-        .from('game_sessions')
-        .update({
-          completed_at: new Date().toISOString(),
-          outcome: details.failed ? 'loss' : 'win',
-          final_score: score,
-          player_name: playerName.trim()
-        })
-        .eq('session_id', this.sessionId);
-
-      // Get rank (check position in top 10)
-      const { data: rankings, error: rankError } = await supabase
-        .from('high_scores')
-        .select('score')
-        .eq('theme_name', themeName)
-        .order('score', { ascending: false })
-        .limit(10);
-
-      if (rankError) {
-        console.error('Error getting rank:', rankError);
-        return { madeTopTen: false, rank: -1 };
+    try {
+      await this.submit(entry);
+      // Connected again, so anything queued can go too
+      if (this.pending.list().length > 0) this.syncPendingScores();
+    } catch (error) {
+      if (error.retryable && this.pending.push(entry)) {
+        console.warn('Score queued until the leaderboard is reachable:', error.message);
+        return { madeTopTen: false, rank: -1, queued: true };
       }
+      console.error('Error saving score:', error);
+      return { madeTopTen: false, rank: -1, rejected: error.retryable ? null : error.message };
+    }
 
-      const rank = rankings.findIndex(r => r.score <= score) + 1;
+    try {
+      // All-time rank among the theme's ranked scores, not just the top 10
+      const rank = await this.adapter.getRank(themeName, score, entry.daily);
 
       return {
-        madeTopTen: rank > 0 && rank <= 10,
-        rank: rank || (rankings.length + 1)
+        madeTopTen: rank <= 10,
+        rank
       };
     } catch (error) {
-      console.error('Unexpected error saving score:', error);
+      console.error('Error getting rank:', error);
       return { madeTopTen: false, rank: -1 };
     }
   }
 
   /**
-   * Get high scores for a specific theme
+   * Send one score and close its session
    */
-  async getScoresForTheme(themeName) {
-    const supabase = this.initSupabase();
-    if (!supabase) return [];
+  async submit(entry) {
+    await this.adapter.addScore(entry);
 
     try {
-      const { data, error } = await supabase
-        .from('high_scores')
-        .select('*')
-        .eq('theme_name', themeName)
-        .order('score', { ascending: false })
-        .limit(10);
-
-      if (error) {
-        console.error('Error fetching scores:', error);
-        return [];
+      await this.adapter.completeSession(entry.sessionId, {
+        completedAt: new Date().toISOString(),
+        outcome: entry.failed ? 'loss' : 'win',
+        finalScore: entry.score,
+        playerName: entry.playerName
+      });
+    } catch (error) {
+      console.error('Error completing session:', error);
+    }
+  }
+
+  /**
+   * Scores waiting to be sent
+   */
+  getPendingScores() {
+    return this.pending.list();
+  }
+
+  /**
+   * Send queued scores, oldest first. Stops at the first one that still
+   * can't get through; scores the backend rejects are dropped.
+   * @returns {Promise<{ sent: number, rejected: number, remaining: number }>}
+   */
+  async syncPendingScores() {
+    if (this.syncing) return this.syncing;
+
+    this.syncing = (async () => {
+      let sent = 0;
+      let rejected = 0;
+
+      for (const entry of this.pending.list()) {
+        try {
+          await this.submit(entry);
+          sent++;
+        } catch (error) {
+          if (error.retryable) break;
+          console.error('Queued score rejected:', error.message);
+          rejected++;
+        }
+        this.pending.shift();
       }
 
-      return data.map(score => ({
-        playerName: score.player_name,
-        score: score.score,
-        date: score.created_at,
-        distance: score.distance,
-        days: score.days,
-        profession: score.profession,
-        survived: score.survived
-      }));
+      return { sent, rejected, remaining: this.pending.list().length };
+    })();
+
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  /**
+   * Send a player's unlocked achievements for a theme to the leaderboard
+   * backend, when config.syncAchievements is on. All of them go each time,
+   * so any that didn't get through before catch up.
+   * @param {Object} unlocked - { achievementId: unlockedAt }, from achievementStore.unlocked()
+   * @returns {Promise<boolean>} Whether they were sent
+   */
+  async syncAchievements(playerName, themeName, unlocked) {
+    const achievements = Object.keys(unlocked).map(id => ({ id, unlockedAt: unlocked[id] }));
+    if (!this.config.syncAchievements || achievements.length === 0) return false;
+
+    try {
+      await this.adapter.addAchievements({
+        playerName: String(playerName || '').trim() || 'Anonymous',
+        themeName,
+        achievements
+      });
+      return true;
     } catch (error) {
-      console.error('Unexpected error fetching scores:', error);
-      return [];
+      console.error('Error syncing achievements:', error);
+      return false;
     }
   }
 
+  static get DAILY_ATTEMPTS_KEY() {
+    return 'trailLeaderboard:dailyAttempts';
+  }
+
   /**
-   * Get all themes that have scores
+   * Daily Challenges started in this browser: { themeName: 'YYYY-MM-DD' }
+   * (only the latest day matters)
    */
-  async getThemesWithScores() {
-    const supabase = this.initSupabase();
-    if (!supabase) return [];
+  dailyAttempts() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+      return JSON.parse(localStorage.getItem(HighScoreManager.DAILY_ATTEMPTS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
 
+  /**
+   * Whether this browser already used its one attempt at a Daily Challenge
+   */
+  hasPlayedDaily(themeName, date) {
+    return this.dailyAttempts()[themeName] === date;
+  }
+
+  /**
+   * Use up the day's attempt - called when a Daily Challenge run sets out,
+   * so quitting and starting over doesn't give another go
+   */
+  markDailyPlayed(themeName, date) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(HighScoreManager.DAILY_ATTEMPTS_KEY, JSON.stringify({
+      ...this.dailyAttempts(),
+      [themeName]: date
+    }));
+  }
+
+  /**
+   * Get the top 10 high scores for a specific theme
+   */
+  async getScoresForTheme(themeName) {
+    return (await this.getLeaderboard(themeName)).scores;
+  }
+
+  /**
+   * One page of a theme's leaderboard
+   * @param {Object} [options]
+   * @param {string} [options.profession] - Profession display name
+   * @param {string} [options.outcome] - 'win' or 'loss'
+   * @param {string} [options.period] - 'daily', 'weekly' or 'all'
+   * @param {number} [options.minSurvived] - Fewest party members who made it
+   * @param {string} [options.daily] - YYYY-MM-DD for that day's Daily Challenge board
+   * @param {number} [options.page=0]
+   * @param {number} [options.pageSize=10]
+   * @returns {Promise<{ scores, total, page, pages, error }>} scores carry their rank on this (filtered) board
+   */
+  async getLeaderboard(themeName, { page = 0, pageSize = 10, ...filters } = {}) {
     try {
-      const { data, error } = await supabase
-        .from('high_scores')
-        .select('theme_name');
+      const { scores, total } = await this.adapter.getLeaderboard(themeName, {
+        ...filters,
+        offset: page * pageSize,
+        limit: pageSize
+      });
+      return { scores, total, page, pages: Math.max(1, Math.ceil(total / pageSize)), error: null };
+    } catch (error) {
+      console.error('Error fetching scores:', error);
+      return { scores: [], total: 0, page, pages: 1, error: error.message };
+    }
+  }
 
-      if (error) {
-        console.error('Error fetching themes:', error);
-        return [];
-      }
+  /**
+   * A player's scores, newest first (optionally for one theme)
+   */
+  async getPlayerHistory(playerName, themeName = null) {
+    try {
+      return await this.adapter.getPlayerHistory(playerName, { themeName });
+    } catch (error) {
+      console.error('Error fetching player history:', error);
+      return [];
+    }
+  }
 
-      // Get unique theme names
-      return [...new Set(data.map(d => d.theme_name))];
+  /**
+   * Get all themes that have scores
+   */
+  async getThemesWithScores() {
+    try {
+      return await this.adapter.getThemesWithScores();
     } catch (error) {
-      console.error('Unexpected error fetching themes:', error);
+      console.error('Error fetching themes:', error);
       return [];
     }
   }
@@ -231,24 +352,10 @@ class HighScoreManager {
    * Clear all high scores (admin function)
    */
   async clearAllScores() {
-    const supabase = this.initSupabase();
-    if (!supabase) {
-      alert('Failed to clear scores. Supabase not initialized.');
-      return;
-    }
-
     try {
-      const { error } = await supabase
-        .from('high_scores')
-        .delete()
-        .neq('id', 0); // Delete all records
-
-      if (error) {
-        console.error('Error clearing scores:', error);
-        alert('Failed to clear scores. Please try again.');
-      }
+      await this.adapter.clearAllScores();
     } catch (error) {
-      console.error('Unexpected error clearing scores:', error);
+      console.error('Error clearing scores:', error);
       alert('Failed to clear scores. Please try again.');
     }
   }
@@ -257,75 +364,11 @@ class HighScoreManager {
    * Get analytics data
    */
   async getAnalytics() {
-    const supabase = this.initSupabase();
-    if (!supabase) {
-      return {
-        totalGames: 0,
-        completedGames: 0,
-        uniquePlayers: 0,
-        uniquePlayersByName: 0,
-        completionRate: '0.0',
-        gamesByTheme: {}
-      };
-    }
-
     try {
-      // Total games played
-      const { count: totalGames } = await supabase
-        .from('game_sessions')
-        .select('*', { count: 'exact', head: true });
-
-      // Completed games
-      const { count: completedGames } = await supabase
-        .from('game_sessions')
-        .select('*', { count: 'exact', head: true })
-        .not('completed_at', 'is', null);
-
-      // Unique players by fingerprint (more accurate than names)
-      const { data: fingerprints } = await supabase
-        .from('game_sessions')
-        .select('player_fingerprint')
-        .not('player_fingerprint', 'is', null);
-
-      const uniqueFingerprints = new Set(fingerprints.map(p => p.player_fingerprint)).size;
-
-      // Also count unique names for comparison
-      const { data: names } = await supabase
-        .from('game_sessions')
-        .select('player_name')
-        .not('player_name', 'is', null);
-
-      const uniqueNames = new Set(names.map(p => p.player_name)).size;
-
-      // Games by theme
-      const { data: byTheme } = await supabase
-        .from('game_sessions')
-        .select('theme_name')
-        .not('completed_at', 'is', null);
-
-      const themeCounts = {};
-      byTheme.forEach(g => {
-        themeCounts[g.theme_name] = (themeCounts[g.theme_name] || 0) + 1;
-      });
-
-      return {
-        totalGames: totalGames || 0,
-        completedGames: completedGames || 0,
-        uniquePlayers: uniqueFingerprints, // Use fingerprints for true unique count
-        uniquePlayersByName: uniqueNames, // Also track by name
-        completionRate: totalGames > 0 ? ((completedGames / totalGames) * 100).toFixed(1) : '0.0',
-        gamesByTheme: themeCounts
-      };
+      return await this.adapter.getAnalytics();
     } catch (error) {
       console.error('Error fetching analytics:', error);
-      return {
-        totalGames: 0,
-        completedGames: 0,
-        uniquePlayers: 0,
-        uniquePlayersByName: 0,
-        completionRate: '0.0',
-        gamesByTheme: {}
-      };
+      return { ...ScoreBackends.EMPTY_ANALYTICS, gamesByTheme: {} };
     }
   }
 
@@ -338,10 +381,14 @@ class HighScoreManager {
     // Base score: Distance traveled
     score += gameState.distance;
 
-    // Bonus: Surviving resources
-    score += gameState.resources.fuel * 2;
-    score += gameState.resources.morale * 3;
-    score += Math.max(0, gameState.resources.currency) * 0.5;
+    // Bonus: Surviving resources, weighted per theme. lowerIsBetter
+    // resources (e.g. Paranoia) score what's left below their max
+    Object.entries(theme.resources).forEach(([key, resource]) => {
+      if (!resource.scoreWeight) return;
+      const value = gameState.resources[key] || 0;
+      const remaining = resource.lowerIsBetter ? (resource.max || 100) - value : value;
+      score += Math.max(0, remaining) * resource.scoreWeight;
+    });
 
     // Bonus: Party members still with you
     const survivingMembers = gameState.party.filter(m => !m.abandoned).length;
@@ -349,20 +396,11 @@ class HighScoreManager {
 
     // Mystery theme bonuses
     if (theme.mystery && theme.mystery.enabled) {
-      // Evidence bonus (food = evidence in mystery themes like Roswell)
-      score += gameState.resources.food * 10;
-
       // Time bonus
-      const daysLeft = theme.mystery.timeLimit - gameState.day;
+      const daysLeft = theme.mystery.timeLimit - Math.floor(gameState.daysElapsed || 0);
       if (daysLeft > 0) {
         score += daysLeft * (theme.mystery.bonusPointsPerDay || 50);
       }
-
-      // Low paranoia bonus (if specialItem is paranoia)
-      if (theme.resources.specialItem.name === 'Paranoia') {
-        const paranoiaBonus = Math.max(0, 100 - gameState.resources.specialItem) * 5;
-        score += paranoiaBonus;
-      }
     }
 
     // Profession multiplier
@@ -371,6 +409,19 @@ class HighScoreManager {
     return Math.floor(score);
   }
 
+  /**
+   * Score for winning the Area 51 missile defense: the hits plus the
+   * mystery time bonus
+   */
+  calculateMemoryWipeScore(hits, gameState, theme) {
+    let bonusPoints = 0;
+    if (theme.mystery && theme.mystery.enabled) {
+      const daysRemaining = theme.mystery.timeLimit - Math.floor(gameState.daysElapsed || 0);
+      bonusPoints = Math.max(0, daysRemaining * theme.mystery.bonusPointsPerDay);
+    }
+    return hits + bonusPoints;
+  }
+
   /**
    * Format score for display
    */
@@ -0,0 +1,196 @@
+/**
+ * Journey Map - Lays out a run's journey for the map screen
+ *
+ * Locations (branch stops included) can carry map coordinates,
+ * "map": { "x": 40, "y": 62 }, as percentages of the map's width and
+ * height, plus an optional "icon". The theme's ui.map sets up the rest:
+ *
+ *   "map": {
+ *     "aspectRatio": 2,                  // width / height (default 1.6)
+ *     "background": "assets/map.png",    // optional image under the routes
+ *     "decorations": [{ "icon": "🌵", "x": 30, "y": 70 }]
+ *   }
+ *
+ * A location without coordinates is placed between its neighbours by
+ * distance, so a theme with none gets a straight line, left to right.
+ * This only works out positions; UIController.showMap() draws them.
+ */
+
+const MapRoutes = typeof RouteMap !== 'undefined' ? RouteMap : require('./routes.js');
+
+class JourneyMap {
+  static get DEFAULT_ASPECT_RATIO() {
+    return 1.6;
+  }
+
+  /**
+   * Where the line starts and ends when a theme doesn't say
+   */
+  static get EDGE_POINTS() {
+    return [{ x: 5, y: 50 }, { x: 95, y: 50 }];
+  }
+
+  /**
+   * Lay out the map for a run
+   * @param {Object} theme
+   * @param {Object} state - Engine state (routeChoices, currentLocationIndex, distance)
+   * @returns {{ width: number, height: number, background: string|null, decorations: Object[],
+   *   stops: Object[], paths: Object[], position: { x: number, y: number } }}
+   *   stops are { name, x, y, distance, icon, status, location }, status being
+   *   'visited', 'current', 'upcoming' or 'alternate' (on a route not taken).
+   *   paths are { kind, points, route }, kind being 'travelled', 'ahead' or 'alternate'.
+   */
+  static build(theme, state) {
+    const settings = (theme.ui && theme.ui.map) || {};
+    const width = 100 * (settings.aspectRatio || JourneyMap.DEFAULT_ASPECT_RATIO);
+    const scale = point => ({ x: point.x * width / 100, y: point.y });
+
+    const points = JourneyMap.placeAll(theme);
+    const pointOf = location => scale(points.get(location.name));
+    const run = MapRoutes.resolve(theme, state.routeChoices);
+    const index = Math.min(state.currentLocationIndex, run.locations.length - 1);
+
+    const status = new Map();
+    run.locations.forEach((location, i) => {
+      status.set(location.name, i < index ? 'visited' : i === index ? 'current' : 'upcoming');
+    });
+    const stops = MapRoutes.allLocations(theme).map(location => {
+      const runLocation = run.locations.find(loc => loc.name === location.name);
+      return {
+        name: location.name,
+        ...pointOf(location),
+        distance: runLocation ? runLocation.distance : null,
+        icon: JourneyMap.iconFor(location),
+        status: status.get(location.name) || 'alternate',
+        location
+      };
+    });
+
+    const position = JourneyMap.interpolate(run.locations, index, state.distance, pointOf);
+    const runPoints = run.locations.map(pointOf);
+    const paths = [
+      { kind: 'travelled', points: [...runPoints.slice(0, index + 1), position], route: null },
+      { kind: 'ahead', points: [position, ...runPoints.slice(index + 1)], route: null },
+      ...JourneyMap.alternatePaths(theme, run, pointOf)
+    ];
+
+    return {
+      width,
+      height: 100,
+      background: settings.background || null,
+      decorations: (settings.decorations || []).map(decoration => ({ ...decoration, ...scale(decoration) })),
+      stops,
+      paths,
+      position
+    };
+  }
+
+  /**
+   * Unscaled points for every location, keyed by name
+   */
+  static placeAll(theme) {
+    const points = new Map();
+    const [start, end] = JourneyMap.EDGE_POINTS;
+    const main = theme.locations;
+
+    JourneyMap.fill(main, main[0].map || start, main[main.length - 1].map || end)
+      .forEach((point, i) => points.set(main[i].name, point));
+
+    // Branch stops run from the fork to the rejoin location, with distances
+    // counted from the fork
+    main.filter(location => location.fork).forEach(location => {
+      const { fork } = location;
+      const rejoin = main.find(loc => loc.name === fork.rejoin);
+      fork.routes.filter(route => route.locations).forEach(route => {
+        const leg = [{ distance: 0 }, ...route.locations, { distance: route.distance }];
+        const placed = JourneyMap.fill(leg, points.get(location.name), points.get(rejoin.name));
+        route.locations.forEach((stop, i) => points.set(stop.name, placed[i + 1]));
+      });
+    });
+
+    return points;
+  }
+
+  /**
+   * Points for a run of locations: their own coordinates where given,
+   * otherwise interpolated by distance between the nearest ones that have them
+   * @param {Object[]} locations - In order, with distance
+   * @param {Object} first - Point for the first location if it has none
+   * @param {Object} last - Point for the last location if it has none
+   */
+  static fill(locations, first, last) {
+    const known = locations.map((location, i) => {
+      if (location.map) return { x: location.map.x, y: location.map.y };
+      if (i === 0) return { x: first.x, y: first.y };
+      if (i === locations.length - 1) return { x: last.x, y: last.y };
+      return null;
+    });
+
+    return known.map((point, i) => {
+      if (point) return point;
+
+      let before = i - 1;
+      while (!known[before]) before--;
+      let after = i + 1;
+      while (!known[after]) after++;
+
+      const span = locations[after].distance - locations[before].distance;
+      const t = span > 0 ? (locations[i].distance - locations[before].distance) / span : (i - before) / (after - before);
+      return JourneyMap.lerp(known[before], known[after], t);
+    });
+  }
+
+  /**
+   * The party's position between its current location and the next
+   */
+  static interpolate(locations, index, distance, pointOf) {
+    const current = locations[index];
+    const next = locations[index + 1];
+    if (!next || distance <= current.distance) return pointOf(current);
+
+    const t = Math.min(1, (distance - current.distance) / (next.distance - current.distance));
+    return JourneyMap.lerp(pointOf(current), pointOf(next), t);
+  }
+
+  /**
+   * Routes the run isn't taking, from their fork to its rejoin location
+   */
+  static alternatePaths(theme, run, pointOf) {
+    const main = theme.locations;
+
+    return main.filter(location => location.fork).flatMap(location => {
+      const { fork } = location;
+      const taken = run.routes[run.locations.findIndex(loc => loc.name === location.name)];
+      const startIndex = main.indexOf(location);
+      const rejoinIndex = main.findIndex(loc => loc.name === fork.rejoin);
+
+      return fork.routes.filter(route => route !== taken).map(route => ({
+        kind: 'alternate',
+        points: route.locations
+          ? [location, ...route.locations, main[rejoinIndex]].map(pointOf)
+          : main.slice(startIndex, rejoinIndex + 1).map(pointOf),
+        route
+      }));
+    });
+  }
+
+  /**
+   * A location's map icon: its own, or the emoji its landmark title starts with
+   */
+  static iconFor(location) {
+    if (location.map && location.map.icon) return location.map.icon;
+    if (!location.hasLandmark || !location.landmarkData) return null;
+
+    const match = location.landmarkData.title.match(/^[^\p{L}\p{N}\s]+/u);
+    return match ? match[0] : null;
+  }
+
+  static lerp(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JourneyMap;
+}
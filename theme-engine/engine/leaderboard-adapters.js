@@ -0,0 +1,670 @@
+/**
+ * Leaderboard Adapters - Where HighScoreManager keeps scores and sessions
+ *
+ * Every adapter has the same async methods:
+ *
+ *   addScore(entry)                      entry: { themeName, playerName, score, distance, days,
+ *                                          profession, survived, failed, daily, replay, sessionId }
+ *   getLeaderboard(themeName, query)     -> { scores: [{ rank, playerName, score, date, distance, days,
+ *                                          profession, survived, failed, daily, verified }], total }
+ *                                          (verified: true, false for a rejected replay, null
+ *                                          until checked; undefined where nothing is verified)
+ *   getRank(themeName, score, daily)     -> 1 + how many scores on the theme's board beat it
+ *   getPlayerHistory(playerName, { themeName })  -> scores, newest first, plus themeName
+ *   getThemesWithScores()                -> [themeName]
+ *   trackSessionStart(session)           session: { sessionId, themeName, startedAt, fingerprint }
+ *   completeSession(sessionId, result)   result: { completedAt, outcome, finalScore, playerName }
+ *   getAnalytics()                       -> { totalGames, completedGames, uniquePlayers, ... }
+ *   addAchievements(record)              record: { playerName, themeName, achievements: [{ id, unlockedAt }] }
+ *                                          (already-known ones are ignored)
+ *   clearAllScores()                     (throws on Supabase, where only the service role can delete)
+ *
+ * Methods throw when the backend can't be reached. Errors that may succeed
+ * later (offline, server down) carry error.retryable = true, which is what
+ * sends a score to the PendingScoreQueue instead of dropping it.
+ *
+ * createLeaderboardAdapter(config) picks one from config.backend:
+ * 'supabase' (default), 'local' or 'rest'.
+ */
+
+/**
+ * Error that may go away by itself (no connection, server unavailable)
+ */
+function retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+/**
+ * Leaderboard time windows, in milliseconds back from now (null = all time)
+ */
+const LEADERBOARD_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+/**
+ * Leaderboard query, with defaults filled in:
+ *   profession   - display name, as stored with the score (null = any)
+ *   outcome      - 'win', 'loss' or null for both
+ *   period       - a LEADERBOARD_PERIODS key
+ *   minSurvived  - fewest party members who made it
+ *   daily        - YYYY-MM-DD for that day's Daily Challenge board; null for
+ *                  the main board, which leaves Daily Challenge runs out
+ *   offset/limit - the page
+ */
+function normalizeLeaderboardQuery(query = {}) {
+  return {
+    profession: query.profession || null,
+    outcome: ['win', 'loss'].includes(query.outcome) ? query.outcome : null,
+    period: LEADERBOARD_PERIODS[query.period] !== undefined ? query.period : 'all',
+    minSurvived: Math.max(0, parseInt(query.minSurvived, 10) || 0),
+    daily: /^\d{4}-\d{2}-\d{2}$/.test(query.daily) ? query.daily : null,
+    offset: Math.max(0, parseInt(query.offset, 10) || 0),
+    limit: Math.max(1, parseInt(query.limit, 10) || 10)
+  };
+}
+
+/**
+ * ISO time a query's period starts at, or null for all time
+ */
+function leaderboardSince(period, now = Date.now()) {
+  const span = LEADERBOARD_PERIODS[period];
+  return span ? new Date(now - span).toISOString() : null;
+}
+
+/**
+ * Scores on one board: the main board, or a day's Daily Challenge, where
+ * only each player's first attempt counts, whether or not it was verified
+ */
+function boardScores(scores, daily) {
+  if (!daily) return scores.filter(score => !score.daily);
+
+  const firstAttempts = new Map();
+  scores
+    .filter(score => score.daily === daily)
+    .forEach(score => {
+      const first = firstAttempts.get(score.playerName);
+      if (!first || score.date < first.date) firstAttempts.set(score.playerName, score);
+    });
+  return [...firstAttempts.values()];
+}
+
+/**
+ * Filter, sort and page scores held in memory (LocalLeaderboard, server.js).
+ * Ties go to whoever got there first.
+ */
+function applyLeaderboardQuery(scores, query) {
+  const since = leaderboardSince(query.period);
+  const matching = boardScores(scores, query.daily)
+    .filter(score => !query.profession || score.profession === query.profession)
+    .filter(score => !query.outcome || !!score.failed === (query.outcome === 'loss'))
+    .filter(score => !since || score.date >= since)
+    .filter(score => (score.survived || 0) >= query.minSurvived)
+    .sort((a, b) => b.score - a.score || (a.date < b.date ? -1 : 1));
+
+  return {
+    scores: matching
+      .slice(query.offset, query.offset + query.limit)
+      .map((score, index) => ({ rank: query.offset + index + 1, ...score })),
+    total: matching.length
+  };
+}
+
+const EMPTY_ANALYTICS = {
+  totalGames: 0,
+  completedGames: 0,
+  uniquePlayers: 0,
+  uniquePlayersByName: 0,
+  completionRate: '0.0',
+  gamesByTheme: {}
+};
+
+/**
+ * Hosted Supabase project (see supabase-setup.sql)
+ */
+class SupabaseLeaderboard {
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {string} options.anonKey - Public "anon" key; RLS decides what it can do
+   * @param {boolean} [options.requireVerified=true] - Only list scores verify-score.js has accepted
+   *   (Daily Challenge boards list every first attempt either way)
+   */
+  constructor({ url, anonKey, requireVerified = true }) {
+    this.url = url;
+    this.anonKey = anonKey;
+    this.requireVerified = requireVerified;
+    this.supabase = null;
+  }
+
+  // Create the client on first use (the CDN script may be blocked or offline)
+  client() {
+    if (this.supabase) return this.supabase;
+
+    if (typeof window === 'undefined' || !window.supabase || !window.supabase.createClient) {
+      throw retryableError('Supabase client isn\'t loaded');
+    }
+    this.supabase = window.supabase.createClient(this.url, this.anonKey);
+    return this.supabase;
+  }
+
+  /**
+   * Turn a Supabase { error } into a thrown Error. Database errors carry a
+   * Postgres code; ones without are network failures worth retrying.
+   */
+  static check({ data, error, count }) {
+    if (error) {
+      const thrown = new Error(error.message || 'Supabase request failed');
+      thrown.retryable = !error.code;
+      throw thrown;
+    }
+    return { data, count };
+  }
+
+  static toScore(row) {
+    return {
+      playerName: row.player_name,
+      score: row.score,
+      date: row.created_at,
+      distance: row.distance,
+      days: row.days,
+      profession: row.profession,
+      survived: row.survived,
+      failed: row.failed,
+      daily: row.daily_date,
+      verified: row.verified
+    };
+  }
+
+  async addScore(entry) {
+    SupabaseLeaderboard.check(await this.client()
+      .from('high_scores')
+      .insert({
+        theme_name: entry.themeName,
+        player_name: entry.playerName,
+        score: entry.score,
+        distance: entry.distance,
+        days: entry.days,
+        profession: entry.profession,
+        survived: entry.survived,
+        failed: entry.failed,
+        daily_date: entry.daily || null,
+        replay: entry.replay
+      }));
+  }
+
+  // Scores that count for a theme's leaderboard, or a day's Daily Challenge
+  // (the daily_challenge_scores view keeps each player's first attempt,
+  // verified or not, so those aren't filtered)
+  ranked(themeName, select, options, daily = null) {
+    let query = this.client()
+      .from(daily ? 'daily_challenge_scores' : 'high_scores')
+      .select(select, options)
+      .eq('theme_name', themeName);
+    query = daily ? query.eq('daily_date', daily) : query.is('daily_date', null);
+    if (this.requireVerified && !daily) {
+      query = query.eq('verified', true);
+    }
+    return query;
+  }
+
+  async getLeaderboard(themeName, leaderboardQuery) {
+    const { profession, outcome, period, minSurvived, daily, offset, limit } = normalizeLeaderboardQuery(leaderboardQuery);
+    let query = this.ranked(themeName, '*', { count: 'exact' }, daily);
+
+    if (profession) query = query.eq('profession', profession);
+    if (outcome) query = query.eq('failed', outcome === 'loss');
+    const since = leaderboardSince(period);
+    if (since) query = query.gte('created_at', since);
+    if (minSurvived > 0) query = query.gte('survived', minSurvived);
+
+    const { data, count } = SupabaseLeaderboard.check(await query
+      .order('score', { ascending: false })
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1));
+
+    return {
+      scores: data.map((row, index) => ({ rank: offset + index + 1, ...SupabaseLeaderboard.toScore(row) })),
+      total: count || 0
+    };
+  }
+
+  async getRank(themeName, score, daily = null) {
+    const { count } = SupabaseLeaderboard.check(await this.ranked(themeName, '*', { count: 'exact', head: true }, daily)
+      .gt('score', score));
+    return (count || 0) + 1;
+  }
+
+  async getPlayerHistory(playerName, { themeName = null } = {}) {
+    let query = this.client()
+      .from('high_scores')
+      .select('*')
+      .eq('player_name', playerName);
+    if (themeName) {
+      query = query.eq('theme_name', themeName);
+    }
+    if (this.requireVerified) {
+      query = query.eq('verified', true);
+    }
+
+    const { data } = SupabaseLeaderboard.check(await query.order('created_at', { ascending: false }));
+    return data.map(score => ({ themeName: score.theme_name, ...SupabaseLeaderboard.toScore(score) }));
+  }
+
+  async getThemesWithScores() {
+    const { data } = SupabaseLeaderboard.check(await this.client()
+      .from('high_scores')
+      .select('theme_name'));
+
+    return [...new Set(data.map(d => d.theme_name))];
+  }
+
+  async trackSessionStart(session) {
+    SupabaseLeaderboard.check(await this.client()
+      .from('game_sessions')
+      .insert({
+        session_id: session.sessionId,
+        theme_name: session.themeName,
+        started_at: session.startedAt,
+        player_fingerprint: session.fingerprint
+      }));
+  }
+
+  async completeSession(sessionId, result) {
+    SupabaseLeaderboard.check(await this.client()
+      .from('game_sessions')
+      .update({
+        completed_at: result.completedAt,
+        outcome: result.outcome,
+        final_score: result.finalScore,
+        player_name: result.playerName
+      })
+      .eq('session_id', sessionId));
+  }
+
+  async getAnalytics() {
+    const supabase = this.client();
+
+    // Total games played
+    const { count: totalGames } = SupabaseLeaderboard.check(await supabase
+      .from('game_sessions')
+      .select('*', { count: 'exact', head: true }));
+
+    // Completed games
+    const { count: completedGames } = SupabaseLeaderboard.check(await supabase
+      .from('game_sessions')
+      .select('*', { count: 'exact', head: true })
+      .not('completed_at', 'is', null));
+
+    // Unique players by fingerprint (more accurate than names)
+    const { data: fingerprints } = SupabaseLeaderboard.check(await supabase
+      .from('game_sessions')
+      .select('player_fingerprint')
+      .not('player_fingerprint', 'is', null));
+
+    // Also count unique names for comparison
+    const { data: names } = SupabaseLeaderboard.check(await supabase
+      .from('game_sessions')
+      .select('player_name')
+      .not('player_name', 'is', null));
+
+    // Games by theme
+    const { data: byTheme } = SupabaseLeaderboard.check(await supabase
+      .from('game_sessions')
+      .select('theme_name')
+      .not('completed_at', 'is', null));
+
+    return summarizeSessions({
+      totalGames: totalGames || 0,
+      completedGames: completedGames || 0,
+      fingerprints: fingerprints.map(p => p.player_fingerprint),
+      names: names.map(p => p.player_name),
+      completedThemes: byTheme.map(g => g.theme_name)
+    });
+  }
+
+  async addAchievements({ playerName, themeName, achievements }) {
+    SupabaseLeaderboard.check(await this.client()
+      .from('player_achievements')
+      .upsert(achievements.map(achievement => ({
+        player_name: playerName,
+        theme_name: themeName,
+        achievement_id: achievement.id,
+        unlocked_at: achievement.unlockedAt
+      })), { onConflict: 'player_name,theme_name,achievement_id', ignoreDuplicates: true }));
+  }
+
+  // The anon key has no delete policy (supabase-setup.sql), so a delete
+  // would quietly remove nothing
+  async clearAllScores() {
+    throw new Error('Supabase scores can only be cleared from the dashboard or with the service role key');
+  }
+}
+
+/**
+ * Analytics summary shared by the adapters
+ */
+function summarizeSessions({ totalGames, completedGames, fingerprints, names, completedThemes }) {
+  const gamesByTheme = {};
+  completedThemes.forEach(theme => {
+    gamesByTheme[theme] = (gamesByTheme[theme] || 0) + 1;
+  });
+
+  return {
+    totalGames,
+    completedGames,
+    uniquePlayers: new Set(fingerprints).size, // Use fingerprints for true unique count
+    uniquePlayersByName: new Set(names).size, // Also track by name
+    completionRate: totalGames > 0 ? ((completedGames / totalGames) * 100).toFixed(1) : '0.0',
+    gamesByTheme
+  };
+}
+
+/**
+ * Scores and sessions kept in this browser only. Works offline and
+ * without any backend; nothing here is verified.
+ */
+class LocalLeaderboard {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Defaults to window.localStorage when available
+   */
+  constructor({ storage = (typeof localStorage !== 'undefined' ? localStorage : null) } = {}) {
+    this.storage = storage;
+  }
+
+  static get SCORES_KEY() {
+    return 'trailLeaderboard:scores';
+  }
+
+  static get SESSIONS_KEY() {
+    return 'trailLeaderboard:sessions';
+  }
+
+  /**
+   * Sessions beyond this many (oldest first) are forgotten
+   */
+  static get MAX_SESSIONS() {
+    return 500;
+  }
+
+  read(key) {
+    if (!this.storage) return [];
+    try {
+      return JSON.parse(this.storage.getItem(key)) || [];
+    } catch (error) {
+      console.warn('Corrupt local leaderboard data:', key, error);
+      return [];
+    }
+  }
+
+  write(key, list) {
+    if (!this.storage) throw new Error('localStorage isn\'t available');
+    this.storage.setItem(key, JSON.stringify(list));
+  }
+
+  async addScore(entry) {
+    const scores = this.read(LocalLeaderboard.SCORES_KEY);
+    // Replays are large and there's no one to verify them locally
+    const { replay, ...score } = entry;
+    scores.push({ ...score, date: new Date().toISOString() });
+    this.write(LocalLeaderboard.SCORES_KEY, scores);
+  }
+
+  static toScore({ playerName, score, date, distance, days, profession, survived, failed, daily = null }) {
+    return { playerName, score, date, distance, days, profession, survived, failed, daily };
+  }
+
+  themeScores(themeName) {
+    return this.read(LocalLeaderboard.SCORES_KEY)
+      .filter(score => score.themeName === themeName)
+      .map(LocalLeaderboard.toScore);
+  }
+
+  async getLeaderboard(themeName, query) {
+    return applyLeaderboardQuery(this.themeScores(themeName), normalizeLeaderboardQuery(query));
+  }
+
+  async getRank(themeName, score, daily = null) {
+    return boardScores(this.themeScores(themeName), daily).filter(entry => entry.score > score).length + 1;
+  }
+
+  async getPlayerHistory(playerName, { themeName = null } = {}) {
+    return this.read(LocalLeaderboard.SCORES_KEY)
+      .filter(score => score.playerName === playerName && (!themeName || score.themeName === themeName))
+      .sort((a, b) => (a.date < b.date ? 1 : -1))
+      .map(score => ({ themeName: score.themeName, ...LocalLeaderboard.toScore(score) }));
+  }
+
+  async getThemesWithScores() {
+    return [...new Set(this.read(LocalLeaderboard.SCORES_KEY).map(score => score.themeName))];
+  }
+
+  async trackSessionStart(session) {
+    const sessions = this.read(LocalLeaderboard.SESSIONS_KEY);
+    sessions.push({ ...session });
+    this.write(LocalLeaderboard.SESSIONS_KEY, sessions.slice(-LocalLeaderboard.MAX_SESSIONS));
+  }
+
+  async completeSession(sessionId, result) {
+    const sessions = this.read(LocalLeaderboard.SESSIONS_KEY);
+    const session = sessions.find(s => s.sessionId === sessionId);
+    if (!session) return;
+    Object.assign(session, result);
+    this.write(LocalLeaderboard.SESSIONS_KEY, sessions);
+  }
+
+  async getAnalytics() {
+    const sessions = this.read(LocalLeaderboard.SESSIONS_KEY);
+    const completed = sessions.filter(s => s.completedAt);
+
+    return summarizeSessions({
+      totalGames: sessions.length,
+      completedGames: completed.length,
+      fingerprints: sessions.map(s => s.fingerprint).filter(Boolean),
+      names: sessions.map(s => s.playerName).filter(Boolean),
+      completedThemes: completed.map(s => s.themeName)
+    });
+  }
+
+  // Achievements already live in this browser (AchievementStore)
+  async addAchievements() {}
+
+  async clearAllScores() {
+    this.write(LocalLeaderboard.SCORES_KEY, []);
+  }
+}
+
+/**
+ * Our own score API (server.js), which verifies each run before ranking it
+ *
+ *   POST   /scores                  entry -> 201, or 4xx { error } if rejected
+ *   GET    /scores?theme=&offset=&limit=&profession=&outcome=&period=&minSurvived=&daily=
+ *                                   -> { scores, total }
+ *   GET    /scores/rank?theme=&score=&daily=  -> { rank }
+ *   DELETE /scores
+ *   GET    /themes                  -> { themes }
+ *   GET    /players/:name/scores?theme=  -> { scores }
+ *   POST   /sessions                session
+ *   PATCH  /sessions/:sessionId     result
+ *   GET    /analytics               -> analytics
+ *   POST   /achievements            record
+ */
+class RestLeaderboard {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl='/api']
+   */
+  constructor({ baseUrl = '/api' } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * fetch() a path, returning parsed JSON (null for empty responses).
+   * Network failures and 5xx are retryable; 4xx errors (e.g. a rejected
+   * score) aren't, and carry the server's message and error.status.
+   */
+  async request(method, path, body) {
+    let response;
+    try {
+      response = await fetch(this.baseUrl + path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw retryableError(`Score server unreachable (${error.message})`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = null;
+    }
+
+    if (!response.ok) {
+      const error = new Error((data && data.error) || `Score server error ${response.status}`);
+      error.status = response.status;
+      error.retryable = response.status >= 500;
+      throw error;
+    }
+    return data;
+  }
+
+  async addScore(entry) {
+    return this.request('POST', '/scores', entry);
+  }
+
+  async getLeaderboard(themeName, leaderboardQuery) {
+    const params = { theme: themeName, ...normalizeLeaderboardQuery(leaderboardQuery) };
+    const query = Object.keys(params)
+      .filter(key => params[key] !== null)
+      .map(key => `${key}=${encodeURIComponent(params[key])}`)
+      .join('&');
+    return this.request('GET', `/scores?${query}`);
+  }
+
+  async getRank(themeName, score, daily = null) {
+    let query = `theme=${encodeURIComponent(themeName)}&score=${encodeURIComponent(score)}`;
+    if (daily) query += `&daily=${encodeURIComponent(daily)}`;
+    return (await this.request('GET', `/scores/rank?${query}`)).rank;
+  }
+
+  async getPlayerHistory(playerName, { themeName = null } = {}) {
+    const query = themeName ? `?theme=${encodeURIComponent(themeName)}` : '';
+    return (await this.request('GET', `/players/${encodeURIComponent(playerName)}/scores${query}`)).scores;
+  }
+
+  async getThemesWithScores() {
+    return (await this.request('GET', '/themes')).themes;
+  }
+
+  async trackSessionStart(session) {
+    await this.request('POST', '/sessions', session);
+  }
+
+  async completeSession(sessionId, result) {
+    await this.request('PATCH', `/sessions/${encodeURIComponent(sessionId)}`, result);
+  }
+
+  async getAnalytics() {
+    return this.request('GET', '/analytics');
+  }
+
+  async addAchievements(record) {
+    await this.request('POST', '/achievements', record);
+  }
+
+  async clearAllScores() {
+    await this.request('DELETE', '/scores');
+  }
+}
+
+/**
+ * Scores that couldn't be sent yet, kept in localStorage until
+ * HighScoreManager.syncPendingScores() gets them through
+ */
+class PendingScoreQueue {
+  /**
+   * @param {Storage} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+    this.storage = storage;
+  }
+
+  static get KEY() {
+    return 'trailLeaderboard:pending';
+  }
+
+  list() {
+    if (!this.storage) return [];
+    try {
+      return JSON.parse(this.storage.getItem(PendingScoreQueue.KEY)) || [];
+    } catch (error) {
+      console.warn('Corrupt pending score queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @returns {boolean} false if there's nowhere to keep it
+   */
+  push(entry) {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(PendingScoreQueue.KEY, JSON.stringify([...this.list(), entry]));
+      return true;
+    } catch (error) {
+      console.warn('Could not queue score:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Drop the first `count` entries (the ones just sent or given up on)
+   */
+  shift(count = 1) {
+    if (!this.storage) return;
+    const remaining = this.list().slice(count);
+    if (remaining.length > 0) {
+      this.storage.setItem(PendingScoreQueue.KEY, JSON.stringify(remaining));
+    } else {
+      this.storage.removeItem(PendingScoreQueue.KEY);
+    }
+  }
+}
+
+/**
+ * Build the adapter config.backend names
+ * @param {Object} config - { backend, supabase: {...}, local: {...}, rest: {...} }
+ */
+function createLeaderboardAdapter(config) {
+  switch (config.backend || 'supabase') {
+    case 'supabase': return new SupabaseLeaderboard(config.supabase || {});
+    case 'local': return new LocalLeaderboard(config.local || {});
+    case 'rest': return new RestLeaderboard(config.rest || {});
+    default: throw new Error(`Unknown leaderboard backend "${config.backend}"`);
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SupabaseLeaderboard,
+    LocalLeaderboard,
+    RestLeaderboard,
+    PendingScoreQueue,
+    createLeaderboardAdapter,
+    summarizeSessions,
+    normalizeLeaderboardQuery,
+    applyLeaderboardQuery,
+    boardScores,
+    LEADERBOARD_PERIODS,
+    EMPTY_ANALYTICS
+  };
+}
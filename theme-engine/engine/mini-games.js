@@ -10,8 +10,14 @@
  */
 
 class MiniGameEngine {
-  constructor(theme) {
+  /**
+   * @param {Object} theme - Theme configuration
+   * @param {SeededRandom} [rng] - The game's own stream: pass gameEngine.startMiniGame(type), a fork
+   *   of the run's RNG, so spawns replay with the seed without shifting later rolls
+   */
+  constructor(theme, rng = new SeededRandom()) {
     this.theme = theme;
+    this.rng = rng;
     this.currentGame = null;
     this.gameState = {};
   }
@@ -99,7 +105,7 @@ class MiniGameEngine {
     const items = this.getRegionalItems(config);
 
     for (let i = 0; i < 12; i++) {
-      const item = items[Math.floor(Math.random() * items.length)];
+      const item = this.rng.pick(items);
       const div = document.createElement('div');
       div.className = 'forage-item';
       div.textContent = item.icon;
@@ -185,7 +191,7 @@ class MiniGameEngine {
         <p>${config.description}</p>
 
         <div class="game-stats">
-          <span>⏱️ <span id="avoidanceTime">${config.duration}</span>s</span>
+          <span>⏱️ <span id="avoidanceTime">${config.duration || 30}</span>s</span>
           <span>✨ <span id="avoidanceScore">0</span></span>
           <span>💥 <span id="avoidanceHits">0</span>/${config.maxHits || 3}</span>
         </div>
@@ -253,13 +259,13 @@ class MiniGameEngine {
 
   spawnAvoidanceObstacle(config) {
     const gameArea = document.getElementById('avoidanceGame');
-    const xPosition = Math.floor(Math.random() * 400) + 50;
+    const xPosition = this.rng.int(50, 449);
 
     const items = [...(config.goodItems || []), ...(config.badItems || [])];
-    const item = items[Math.floor(Math.random() * items.length)];
+    const item = this.rng.pick(items);
 
     const obstacle = document.createElement('div');
-    obstacle.textContent = item.icon;
+    obstacle.textContent = item.icon || item.emoji;
     obstacle.className = 'avoidance-obstacle';
     obstacle.style.position = 'absolute';
     obstacle.style.fontSize = '3rem';
@@ -277,7 +283,7 @@ class MiniGameEngine {
       x: xPosition,
       y: -50,
       type: item.type,
-      value: item.value,
+      value: item.value !== undefined ? item.value : item.points,
       collected: false
     });
   }
@@ -410,7 +416,7 @@ class MiniGameEngine {
     }
 
     // Shuffle
-    allParts.sort(() => Math.random() - 0.5);
+    this.rng.shuffle(allParts);
 
     // Render
     allParts.forEach((part, index) => {
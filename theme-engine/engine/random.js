@@ -0,0 +1,124 @@
+/**
+ * Seeded Random - Deterministic Random Number Generator
+ *
+ * A small seedable PRNG (mulberry32) used for every gameplay roll so that
+ * a run can be reproduced exactly from its seed. The generator's internal
+ * state is a single 32-bit integer, which makes it trivial to save/restore.
+ */
+
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Create a fresh seed for a new run (small enough to read out in a bug report)
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 100000);
+  }
+
+  /**
+   * Turn any seed (number or string) into an unsigned 32-bit integer
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    // Hash strings (e.g. "8812" typed into a prompt, or a date string)
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer between min and max (inclusive)
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Returns true with the given probability (0-1)
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element from an array
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Derive an independent child generator. Only one roll is taken from this
+   * generator, so a real-time mini-game can draw as many numbers as it likes
+   * without shifting the main sequence.
+   */
+  fork() {
+    return new SeededRandom(Math.floor(this.next() * 4294967296));
+  }
+
+  /**
+   * A generator seeded from this one's current position, without taking a
+   * roll. For cosmetic picks (flavor text, scenery) the UI makes: they follow
+   * the seed, but a headless replay that never makes them stays in step.
+   */
+  cosmetic() {
+    return new SeededRandom((this.state ^ 0x9E3779B9) >>> 0);
+  }
+
+  /**
+   * Snapshot generator position (for save files)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore generator position from a snapshot
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
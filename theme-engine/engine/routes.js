@@ -0,0 +1,107 @@
+/**
+ * Route Map - The path a run takes through a theme's locations
+ *
+ * theme.locations is the main line. A location can offer a fork: other
+ * routes to a later main-line location ("rejoin"), each with its own stops,
+ * distance, events and unlock:
+ *
+ *   "fork": {
+ *     "text": "The road splits at Springerville.",
+ *     "rejoin": "Kingman, AZ",
+ *     "routes": [
+ *       { "id": "back_roads", "name": "Back roads through Sedona" },
+ *       { "id": "interstate", "name": "I-40 through Flagstaff", "distance": 270,
+ *         "locations": [{ "name": "Flagstaff, AZ", "distance": 180, "isShop": true }],
+ *         "events": [ ... ] }
+ *     ]
+ *   }
+ *
+ * The route without "locations" is the main line, which is what a run
+ * follows until it picks another. On the others, "distance" is the miles
+ * from the fork to the rejoin location and each stop's distance counts
+ * from the fork too. The rest of the main line moves up or down to match.
+ *
+ * Choices are kept as { forkLocationName: routeId } (state.routeChoices).
+ */
+
+class RouteMap {
+  /**
+   * The main-line route of a fork
+   */
+  static mainRoute(fork) {
+    return fork.routes.find(route => !route.locations);
+  }
+
+  /**
+   * Resolve a theme's path for a set of route choices
+   * @param {Object} theme
+   * @param {Object} [choices] - { forkLocationName: routeId }
+   * @returns {{ locations: Object[], routes: Array<Object|null>, totalDistance: number }}
+   *   routes[i] is the route taken out of locations[i] (null off any fork)
+   */
+  static resolve(theme, choices = {}) {
+    const main = theme.locations;
+    const locations = [];
+    const routes = [];
+    let offset = 0;
+    let following = null; // Main-line route being followed to its rejoin location
+
+    for (let i = 0; i < main.length; i++) {
+      if (following && main[i].name === following.rejoin) following = null;
+      const location = offset === 0 ? main[i] : { ...main[i], distance: main[i].distance + offset };
+      locations.push(location);
+      routes.push(following && following.route);
+
+      const fork = main[i].fork;
+      if (!fork) continue;
+
+      const route = fork.routes.find(r => r.id === choices[main[i].name]) || RouteMap.mainRoute(fork);
+      routes[routes.length - 1] = route;
+      if (!route.locations) {
+        following = { route, rejoin: fork.rejoin };
+        continue;
+      }
+
+      route.locations.forEach(stop => {
+        locations.push({ ...stop, distance: location.distance + stop.distance });
+        routes.push(route);
+      });
+
+      // Skip the main line's stops up to the rejoin location, which moves
+      // to the end of the route
+      const rejoinIndex = main.findIndex(loc => loc.name === fork.rejoin);
+      offset = location.distance + route.distance - main[rejoinIndex].distance;
+      i = rejoinIndex - 1;
+    }
+
+    return {
+      locations,
+      routes,
+      totalDistance: theme.journey.totalDistance + offset
+    };
+  }
+
+  /**
+   * Every location a run could pass through, main line first
+   */
+  static allLocations(theme) {
+    const branchStops = theme.locations
+      .filter(location => location.fork)
+      .flatMap(location => location.fork.routes.flatMap(route => route.locations || []));
+    return [...theme.locations, ...branchStops];
+  }
+
+  /**
+   * Every route's events (for event lookups and save checks)
+   */
+  static allRouteEvents(theme) {
+    return theme.locations
+      .filter(location => location.fork)
+      .flatMap(location => location.fork.routes.flatMap(route => route.events || []));
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RouteMap;
+}
@@ -0,0 +1,203 @@
+/**
+ * Save Codec - Portable save codes and save files
+ *
+ * Turns TrailGameEngine.saveGame() output into something a player can hand
+ * to someone else:
+ *
+ * - a share code:  trail1.<mode>.<payload>.<checksum>
+ *   mode "z" is deflate-compressed JSON, "j" plain JSON (browsers without
+ *   CompressionStream); payload is base64url; checksum is the CRC-32 of
+ *   the save's JSON, in hex
+ * - a save file:   { format: "trail-save", version, checksum, meta, save }
+ *
+ * The checksum makes edits evident, it doesn't prevent them: anyone reading
+ * this file can recompute it. It's enough to keep hand-edited saves out of
+ * runs headed for the leaderboard (leaderboardEligible), which importSave()
+ * refuses when the checksum doesn't match.
+ */
+
+class SaveCodec {
+  static get CODE_PREFIX() {
+    return 'trail1';
+  }
+
+  static get FILE_FORMAT() {
+    return 'trail-save';
+  }
+
+  static get FILE_VERSION() {
+    return 1;
+  }
+
+  /**
+   * CRC-32 (IEEE) of a string's UTF-8 bytes, as 8 hex digits
+   */
+  static checksum(text) {
+    if (!SaveCodec.crcTable) {
+      SaveCodec.crcTable = [];
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        SaveCodec.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    new TextEncoder().encode(text).forEach(byte => {
+      crc = SaveCodec.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    });
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+  }
+
+  static toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  static canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined';
+  }
+
+  static async pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Share code for a save
+   * @returns {Promise<string>}
+   */
+  static async encode(saveData) {
+    const json = JSON.stringify(saveData);
+    const bytes = new TextEncoder().encode(json);
+    const compress = SaveCodec.canCompress();
+    const payload = compress ? await SaveCodec.pipeBytes(bytes, new CompressionStream('deflate-raw')) : bytes;
+
+    return [
+      SaveCodec.CODE_PREFIX,
+      compress ? 'z' : 'j',
+      SaveCodec.toBase64Url(payload),
+      SaveCodec.checksum(json)
+    ].join('.');
+  }
+
+  /**
+   * Save file contents (pretty-printed JSON) for a save
+   * @param {Object} [meta] - Summary for people opening the file (SaveManager.describe)
+   */
+  static toFile(saveData, meta = null) {
+    return JSON.stringify({
+      format: SaveCodec.FILE_FORMAT,
+      version: SaveCodec.FILE_VERSION,
+      checksum: SaveCodec.checksum(JSON.stringify(saveData)),
+      meta,
+      save: saveData
+    }, null, 2);
+  }
+
+  /**
+   * Suggested download name, e.g. "norcal-trail-day-12.trailsave.json"
+   */
+  static fileName(themeName, day) {
+    const slug = String(themeName || 'save').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'save'}-day-${day || 0}.trailsave.json`;
+  }
+
+  /**
+   * Read a share code or save file (either pasted or a file's text).
+   * Throws if it isn't one; otherwise reports whether the checksum matched.
+   * @returns {Promise<{ save: Object, intact: boolean }>}
+   */
+  static async decode(text) {
+    const input = String(text || '').trim();
+    if (input.startsWith('{')) {
+      return SaveCodec.decodeFile(input);
+    }
+
+    const parts = input.replace(/\s+/g, '').split('.');
+    if (parts.length !== 4 || parts[0] !== SaveCodec.CODE_PREFIX || !['z', 'j'].includes(parts[1])) {
+      throw new Error('That isn\'t a save code');
+    }
+    const [, mode, payload, checksum] = parts;
+
+    let json;
+    try {
+      let bytes = SaveCodec.fromBase64Url(payload);
+      if (mode === 'z') {
+        if (!SaveCodec.canCompress()) {
+          throw new Error('This browser can\'t read compressed save codes');
+        }
+        bytes = await SaveCodec.pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+      }
+      json = new TextDecoder().decode(bytes);
+    } catch (error) {
+      throw new Error(`Save code is damaged (${error.message})`);
+    }
+
+    return { save: SaveCodec.parseSave(json), intact: SaveCodec.checksum(json) === checksum };
+  }
+
+  static decodeFile(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Save file isn\'t valid JSON');
+    }
+    if (!file || file.format !== SaveCodec.FILE_FORMAT || !file.save) {
+      throw new Error('That isn\'t a save file');
+    }
+    if (file.version > SaveCodec.FILE_VERSION) {
+      throw new Error(`This save file was made by a newer version of the game (file version ${file.version})`);
+    }
+
+    return { save: file.save, intact: SaveCodec.checksum(JSON.stringify(file.save)) === file.checksum };
+  }
+
+  static parseSave(json) {
+    let save;
+    try {
+      save = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Save code is damaged (not valid JSON)');
+    }
+    if (!save || typeof save !== 'object' || !save.state) {
+      throw new Error('Save code doesn\'t contain a game');
+    }
+    return save;
+  }
+
+  /**
+   * Decode a code or file for loading. A save whose checksum doesn't match
+   * is refused if the run would still go to the leaderboard; other edited
+   * saves load as-is (they're already off the leaderboard).
+   * Throws an Error with error.tampered = true for refused saves.
+   * @returns {Promise<{ save: Object, intact: boolean }>}
+   */
+  static async importSave(text) {
+    const result = await SaveCodec.decode(text);
+
+    if (!result.intact && result.save.state.leaderboardEligible !== false) {
+      const error = new Error('This save has been edited since it was exported, so it can\'t be imported as a leaderboard run.');
+      error.tampered = true;
+      throw error;
+    }
+
+    return result;
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SaveCodec;
+}
@@ -0,0 +1,145 @@
+/**
+ * Save Manager - Named save slots in localStorage
+ *
+ * Each slot holds TrailGameEngine.saveGame() output plus a small summary
+ * (theme, profession, day, distance, party) so the load menu can describe
+ * a run without restoring it. The "autosave" slot is written by the UI on
+ * every location arrival.
+ */
+
+class SaveManager {
+  /**
+   * @param {Storage} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+    this.storage = storage;
+  }
+
+  static get KEY_PREFIX() {
+    return 'trailSave:';
+  }
+
+  static get AUTOSAVE_SLOT() {
+    return 'autosave';
+  }
+
+  static get MAX_SLOT_NAME_LENGTH() {
+    return 30;
+  }
+
+  /**
+   * Summary shown in the load menu
+   */
+  static describe(engine) {
+    const { state, theme } = engine;
+    const profession = theme.professions.find(p => p.id === state.profession);
+    const location = engine.getCurrentLocation();
+
+    return {
+      themeName: theme.name,
+      profession: profession ? profession.displayName : null,
+      day: state.daysElapsed || 0,
+      month: state.month,
+      dayOfMonth: state.day,
+      distance: Math.floor(state.distance),
+      totalDistance: state.totalDistance,
+      location: location ? location.name : null,
+      party: state.party.map(member => ({ name: member.name, abandoned: !!member.abandoned }))
+    };
+  }
+
+  /**
+   * Trim and cap a player-entered slot name; empty names aren't allowed
+   */
+  static normalizeSlotName(name) {
+    const slot = String(name || '').trim().slice(0, SaveManager.MAX_SLOT_NAME_LENGTH);
+    if (!slot) throw new Error('Save name is required');
+    return slot;
+  }
+
+  /**
+   * Write the engine's current run to a slot (overwriting it)
+   * @param {Object} [options]
+   * @param {string} [options.resume] - Where the UI should pick up on load ('arrival' replays the location arrival)
+   * @returns {boolean} false if storage is unavailable or full
+   */
+  save(slot, engine, options = {}) {
+    if (!this.storage) return false;
+
+    const name = SaveManager.normalizeSlotName(slot);
+    const record = {
+      slot: name,
+      savedAt: new Date().toISOString(),
+      resume: options.resume || null,
+      meta: SaveManager.describe(engine),
+      data: engine.saveGame()
+    };
+
+    try {
+      this.storage.setItem(SaveManager.KEY_PREFIX + name, JSON.stringify(record));
+      return true;
+    } catch (error) {
+      console.warn('Could not write save slot:', name, error);
+      return false;
+    }
+  }
+
+  /**
+   * Read a slot's full record, or null if it's missing or unreadable
+   */
+  load(slot) {
+    if (!this.storage) return null;
+
+    const raw = this.storage.getItem(SaveManager.KEY_PREFIX + slot);
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('Corrupt save slot:', slot, error);
+      return null;
+    }
+  }
+
+  delete(slot) {
+    if (!this.storage) return;
+    this.storage.removeItem(SaveManager.KEY_PREFIX + slot);
+  }
+
+  /**
+   * Slot records without the game data, newest first.
+   * Pass a theme name to only list that theme's saves.
+   */
+  listSlots(themeName = null) {
+    if (!this.storage) return [];
+
+    const slots = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key || !key.startsWith(SaveManager.KEY_PREFIX)) continue;
+
+      const record = this.load(key.slice(SaveManager.KEY_PREFIX.length));
+      if (!record || !record.meta) continue;
+      if (themeName && record.meta.themeName !== themeName) continue;
+
+      slots.push({ slot: record.slot, savedAt: record.savedAt, resume: record.resume, meta: record.meta });
+    }
+
+    return slots.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+  }
+
+  /**
+   * Most recent save for a theme (what "Continue" resumes), or null
+   */
+  latest(themeName) {
+    return this.listSlots(themeName)[0] || null;
+  }
+}
+
+// Global instance
+const saveManager = new SaveManager();
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SaveManager;
+}
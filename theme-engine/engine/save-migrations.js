@@ -0,0 +1,292 @@
+/**
+ * Save Migrator - Upgrades and checks saves before TrailGameEngine.loadGame
+ *
+ * A save can be behind in two ways:
+ * - saveVersion: the shape of saveGame() output, upgraded by ENGINE_MIGRATIONS
+ * - themeVersion: the theme renamed events, flags, items, resources or
+ *   professions since. Themes list those renames in "saveMigrations":
+ *
+ *   "saveMigrations": [
+ *     { "version": "1.1.0", "renameEvents": { "black_suv": "suv_sighting" } }
+ *   ]
+ *
+ *   Each entry applies to saves made with an older theme version, oldest first.
+ *
+ * validate() then lists whatever the migrated save still references that the
+ * theme doesn't have. Most problems carry a repair (drop it, reset it to the
+ * default); fatal ones (e.g. a profession that's gone) can't be loaded.
+ */
+
+// RouteMap is a browser global; under Node it has to be required
+const SaveRoutes = typeof RouteMap !== 'undefined' ? RouteMap : require('./routes.js');
+
+class SaveMigrator {
+  /**
+   * Current saveGame() format. 1 = saves from before versioning.
+   */
+  static get SAVE_VERSION() {
+    return 10;
+  }
+
+  /**
+   * ENGINE_MIGRATIONS[n] upgrades a format n save to n + 1 in place
+   */
+  static get ENGINE_MIGRATIONS() {
+    return {
+      1: save => {
+        // Story flags, follow-ups and the day counter came later
+        save.state.flags = save.state.flags || {};
+        save.state.scheduledEvents = save.state.scheduledEvents || [];
+        if (save.state.daysElapsed === undefined) save.state.daysElapsed = 0;
+      },
+      2: save => {
+        // Runs saved before the flag existed were all leaderboard runs
+        if (save.state.leaderboardEligible === undefined) save.state.leaderboardEligible = true;
+      },
+      3: save => {
+        // Busking's once-per-location rule now covers any money activity,
+        // and runs saved before replays existed can't be played back
+        save.state.activityLocations = save.state.activityLocations || {};
+        if (save.state.lastBuskLocation) {
+          save.state.activityLocations.busk = save.state.lastBuskLocation;
+          delete save.state.lastBuskLocation;
+        }
+        if (save.replayInputs === undefined) save.replayInputs = null;
+      },
+      4: save => {
+        // The Daily Challenge came later, so older runs aren't one
+        if (save.state.dailyChallenge === undefined) save.state.dailyChallenge = null;
+      },
+      5: save => {
+        // Achievement counts start from the load; what came before wasn't counted
+        save.state.actionCounts = save.state.actionCounts || {};
+      },
+      6: save => {
+        // Collected totals (for unlocks) likewise start from the load
+        save.state.collected = save.state.collected || {};
+      },
+      7: save => {
+        // Forks came later; older runs kept to the main line
+        save.state.routeChoices = save.state.routeChoices || {};
+      },
+      8: save => {
+        // Members set out healthy, with no trait or skill, before those existed
+        (save.state.party || []).forEach(member => {
+          if (member.health === undefined) member.health = 100;
+          if (member.trait === undefined) member.trait = null;
+          if (member.skill === undefined) member.skill = null;
+        });
+      },
+      9: save => {
+        // Older runs recorded replays in the first format, and didn't track
+        // the event due: autosaves are taken on arrival, so let that play out
+        if (save.replayVersion === undefined) save.replayVersion = 1;
+        if (save.state.eventDue === undefined) save.state.eventDue = 'arrival';
+      }
+    };
+  }
+
+  /**
+   * Compare dotted versions numerically ("1.10.0" > "1.9.2")
+   */
+  static compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff < 0 ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Bring a save up to the current format and theme version.
+   * Works on a copy; returns { save, applied } where applied names each step.
+   */
+  static migrate(saveData, theme) {
+    const save = JSON.parse(JSON.stringify(saveData));
+    const applied = [];
+
+    let version = save.saveVersion || 1;
+    if (version > SaveMigrator.SAVE_VERSION) {
+      throw new Error(`This save was made by a newer version of the game (save format ${version})`);
+    }
+    while (version < SaveMigrator.SAVE_VERSION) {
+      SaveMigrator.ENGINE_MIGRATIONS[version](save);
+      applied.push(`save format ${version} -> ${version + 1}`);
+      version++;
+    }
+    save.saveVersion = version;
+
+    SaveMigrator.themeMigrationsSince(theme, save.themeVersion || '0.0.0')
+      .forEach(migration => {
+        SaveMigrator.applyThemeMigration(save.state, migration);
+        applied.push(`${theme.name} ${migration.version}`);
+      });
+    save.themeVersion = theme.version;
+
+    return { save, applied };
+  }
+
+  /**
+   * The theme's saveMigrations for anything made with an older theme
+   * version, oldest first
+   */
+  static themeMigrationsSince(theme, version) {
+    return (theme.saveMigrations || [])
+      .filter(migration => SaveMigrator.compareVersions(version, migration.version) < 0)
+      .sort((a, b) => SaveMigrator.compareVersions(a.version, b.version));
+  }
+
+  static applyThemeMigration(state, migration) {
+    const rename = (map, value) => (map && map[value] !== undefined ? map[value] : value);
+    const renameKeys = (map, object) => {
+      const renamed = {};
+      Object.keys(object || {}).forEach(key => {
+        renamed[rename(map, key)] = object[key];
+      });
+      return renamed;
+    };
+
+    if (migration.renameEvents) {
+      state.usedEvents = (state.usedEvents || []).map(id => rename(migration.renameEvents, id));
+      (state.scheduledEvents || []).forEach(entry => {
+        entry.id = rename(migration.renameEvents, entry.id);
+      });
+    }
+    if (migration.renameFlags) state.flags = renameKeys(migration.renameFlags, state.flags);
+    if (migration.renameItems) state.items = renameKeys(migration.renameItems, state.items);
+    if (migration.renameResources) {
+      state.resources = renameKeys(migration.renameResources, state.resources);
+      state.collected = renameKeys(migration.renameResources, state.collected);
+    }
+    if (migration.renameProfessions) state.profession = rename(migration.renameProfessions, state.profession);
+  }
+
+  /**
+   * Items a run of this theme can hold
+   */
+  static knownItems(theme) {
+    const items = new Set(['parts']);
+    ((theme.shop && theme.shop.items) || []).forEach(item => {
+      if (item.type === 'guitar') items.add('guitar');
+    });
+    Object.keys(theme.startingItems || {}).forEach(item => items.add(item));
+    (theme.unlockables || []).forEach(unlockable => {
+      Object.keys(unlockable.startingItems || {}).forEach(item => items.add(item));
+    });
+    return items;
+  }
+
+  /**
+   * Event keys getRandomEvent can mark as used (id, else text)
+   */
+  static knownEventKeys(theme) {
+    const keys = new Set();
+    Object.values(theme.events).forEach(pool => {
+      if (!Array.isArray(pool)) return;
+      pool.forEach(event => keys.add(event.id || event.text));
+    });
+    SaveRoutes.allRouteEvents(theme).forEach(event => keys.add(event.id || event.text));
+    return keys;
+  }
+
+  /**
+   * References in a migrated save the engine's theme can't honour.
+   * Returns [{ path, message, fatal, repair(state) }].
+   */
+  static validate(save, engine) {
+    const { theme } = engine;
+    const { state } = save;
+    const problems = [];
+    const add = (path, message, repair) => problems.push({ path, message, fatal: !repair, repair });
+
+    if (!state || typeof state !== 'object' || !state.resources || !Array.isArray(state.party)) {
+      add('/state', 'is missing or not a game state');
+      return problems;
+    }
+
+    if (state.profession && !theme.professions.some(p => p.id === state.profession)) {
+      add('/state/profession', `"${state.profession}" is no longer a profession in this theme`);
+    }
+
+    Object.keys(theme.resources).forEach(key => {
+      if (typeof state.resources[key] !== 'number') {
+        add(`/state/resources/${key}`, `is missing; it will start at ${theme.resources[key].startValue}`, s => {
+          s.resources[key] = theme.resources[key].startValue;
+        });
+      }
+    });
+    Object.keys(state.resources).filter(key => !theme.resources[key]).forEach(key => {
+      add(`/state/resources/${key}`, `"${key}" is no longer a resource and will be dropped`, s => {
+        delete s.resources[key];
+      });
+    });
+
+    Object.entries(state.routeChoices || {}).forEach(([forkName, routeId]) => {
+      const fork = (theme.locations.find(location => location.name === forkName) || {}).fork;
+      if (!fork || !fork.routes.some(route => route.id === routeId)) {
+        add(`/state/routeChoices/${forkName}`, `route "${routeId}" from ${forkName} no longer exists, so the party can't be placed on it`);
+      }
+    });
+
+    const lastLocation = SaveRoutes.resolve(theme, state.routeChoices).locations.length - 1;
+    if (!(state.currentLocationIndex >= 0 && state.currentLocationIndex <= lastLocation)) {
+      add('/state/currentLocationIndex', `${state.currentLocationIndex} is past the last location`, s => {
+        s.currentLocationIndex = Math.max(0, Math.min(lastLocation, s.currentLocationIndex || 0));
+      });
+    }
+
+    const knownItems = SaveMigrator.knownItems(theme);
+    Object.keys(state.items || {}).filter(item => !knownItems.has(item)).forEach(item => {
+      add(`/state/items/${item}`, `"${item}" is no longer an item and will be dropped`, s => {
+        delete s.items[item];
+      });
+    });
+
+    const eventKeys = SaveMigrator.knownEventKeys(theme);
+    (state.usedEvents || []).filter(key => !eventKeys.has(key)).forEach(key => {
+      add('/state/usedEvents', `event "${key}" no longer exists and will be forgotten`, s => {
+        s.usedEvents = s.usedEvents.filter(used => used !== key);
+      });
+    });
+
+    // Traits and skills are ids into the theme's party block
+    const party = theme.party || {};
+    [['trait', party.traits || []], ['skill', party.skills || []]].forEach(([key, list]) => {
+      state.party.forEach((member, index) => {
+        if (member[key] && !list.some(entry => entry.id === member[key])) {
+          add(`/state/party/${index}/${key}`, `${member.name}'s ${key} "${member[key]}" no longer exists and will be cleared`, s => {
+            s.party[index][key] = null;
+          });
+        }
+      });
+    });
+
+    const followUps = (theme.events.followUps || []).map(event => event.id);
+    (state.scheduledEvents || []).filter(entry => !followUps.includes(entry.id)).forEach(entry => {
+      add('/state/scheduledEvents', `follow-up "${entry.id}" no longer exists and will be cancelled`, s => {
+        s.scheduledEvents = s.scheduledEvents.filter(scheduled => scheduled.id !== entry.id);
+      });
+    });
+
+    // Pace, rations and weather are keys into the travel tables
+    const tables = engine.travelTables;
+    [['pace', tables.paces], ['rations', tables.rations], ['weather', tables.weather.types]].forEach(([key, table]) => {
+      if (!table[state[key]]) {
+        const fallback = engine.constructor.defaultKey(table);
+        add(`/state/${key}`, `"${state[key]}" is no longer a ${key} option; it will reset to ${fallback}`, s => {
+          s[key] = fallback;
+        });
+      }
+    });
+
+    return problems;
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SaveMigrator;
+}
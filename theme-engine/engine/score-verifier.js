@@ -0,0 +1,123 @@
+/**
+ * Score Verifier - Re-plays submitted runs before their scores are trusted
+ *
+ * A score submission carries the run's replay (TrailGameEngine.getReplay():
+ * seed plus every recorded input). The verifier feeds the inputs to a fresh
+ * headless engine, checks the run really ended, recomputes the score the way
+ * the UI does and rejects the submission if it doesn't match.
+ *
+ * Real-time mini-game results (hits, notes) are recorded as the player's
+ * client reported them, so they're only checked for plausibility: the
+ * engine refuses results a game can't produce (checkMiniGameResult), which
+ * fails the replay.
+ */
+
+const TrailGameEngine = require('./game-engine.js');
+const HighScoreManager = require('./high-scores.js');
+
+class ScoreVerifier {
+  /**
+   * @param {Object[]} themes - Themes submissions may be for, matched by name
+   */
+  constructor(themes) {
+    this.themes = {};
+    themes.forEach(theme => {
+      this.themes[theme.name] = theme;
+    });
+    this.scorer = new HighScoreManager();
+  }
+
+  /**
+   * Replays in older formats can't be trusted to retrace the run
+   */
+  static get REPLAY_VERSION() {
+    return TrailGameEngine.REPLAY_VERSION;
+  }
+
+  /**
+   * Longer logs than any real run produces are refused without replaying
+   */
+  static get MAX_INPUTS() {
+    return 20000;
+  }
+
+  /**
+   * Check one submission: { themeName, score, daily, replay, ... }.
+   * A Daily Challenge submission's date has to match the one in its replay
+   * (whether that day is still open is up to whoever accepts the score).
+   * @returns {{ valid: boolean, reason: string|null, score: number|null, details: Object|null }}
+   *   details (distance, days, profession, survived, failed) come from the
+   *   replayed run, so store those rather than the client's. A run failed
+   *   unless it reached the end (and won the endgame, in themes with one).
+   */
+  verify(submission) {
+    const reject = reason => ({ valid: false, reason, score: null, details: null });
+    const { themeName, score, replay } = submission || {};
+
+    const theme = this.themes[themeName];
+    if (!theme) return reject(`Unknown theme "${themeName}"`);
+    if (!Number.isInteger(score)) return reject('Score is missing');
+    if (!replay || !Array.isArray(replay.inputs)) return reject('No replay submitted');
+    if (replay.replayVersion !== ScoreVerifier.REPLAY_VERSION) return reject(`Unsupported replay version ${replay.replayVersion}`);
+    if (replay.themeName !== theme.name) return reject(`Replay is for "${replay.themeName}", not "${theme.name}"`);
+    if (replay.themeVersion !== theme.version) {
+      return reject(`Replay was made with ${theme.name} ${replay.themeVersion}; the server has ${theme.version}`);
+    }
+    if (replay.inputs.length > ScoreVerifier.MAX_INPUTS) return reject('Replay is too long');
+
+    const engine = new TrailGameEngine(theme, { seed: replay.seed });
+    let memoryWipeHits = null;
+    try {
+      replay.inputs.forEach(input => {
+        engine.applyReplayInput(input);
+        if (input.action === 'finishMiniGame' && input.game === 'missileCommand') {
+          memoryWipeHits = input.result.won ? input.result.score : null;
+        }
+      });
+    } catch (error) {
+      return reject(error.message);
+    }
+
+    const { state } = engine;
+    if (!state.leaderboardEligible) {
+      return reject(state.practice ? 'Practice runs aren\'t ranked' : 'Runs using unlocks aren\'t ranked');
+    }
+    if ((submission.daily || null) !== state.dailyChallenge) {
+      return reject(state.dailyChallenge
+        ? `Replay is the ${state.dailyChallenge} Daily Challenge, submitted as ${submission.daily || 'a regular run'}`
+        : 'Replay isn\'t a Daily Challenge run');
+    }
+    if (state.alive) return reject('Run isn\'t over');
+
+    // Winning the Area 51 missile defense scores its hits plus the time bonus.
+    // It's only played after arriving, in themes with that endgame.
+    const reachedEnd = engine.getCurrentLocation().name === theme.journey.endLocation;
+    const endgame = theme.area51Endgame && theme.area51Endgame.enabled;
+    if (memoryWipeHits !== null && !(endgame && reachedEnd)) {
+      return reject('Missile Command result for a run that never reached the endgame');
+    }
+
+    const expected = memoryWipeHits !== null
+      ? this.scorer.calculateMemoryWipeScore(memoryWipeHits, state, theme)
+      : this.scorer.calculateScore(state, theme);
+    if (expected !== score) return reject(`Score ${score} doesn't match the replayed run (${expected})`);
+
+    return {
+      valid: true,
+      reason: null,
+      score: expected,
+      details: {
+        distance: Math.floor(state.distance),
+        days: Math.floor(state.daysElapsed),
+        profession: state.professionName,
+        survived: state.party.filter(m => !m.abandoned).length,
+        failed: !(reachedEnd && (!endgame || memoryWipeHits !== null))
+      }
+    };
+  }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScoreVerifier;
+}
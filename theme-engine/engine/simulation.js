@@ -0,0 +1,337 @@
+/**
+ * Headless Simulation Runner - Theme Balancing in Node
+ *
+ * Drives TrailGameEngine without a UI using pluggable bot strategies, so
+ * theme authors can play thousands of runs and compare win rates, run
+ * lengths, fail reasons and scores instead of tuning numbers by hand.
+ *
+ * The day loop mirrors UIController: travel, then (unless someone left or
+ * we arrived somewhere) check fail conditions and draw a random event.
+ */
+
+const TrailGameEngine = require('./game-engine.js');
+const HighScoreManager = require('./high-scores.js');
+const SeededRandom = require('./random.js');
+
+/**
+ * Shared bot helpers
+ */
+const BotActions = {
+  /**
+   * Buy the cheapest shop item for the resource in a role (see
+   * TrailGameEngine.RESOURCE_ROLES) until it reaches a target
+   */
+  restock(engine, role, target) {
+    const type = engine.resourceKey(role);
+    const location = engine.getCurrentLocation();
+    if (!type || !location.isShop) return;
+
+    const items = engine.getShopItems()
+      .filter(item => item.type === type && item.amount > 0)
+      .sort((a, b) => a.cost - b.cost);
+    if (items.length === 0) return;
+
+    let guard = 20;
+    while (engine.state.resources[type] < target && guard-- > 0) {
+      const result = engine.buyItem(items[0].id);
+      if (!result.success) break;
+    }
+  },
+
+  /**
+   * Key of the theme's fastest pace
+   */
+  fastestPace(engine) {
+    const { paces } = engine.travelTables;
+    return Object.keys(paces).reduce((best, key) => (paces[key].miles > paces[best].miles ? key : best));
+  },
+
+  /**
+   * Expected effect of a choice on the given resource (risk ignored;
+   * ranges count as their midpoint, outcomes by weight)
+   */
+  effectOn(choice, key) {
+    const valueOf = effects => {
+      const value = effects && effects[key];
+      if (value === undefined) return 0;
+      return typeof value === 'number' ? value : (value.min + value.max) / 2;
+    };
+
+    if (choice.outcomes && choice.outcomes.length > 0) {
+      const weightOf = outcome => (outcome.weight !== undefined ? outcome.weight : 1);
+      const totalWeight = choice.outcomes.reduce((sum, outcome) => sum + weightOf(outcome), 0) || 1;
+      return choice.outcomes.reduce((sum, outcome) => sum + valueOf(outcome.effects) * weightOf(outcome), 0) / totalWeight;
+    }
+
+    return valueOf(choice.effects);
+  }
+};
+
+/**
+ * Built-in bot strategies. Each may implement:
+ * - setup(engine, rng)       once after profession/party are set
+ * - beforeTravel(engine, rng) each day, before the engine travels
+ * - chooseChoice(engine, choices, event, rng) pick one of the available choices
+ * - chooseRoute(engine, routes, rng) pick a route at a fork (default: any, at random)
+ */
+const BOT_STRATEGIES = {
+  rush: {
+    name: 'Always Rush',
+    setup(engine) {
+      engine.setTravelOption('pace', BotActions.fastestPace(engine));
+    },
+    beforeTravel(engine) {
+      BotActions.restock(engine, 'fuel', 60);
+    },
+    chooseChoice(engine, choices) {
+      return choices[0];
+    }
+  },
+
+  greedyForage: {
+    name: 'Greedy Forage',
+    beforeTravel(engine) {
+      BotActions.restock(engine, 'fuel', 50);
+      while (engine.resourceKey('forage') && engine.state.forageCount < 2) {
+        engine.forage();
+      }
+    },
+    chooseChoice(engine, choices) {
+      // Most of what foraging finds first, then most morale
+      const forage = engine.resourceKey('forage');
+      const morale = engine.resourceKey('morale');
+      return choices.reduce((best, choice) => {
+        const bestScore = BotActions.effectOn(best, forage) * 10 + BotActions.effectOn(best, morale);
+        const score = BotActions.effectOn(choice, forage) * 10 + BotActions.effectOn(choice, morale);
+        return score > bestScore ? choice : best;
+      });
+    }
+  },
+
+  random: {
+    name: 'Random Choice',
+    beforeTravel(engine, rng) {
+      if (rng.chance(0.1)) engine.setTravelOption('pace', rng.pick(Object.keys(engine.travelTables.paces)));
+      const fuel = engine.resourceKey('fuel');
+      if (fuel && engine.state.resources[fuel] < 40) BotActions.restock(engine, 'fuel', 60);
+      if (rng.chance(0.2) && engine.resourceKey('forage')) engine.forage();
+    },
+    chooseChoice(engine, choices, event, rng) {
+      return rng.pick(choices);
+    }
+  }
+};
+
+class SimulationRunner {
+  /**
+   * @param {Object} theme - Parsed theme JSON
+   * @param {Object} [options]
+   * @param {number} [options.maxDays] - Safety cap on days per run
+   */
+  constructor(theme, options = {}) {
+    this.theme = theme;
+    this.maxDays = options.maxDays || 365;
+    this.scorer = new HighScoreManager();
+  }
+
+  /**
+   * Play a single run to completion
+   * Returns { outcome, reason, days, distance, score, profession, strategy }
+   */
+  runOnce({ strategy, professionId, seed }) {
+    const bot = typeof strategy === 'string' ? BOT_STRATEGIES[strategy] : strategy;
+    if (!bot) throw new Error(`Unknown strategy: ${strategy}`);
+
+    const engine = new TrailGameEngine(this.theme, { seed });
+    // Bot decisions get their own generator so they never shift the engine's rolls
+    const botRng = new SeededRandom(`bot-${seed}`);
+
+    engine.setProfession(professionId);
+    engine.initializeParty(this.getPartyNames());
+    if (bot.setup) bot.setup(engine, botRng);
+
+    let ending = null;
+    let daysTraveled = 0;
+
+    while (!ending) {
+      if (daysTraveled++ >= this.maxDays) {
+        ending = { outcome: 'fail', reason: 'maxDays' };
+        break;
+      }
+
+      if (bot.beforeTravel) bot.beforeTravel(engine, botRng);
+
+      // Foraging/shopping can tip a run over the edge, just like the menu does
+      const preTravelFail = engine.checkFailConditions();
+      if (preTravelFail && preTravelFail.type === 'fail') {
+        ending = { outcome: 'fail', reason: preTravelFail.reason };
+        break;
+      }
+
+      // travel() runs the day's fail check itself
+      const result = engine.travel();
+      if (result && result.type === 'fail') {
+        ending = { outcome: 'fail', reason: result.reason };
+        break;
+      }
+
+      // Whoever left today is gone, but the day still ends wherever the
+      // party got to; the memorial just takes the place of the day's event
+      const abandoned = engine.state.abandonedThisTurn && engine.state.abandonedThisTurn.length > 0;
+      engine.state.abandonedThisTurn = [];
+
+      if (result && result.location) {
+        const fork = engine.getPendingFork();
+        if (fork) {
+          const route = (bot.chooseRoute && bot.chooseRoute(engine, fork.routes, botRng)) || botRng.pick(fork.routes);
+          engine.chooseRoute(route.id);
+        }
+        if (result.type === 'win') {
+          ending = this.meetsEndgameRequirements(engine)
+            ? { outcome: 'win', reason: 'arrived' }
+            : { outcome: 'fail', reason: 'endgameFailed' };
+        }
+        continue;
+      }
+      if (abandoned) continue;
+
+      ending = this.playEvent(engine, bot, botRng);
+    }
+
+    return {
+      ...ending,
+      strategy: bot.name,
+      profession: professionId,
+      seed,
+      days: engine.state.daysElapsed,
+      distance: engine.state.distance,
+      routes: Object.values(engine.state.routeChoices),
+      score: this.scorer.calculateScore(engine.state, this.theme)
+    };
+  }
+
+  /**
+   * Draw and resolve the day's random event. Returns an ending or null.
+   */
+  playEvent(engine, bot, botRng) {
+    const event = engine.getRandomEvent();
+    if (!event) return null;
+
+    if (!event.isChoice) {
+      engine.resolveEvent(event);
+      return null;
+    }
+
+    // Mini-game choices need a human, so bots only pick plain ones
+    const choices = engine.getAvailableChoices(event)
+      .filter(choice => !choice.special && engine.isChoiceEnabled(choice));
+    if (choices.length === 0) return null;
+
+    const choice = bot.chooseChoice(engine, choices, event, botRng) || choices[0];
+    const result = engine.resolveChoice(choice);
+
+    return result.endsGame ? { outcome: 'fail', reason: 'choiceEndedGame' } : null;
+  }
+
+  /**
+   * Themes with a gated endgame (e.g. Area 51) only count as a win if the
+   * first sequence has a successful choice the party can afford
+   */
+  meetsEndgameRequirements(engine) {
+    const endgame = this.theme.area51Endgame;
+    if (!endgame || !endgame.enabled || !endgame.sequences || endgame.sequences.length === 0) {
+      return true;
+    }
+
+    const choices = endgame.sequences[0].choices;
+    if (!choices) return true;
+
+    return choices.some(choice => choice.success && Object.keys(choice.requires || {}).every(key =>
+      engine.state.resources[key] >= choice.requires[key]
+    ));
+  }
+
+  /**
+   * Party names to use for bot runs
+   */
+  getPartyNames() {
+    const defaults = (this.theme.ui && this.theme.ui.defaultPartyNames) || [];
+    return [0, 1, 2, 3].map(i => defaults[i] || `Traveler ${i + 1}`);
+  }
+
+  /**
+   * Play many runs per strategy (cycling through professions) and aggregate
+   * @param {Object} options
+   * @param {number} [options.runs] - Runs per strategy
+   * @param {string[]} [options.strategies] - Strategy ids from BOT_STRATEGIES
+   * @param {number} [options.seed] - Base seed; run i uses seed + i
+   */
+  run({ runs = 1000, strategies = Object.keys(BOT_STRATEGIES), seed = 1 } = {}) {
+    const professions = this.theme.professions.map(p => p.id);
+    const report = { theme: this.theme.name, runsPerStrategy: runs, strategies: {} };
+
+    strategies.forEach(strategyId => {
+      const results = [];
+      for (let i = 0; i < runs; i++) {
+        results.push(this.runOnce({
+          strategy: strategyId,
+          professionId: professions[i % professions.length],
+          seed: seed + i
+        }));
+      }
+      report.strategies[strategyId] = SimulationRunner.summarize(results);
+    });
+
+    return report;
+  }
+
+  /**
+   * Aggregate a list of run results
+   */
+  static summarize(results) {
+    const wins = results.filter(r => r.outcome === 'win');
+    const failReasons = {};
+    const professions = {};
+    const routes = {};
+
+    results.forEach(r => {
+      if (r.outcome === 'fail') {
+        failReasons[r.reason] = (failReasons[r.reason] || 0) + 1;
+      }
+
+      const prof = professions[r.profession] || (professions[r.profession] = { runs: 0, wins: 0, totalScore: 0 });
+      prof.runs++;
+      prof.totalScore += r.score;
+      if (r.outcome === 'win') prof.wins++;
+
+      (r.routes || []).forEach(id => {
+        const route = routes[id] || (routes[id] = { runs: 0, wins: 0, totalScore: 0 });
+        route.runs++;
+        route.totalScore += r.score;
+        if (r.outcome === 'win') route.wins++;
+      });
+    });
+
+    [...Object.values(professions), ...Object.values(routes)].forEach(stats => {
+      stats.winRate = stats.wins / stats.runs;
+      stats.avgScore = Math.round(stats.totalScore / stats.runs);
+      delete stats.totalScore;
+    });
+
+    const average = (list, key) => list.length ? list.reduce((sum, r) => sum + r[key], 0) / list.length : 0;
+
+    return {
+      runs: results.length,
+      wins: wins.length,
+      winRate: results.length ? wins.length / results.length : 0,
+      avgDays: average(results, 'days'),
+      avgWinDays: average(wins, 'days'),
+      avgScore: Math.round(average(results, 'score')),
+      failReasons,
+      professions,
+      routes
+    };
+  }
+}
+
+module.exports = { SimulationRunner, BOT_STRATEGIES };
@@ -50,11 +50,17 @@ class UIController {
     if (text.includes('{{partyMember}}')) {
       const stillHere = this.engine.state.party.filter(m => !m.abandoned);
       const member = stillHere.length > 0
-        ? stillHere[Math.floor(Math.random() * stillHere.length)].name
+        ? this.engine.rng.cosmetic().pick(stillHere).name
         : 'Someone';
       text = text.replace(/\{\{partyMember\}\}/g, member);
     }
 
+    // Replace {{skill:<id>}} with the first member still here who has it
+    text = text.replace(/\{\{skill:([\w-]+)\}\}/g, (match, id) => {
+      const member = this.engine.state.party.find(m => !m.abandoned && m.skill === id);
+      return member ? member.name : 'Someone';
+    });
+
     // Replace resource names
     Object.keys(this.theme.resources).forEach(key => {
       const resource = this.theme.resources[key];
@@ -73,9 +79,671 @@ class UIController {
   showStartScreen() {
     this.hideAllScreens();
     document.getElementById('startScreen').classList.remove('hidden');
+
+    // "Continue" resumes the newest save for this theme
+    const latest = typeof saveManager !== 'undefined' ? saveManager.latest(this.theme.name) : null;
+    const continueButton = document.getElementById('continueButton');
+    continueButton.classList.toggle('hidden', !latest);
+    if (latest) {
+      continueButton.textContent = `Continue (Day ${latest.meta.day}, ${latest.meta.location})`;
+    }
+
+    // The Daily Challenge is played for real or not at all
+    const daily = this.engine.state.dailyChallenge;
+    document.getElementById('practiceButton').classList.toggle('hidden', !!daily);
+    const dailyNote = document.getElementById('dailyChallengeNote');
+    dailyNote.classList.toggle('hidden', !daily);
+    if (daily) {
+      dailyNote.innerHTML = `<p>📅 <strong>Daily Challenge - ${daily}</strong></p>
+        <p>Everyone gets the same trail today: the same events, weather and mini-games. You get one scored attempt, and it counts as soon as you set out.</p>`;
+    }
+
     this.currentScreen = 'start';
   }
 
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  /**
+   * The theme's resource in a role (see TrailGameEngine.RESOURCE_ROLES), or null
+   */
+  roleResource(role) {
+    const key = this.engine.resourceKey(role);
+    return key ? this.theme.resources[key] : null;
+  }
+
+  /**
+   * Slot summary for the load/save menus: theme, profession, day, distance, party
+   */
+  formatSaveSummary(entry) {
+    const { meta } = entry;
+    const title = entry.slot === SaveManager.AUTOSAVE_SLOT ? '🔄 Autosave' : `💾 ${this.escapeHtml(entry.slot)}`;
+    const party = meta.party.map(member => {
+      const name = this.escapeHtml(member.name);
+      return member.abandoned ? `<s>${name}</s>` : name;
+    }).join(', ');
+
+    return `
+      <strong>${title}</strong> - ${this.escapeHtml(meta.themeName)}<br>
+      <span style="font-size: 0.9rem;">
+        ${meta.profession || 'No role'} • Day ${meta.day} • ${meta.distance}/${meta.totalDistance} miles • ${meta.location || ''}<br>
+        Party: ${party || 'nobody yet'}<br>
+        <span style="color: #888;">Saved ${new Date(entry.savedAt).toLocaleString()}</span>
+      </span>
+    `;
+  }
+
+  /**
+   * Load menu (from the start screen) listing every save slot
+   */
+  showLoadMenu(errorMessage = '') {
+    this.hideAllScreens();
+    document.getElementById('loadScreen').classList.remove('hidden');
+
+    const list = document.getElementById('saveSlotList');
+    list.innerHTML = errorMessage ? `<div class="message-box" style="color: #ff6b6b;">${errorMessage}</div>` : '';
+
+    const slots = saveManager.listSlots();
+    if (slots.length === 0) {
+      list.innerHTML += '<div class="message-box"><p>No saved games yet.</p></div>';
+    }
+
+    slots.forEach(entry => {
+      const box = document.createElement('div');
+      box.className = 'message-box';
+      box.innerHTML = this.formatSaveSummary(entry);
+
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load';
+      if (entry.meta.themeName !== this.theme.name) {
+        // Saves only load into the theme they were made with
+        loadBtn.disabled = true;
+        loadBtn.style.opacity = '0.5';
+        loadBtn.title = `Pick ${entry.meta.themeName} first`;
+      } else {
+        loadBtn.onclick = () => this.loadSlot(entry.slot);
+      }
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'secondary';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.onclick = () => {
+        saveManager.delete(entry.slot);
+        this.showLoadMenu();
+      };
+
+      box.appendChild(loadBtn);
+
+      // Slots made since replays were recorded can be watched from the start
+      const record = entry.meta.themeName === this.theme.name ? saveManager.load(entry.slot) : null;
+      const replay = record && TrailGameEngine.replayFromSave(record.data);
+      if (replay) {
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'secondary';
+        replayBtn.textContent = 'Replay 🎬';
+        replayBtn.onclick = () => this.watchReplay(replay);
+        box.appendChild(replayBtn);
+      }
+
+      box.appendChild(deleteBtn);
+      list.appendChild(box);
+    });
+
+    this.currentScreen = 'load';
+  }
+
+  continueLatestSave() {
+    const latest = saveManager.latest(this.theme.name);
+    if (latest) this.loadSlot(latest.slot);
+  }
+
+  /**
+   * Restore a slot into the engine and pick the run back up
+   */
+  loadSlot(slot, repair = false) {
+    const record = saveManager.load(slot);
+    if (!record) {
+      this.showLoadMenu(`Save "${this.escapeHtml(slot)}" couldn't be read.`);
+      return;
+    }
+
+    try {
+      this.engine.loadGame(record.data, { repair });
+    } catch (error) {
+      if (error.problems) {
+        this.showLoadMenu();
+        this.showSaveProblems(`"${slot}"`, error, () => this.loadSlot(slot, true), 'saveSlotList');
+      } else {
+        this.showLoadMenu(this.escapeHtml(error.message));
+      }
+      return;
+    }
+
+    this.showGameScreen();
+
+    // Autosaves are taken on arrival, before the location plays out
+    if (record.resume === 'arrival') {
+      this.showLocationArrival(this.engine.getCurrentLocation());
+    }
+  }
+
+  /**
+   * A save that no longer matches the theme: list what's wrong and, if it
+   * can be fixed, offer to load it with the repairs (retry)
+   */
+  showSaveProblems(label, error, retry, containerId) {
+    const list = document.getElementById(containerId);
+
+    const problems = error.problems.map(problem =>
+      `<li>${this.escapeHtml(problem.path)}: ${this.escapeHtml(problem.message)}</li>`
+    ).join('');
+
+    const box = document.createElement('div');
+    box.className = 'message-box';
+    box.style.color = '#ff6b6b';
+    box.innerHTML = error.repairable
+      ? `<p>${this.escapeHtml(label)} was saved with an older version of ${this.escapeHtml(this.theme.name)}. Loading it will:</p><ul>${problems}</ul>`
+      : `<p>${this.escapeHtml(label)} can't be loaded into this version of ${this.escapeHtml(this.theme.name)}:</p><ul>${problems}</ul>`;
+
+    if (error.repairable) {
+      const repairBtn = document.createElement('button');
+      repairBtn.textContent = 'Repair and Load';
+      repairBtn.onclick = retry;
+      box.appendChild(repairBtn);
+    }
+
+    list.insertBefore(box, list.firstChild);
+  }
+
+  /**
+   * In-game save menu: overwrite one of this theme's slots or name a new one
+   */
+  showSaveMenu() {
+    const eventContainer = document.getElementById('eventContainer');
+    const buttonsContainer = document.getElementById('actionButtons');
+
+    const slots = saveManager.listSlots(this.theme.name)
+      .filter(entry => entry.slot !== SaveManager.AUTOSAVE_SLOT);
+
+    eventContainer.innerHTML = `<div class="event-box">
+      <h3>💾 Save Game</h3>
+      <input type="text" id="saveSlotName" placeholder="Save name" maxlength="${SaveManager.MAX_SLOT_NAME_LENGTH}"
+        style="width: 100%; padding: 10px; font-size: 1rem;">
+      ${slots.length > 0 ? '<p style="margin-top: 1rem;">Or overwrite:</p>' : ''}
+    </div>`;
+
+    buttonsContainer.innerHTML = '';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save';
+    saveBtn.onclick = () => this.saveToSlot(document.getElementById('saveSlotName').value);
+    buttonsContainer.appendChild(saveBtn);
+
+    slots.forEach(entry => {
+      const btn = document.createElement('button');
+      btn.className = 'secondary';
+      btn.textContent = `${entry.slot} (Day ${entry.meta.day}, ${entry.meta.distance} mi)`;
+      btn.onclick = () => this.saveToSlot(entry.slot);
+      buttonsContainer.appendChild(btn);
+    });
+
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'secondary';
+    exportBtn.textContent = 'Export 📤';
+    exportBtn.onclick = () => this.showExportMenu();
+    buttonsContainer.appendChild(exportBtn);
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'secondary';
+    backBtn.textContent = 'Back';
+    backBtn.onclick = () => this.showMainMenu();
+    buttonsContainer.appendChild(backBtn);
+  }
+
+  saveToSlot(name) {
+    if (!String(name || '').trim()) {
+      document.getElementById('saveSlotName').focus();
+      return;
+    }
+
+    const saved = saveManager.save(name, this.engine);
+    this.showSimpleEvent(saved
+      ? `Game saved as "${this.escapeHtml(name.trim())}".`
+      : 'Couldn\'t save - browser storage is unavailable or full.');
+    setTimeout(() => this.showMainMenu(), 1000);
+  }
+
+  /**
+   * Overwrite the autosave slot with the current run
+   */
+  autosave(resume = null) {
+    if (typeof saveManager === 'undefined') return;
+    saveManager.save(SaveManager.AUTOSAVE_SLOT, this.engine, { resume });
+  }
+
+  /**
+   * Share code for the current run, plus a download of it as a save file
+   */
+  async showExportMenu() {
+    const eventContainer = document.getElementById('eventContainer');
+    const buttonsContainer = document.getElementById('actionButtons');
+    const code = await SaveCodec.encode(this.engine.saveGame());
+
+    eventContainer.innerHTML = `<div class="event-box">
+      <h3>📤 Export Save</h3>
+      <p>Anyone playing ${this.escapeHtml(this.theme.name)} can import this code from the start screen.</p>
+      <textarea id="exportCode" readonly rows="6"
+        style="width: 100%; padding: 10px; font-family: monospace; font-size: 0.8rem; word-break: break-all;">${code}</textarea>
+    </div>`;
+
+    buttonsContainer.innerHTML = '';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Copy Code';
+    copyBtn.onclick = () => {
+      const field = document.getElementById('exportCode');
+      field.select();
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(code).then(() => { copyBtn.textContent = 'Copied!'; });
+      } else {
+        document.execCommand('copy');
+        copyBtn.textContent = 'Copied!';
+      }
+    };
+    buttonsContainer.appendChild(copyBtn);
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'secondary';
+    downloadBtn.textContent = 'Download File';
+    downloadBtn.onclick = () => this.downloadSave();
+    buttonsContainer.appendChild(downloadBtn);
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'secondary';
+    backBtn.textContent = 'Back';
+    backBtn.onclick = () => this.showMainMenu();
+    buttonsContainer.appendChild(backBtn);
+  }
+
+  downloadSave() {
+    const meta = SaveManager.describe(this.engine);
+    const blob = new Blob([SaveCodec.toFile(this.engine.saveGame(), meta)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = SaveCodec.fileName(meta.themeName, meta.day);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import screen (from the start screen): paste a code or pick a save file
+   */
+  showImportMenu(errorMessage = '') {
+    this.hideAllScreens();
+    document.getElementById('importScreen').classList.remove('hidden');
+    document.getElementById('importMessage').innerHTML = errorMessage
+      ? `<div class="message-box" style="color: #ff6b6b;">${errorMessage}</div>`
+      : '';
+    this.currentScreen = 'import';
+  }
+
+  async importSave() {
+    const fileInput = document.getElementById('importFile');
+    const file = fileInput.files && fileInput.files[0];
+    const text = file ? await file.text() : document.getElementById('importCode').value;
+
+    if (!text.trim()) {
+      document.getElementById('importCode').focus();
+      return;
+    }
+
+    let imported;
+    try {
+      imported = await SaveCodec.importSave(text);
+    } catch (error) {
+      this.showImportMenu(this.escapeHtml(error.message));
+      return;
+    }
+
+    this.loadImportedSave(imported);
+  }
+
+  loadImportedSave(imported, repair = false) {
+    try {
+      this.engine.loadGame(imported.save, { repair });
+    } catch (error) {
+      if (error.problems) {
+        this.showImportMenu();
+        this.showSaveProblems('The imported save', error, () => this.loadImportedSave(imported, true), 'importMessage');
+      } else {
+        this.showImportMenu(this.escapeHtml(error.message));
+      }
+      return;
+    }
+
+    document.getElementById('importCode').value = '';
+    document.getElementById('importFile').value = '';
+    this.showGameScreen();
+
+    if (!imported.intact) {
+      this.showSimpleEvent('This save was edited after it was exported. It isn\'t a leaderboard run, so it loaded as-is.');
+    }
+  }
+
+  /**
+   * Practice run: same game, but decisions can be undone and the score
+   * isn't submitted
+   */
+  startPracticeRun() {
+    this.engine.startPractice();
+    this.showProfessionSelection();
+  }
+
+  /**
+   * Practice mode: pick a past decision to step back to (newest first)
+   */
+  showUndoMenu() {
+    const eventContainer = document.getElementById('eventContainer');
+    const buttonsContainer = document.getElementById('actionButtons');
+    const history = this.engine.getUndoHistory();
+
+    eventContainer.innerHTML = `<div class="event-box">
+      <h3>↩️ Undo</h3>
+      <p>Step back to just before one of these decisions. Everything after it is undone.</p>
+    </div>`;
+    buttonsContainer.innerHTML = '';
+
+    history.slice().reverse().forEach((entry, index) => {
+      const btn = document.createElement('button');
+      btn.className = index === 0 ? '' : 'secondary';
+      btn.textContent = `Day ${entry.day}: ${this.replaceTemplates(entry.label)}`;
+      btn.onclick = () => this.undoDecisions(index + 1);
+      buttonsContainer.appendChild(btn);
+    });
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'secondary';
+    backBtn.textContent = 'Back';
+    backBtn.onclick = () => this.showMainMenu();
+    buttonsContainer.appendChild(backBtn);
+  }
+
+  undoDecisions(steps) {
+    const undone = this.engine.undo(steps);
+    this.updateUI();
+
+    // An undone event choice puts the event back up; anything else returns to the menu
+    if (undone && undone.kind === 'choice' && undone.context.event) {
+      this.showChoiceEvent(undone.context.event, undone.context.text);
+    } else {
+      this.showMainMenu();
+    }
+  }
+
+  static get REPLAY_STEP_MS() {
+    return 1500;
+  }
+
+  static get REPLAY_SPEEDS() {
+    return [0.5, 1, 2, 4];
+  }
+
+  /**
+   * How long an achievement toast stays up
+   */
+  static get TOAST_MS() {
+    return 4000;
+  }
+
+  /**
+   * Game-over text for a checkFailConditions() fail.
+   * Resource failures carry the theme's failAt message.
+   */
+  static failMessage(result) {
+    const messages = {
+      allAbandoned: 'Everyone abandoned the trip. You\'re traveling alone.',
+      timeExpired: '⏰ TIME\'S UP! The 28-day deadline has passed. Whatever they were planning at Area 51... it already happened. You were too late.'
+    };
+    return result.message || messages[result.reason] || 'Game Over';
+  }
+
+  /**
+   * Replay playback: a fresh engine retraces the recorded run one input at
+   * a time, re-rendering the stats and showing what happened at each step.
+   * Whatever was on screen comes back on exit.
+   * @param {Object} [replay] - TrailGameEngine.getReplay() output; defaults to the current run
+   */
+  watchReplay(replay = this.engine.getReplay()) {
+    if (!replay || replay.themeName !== this.theme.name) {
+      this.showSimpleEvent(replay ? `That replay is for ${this.escapeHtml(replay.themeName)}.` : 'No replay was recorded for this run.');
+      return;
+    }
+
+    // Park the live run and the current screen
+    const stash = id => {
+      const element = document.getElementById(id);
+      const fragment = document.createDocumentFragment();
+      while (element.firstChild) fragment.appendChild(element.firstChild);
+      return fragment;
+    };
+    this.replayPlayer = {
+      replay,
+      step: 0,
+      speed: 1,
+      playing: true,
+      timer: null,
+      liveEngine: this.engine,
+      liveScreen: this.currentScreen,
+      visibleScreens: [...document.querySelectorAll('.screen:not(.hidden)')],
+      eventContent: stash('eventContainer'),
+      buttonContent: stash('actionButtons')
+    };
+
+    this.engine = new TrailGameEngine(this.theme, { seed: replay.seed });
+    this.hideAllScreens();
+    document.getElementById('gameScreen').classList.remove('hidden');
+    this.currentScreen = 'replay';
+
+    // Run the setup (profession, names, party) before the first render
+    const { inputs } = replay;
+    while (this.replayPlayer.step < inputs.length && !['travel', 'setTravelOption'].includes(inputs[this.replayPlayer.step].action)) {
+      this.engine.applyReplayInput(inputs[this.replayPlayer.step++]);
+    }
+    this.updateUI();
+
+    let versionNote = '';
+    if (replay.themeVersion !== this.theme.version) {
+      versionNote = `<p style="color: #fbbf24;">Recorded with ${this.escapeHtml(this.theme.name)} ${this.escapeHtml(replay.themeVersion)}; playback may drift.</p>`;
+    } else if (replay.replayVersion !== TrailGameEngine.REPLAY_VERSION) {
+      versionNote = '<p style="color: #fbbf24;">Recorded by an older version of the game; playback may drift.</p>';
+    }
+    this.showReplayCaption(`${this.escapeHtml(this.engine.state.professionName || '')} • ${this.engine.state.party.map(m => this.escapeHtml(m.name)).join(', ')}${versionNote}`);
+    this.renderReplayControls();
+    this.scheduleReplayStep();
+  }
+
+  scheduleReplayStep() {
+    const player = this.replayPlayer;
+    clearTimeout(player.timer);
+    if (player.playing) {
+      player.timer = setTimeout(() => this.advanceReplay(), UIController.REPLAY_STEP_MS / player.speed);
+    }
+  }
+
+  /**
+   * Apply inputs until one has something to show (or the replay ends)
+   */
+  advanceReplay() {
+    const player = this.replayPlayer;
+    if (!player) return;
+
+    const { inputs } = player.replay;
+    let caption = null;
+    while (caption === null && player.step < inputs.length) {
+      const input = inputs[player.step++];
+      const event = this.engine.pendingEvent;
+      try {
+        caption = this.describeReplayInput(input, this.engine.applyReplayInput(input), event);
+      } catch (error) {
+        caption = `<span style="color: #ff6b6b;">Playback stopped: ${this.escapeHtml(error.message)}</span>`;
+        player.step = inputs.length;
+      }
+    }
+
+    if (caption === null) caption = '🏁 End of replay.';
+    if (player.step >= inputs.length) player.playing = false;
+
+    this.updateUI();
+    this.showReplayCaption(caption);
+    this.renderReplayControls();
+    this.scheduleReplayStep();
+  }
+
+  showReplayCaption(html) {
+    const { step, replay } = this.replayPlayer;
+    const { state } = this.engine;
+    document.getElementById('eventContainer').innerHTML = `<div class="event-box">
+      <h3>🎬 Replay - Day ${Math.floor(state.daysElapsed || 0)} <span style="font-size: 0.9rem; color: #888;">(step ${step}/${replay.inputs.length})</span></h3>
+      <p>${html}</p>
+    </div>`;
+  }
+
+  /**
+   * What a replayed input did, as HTML; null for steps with nothing to show
+   * @param {Object|null} event - The event that was pending before the input
+   */
+  describeReplayInput(input, result, event) {
+    const { state, travelTables } = this.engine;
+
+    switch (input.action) {
+      case 'setProfession':
+        return `Set out as ${this.escapeHtml(state.professionName)}.`;
+      case 'initializeParty':
+        return `Party: ${input.names.map(name => this.escapeHtml(name)).join(', ')}`;
+      case 'startPractice':
+        return '🧪 Practice run';
+      case 'startDailyChallenge':
+        return `📅 Daily Challenge for ${this.escapeHtml(input.date)}`;
+      case 'setTravelOption': {
+        const table = input.setting === 'pace' ? travelTables.paces : travelTables.rations;
+        const label = table[input.option] ? table[input.option].label : input.option;
+        return `${input.setting === 'pace' ? 'Pace' : 'Rations'} set to ${this.escapeHtml(label)}.`;
+      }
+      case 'chooseRoute':
+        return `🧭 Took ${this.escapeHtml(result.name)}.`;
+      case 'travel':
+        if (result && result.location) return `Arrived at ${this.escapeHtml(result.location.name)}.`;
+        return result
+          ? this.describeFailCheck(result)
+          : `Traveled on to mile ${Math.floor(state.distance)}.`;
+      case 'checkFailConditions':
+        return result ? this.describeFailCheck(result) : null;
+      case 'getRandomEvent':
+      case 'getMountainPassEvent':
+        return result ? this.replaceTemplates(result.text) : null;
+      case 'rollCheckpoint':
+        return result.stopped ? '🚨 Pulled over at the checkpoint.' : '✋ Waved through the checkpoint.';
+      case 'resolveEvent':
+        return this.formatEffects(result).replace(/^(<br>)+/, '') || null;
+      case 'resolveChoice': {
+        const choice = event.choices[input.choice];
+        return `➡️ <strong>${this.replaceTemplates(choice.text)}</strong><br><br>` +
+          this.replaceTemplates(result.message) + this.formatEffects(result.effects);
+      }
+      case 'doMoneyActivity':
+        return this.replaceTemplates(result.message);
+      case 'buyItem':
+      case 'buyFuel':
+      case 'rest':
+      case 'forage':
+        return result.message;
+      case 'finishMiniGame': {
+        const details = Object.entries(input.result || {}).map(([key, value]) => `${key}: ${value}`).join(', ');
+        return `🎮 ${this.escapeHtml(input.game)} (${this.escapeHtml(details)})${this.formatEffects(result)}`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * A fail or abandonment from the fail check, for the replay caption
+   */
+  describeFailCheck(result) {
+    return result.member
+      ? `💔 ${this.escapeHtml(result.member.name)} ${this.escapeHtml(result.member.reason || 'abandoned the trip')}.`
+      : `💀 ${this.escapeHtml(UIController.failMessage(result))}`;
+  }
+
+  renderReplayControls() {
+    const player = this.replayPlayer;
+    const buttonsContainer = document.getElementById('actionButtons');
+    buttonsContainer.innerHTML = '';
+
+    const addButton = (text, onclick, secondary = true) => {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      if (secondary) btn.className = 'secondary';
+      btn.onclick = onclick;
+      buttonsContainer.appendChild(btn);
+    };
+    const finished = player.step >= player.replay.inputs.length;
+
+    if (!finished) {
+      addButton(player.playing ? '⏸ Pause' : '▶️ Play', () => {
+        player.playing = !player.playing;
+        this.renderReplayControls();
+        this.scheduleReplayStep();
+      }, false);
+      addButton('⏭ Step', () => {
+        player.playing = false;
+        this.advanceReplay();
+      });
+    }
+    UIController.REPLAY_SPEEDS.forEach(speed => {
+      addButton(`${speed === player.speed ? '● ' : ''}${speed}x`, () => {
+        player.speed = speed;
+        this.renderReplayControls();
+        this.scheduleReplayStep();
+      });
+    });
+    addButton('⏹ Exit Replay', () => this.exitReplay());
+  }
+
+  /**
+   * Stop playback and put the live run and its screen back
+   */
+  exitReplay() {
+    const player = this.replayPlayer;
+    if (!player) return;
+
+    clearTimeout(player.timer);
+    this.replayPlayer = null;
+    this.engine = player.liveEngine;
+
+    document.getElementById('eventContainer').replaceChildren(player.eventContent);
+    document.getElementById('actionButtons').replaceChildren(player.buttonContent);
+    this.hideAllScreens();
+    player.visibleScreens.forEach(screen => screen.classList.remove('hidden'));
+    this.currentScreen = player.liveScreen;
+    if (this.engine.state.profession) this.updateUI();
+  }
+
+  appendReplayButton(container) {
+    if (!this.engine.getReplay()) return;
+
+    const replayBtn = document.createElement('button');
+    replayBtn.className = 'secondary';
+    replayBtn.textContent = 'Watch Replay 🎬';
+    replayBtn.onclick = () => this.watchReplay();
+    container.appendChild(replayBtn);
+  }
+
   /**
    * Show profession selection
    */
@@ -87,17 +755,42 @@ class UIController {
     const container = document.getElementById('professionButtons');
     container.innerHTML = '';
 
+    // Locks come from past runs (see CareerStore); the Daily Challenge opens everything
+    const playerName = document.getElementById('playerName')?.value || 'Anonymous';
+    const daily = this.engine.state.dailyChallenge;
+    if (typeof careerStore !== 'undefined') careerStore.migrate(playerName, this.theme);
+    const isLocked = unlock => !daily && typeof careerStore !== 'undefined' &&
+      !careerStore.isUnlocked(playerName, this.theme.name, unlock);
+
     this.theme.professions.forEach(prof => {
       const button = document.createElement('button');
       button.className = 'secondary profession-btn';
       button.innerHTML = `
-        ${prof.icon} ${prof.displayName} - ${this.theme.resources.currency.prefix}${prof.startingCurrency} start<br>
+        ${prof.icon} ${prof.displayName} - ${this.roleResource('currency').prefix || ''}${prof.startingCurrency} start<br>
         <span style="font-size: 0.9rem;">${prof.description}</span>
       `;
-      button.onclick = () => this.selectProfession(prof.id);
+      if (isLocked(prof.unlock)) {
+        button.disabled = true;
+        button.classList.add('locked');
+        button.innerHTML += `<br><span class="unlock-hint">🔒 ${this.escapeHtml(prof.unlock.hint)}</span>`;
+      } else {
+        button.onclick = () => this.selectProfession(prof.id);
+      }
       container.appendChild(button);
     });
 
+    const unlockables = this.theme.unlockables || [];
+    if (unlockables.length > 0) {
+      const box = document.createElement('div');
+      box.className = 'message-box unlockable-list';
+      box.innerHTML = daily
+        ? '<p>📅 Everyone starts the Daily Challenge without bonuses.</p>'
+        : '<p><strong>Starting bonuses</strong></p>' + unlockables.map(unlockable => (isLocked(unlockable.unlock)
+          ? `<p class="locked">🔒 ${this.escapeHtml(unlockable.name)} - ${this.escapeHtml(unlockable.unlock.hint)}</p>`
+          : `<p>${unlockable.icon || '✓'} ${this.escapeHtml(unlockable.name)} - ${this.escapeHtml(unlockable.description || '')}</p>`)).join('');
+      container.appendChild(box);
+    }
+
     this.currentScreen = 'profession';
   }
 
@@ -143,19 +836,22 @@ class UIController {
       document.getElementById('name4').value || defaults[3] || 'Traveler 4'
     ];
 
-    // Save player name to game state
+    // Save player name to game state and pick a random group name
     const playerName = document.getElementById('playerName')?.value || 'Anonymous';
-    this.engine.state.playerName = playerName;
+    this.engine.nameGroup(playerName);
 
-    // Generate random group name
-    const groupNames = this.theme.ui.groupNames || [];
-    if (groupNames.length > 0) {
-      this.engine.state.groupName = groupNames[Math.floor(Math.random() * groupNames.length)];
-    } else {
-      this.engine.state.groupName = 'The Travelers';
+    this.engine.initializeParty(names);
+
+    // Starting bonuses earned in past runs come along (not on the Daily Challenge)
+    if (!this.engine.state.dailyChallenge && typeof careerStore !== 'undefined') {
+      const earned = careerStore.earnedUnlockables(playerName, this.theme);
+      if (earned.length > 0) this.engine.applyUnlockables(earned.map(unlockable => unlockable.id));
     }
 
-    this.engine.initializeParty(names);
+    // Setting out uses up today's Daily Challenge attempt
+    if (this.engine.state.dailyChallenge && typeof highScoreManager !== 'undefined') {
+      highScoreManager.markDailyPlayed(this.theme.name, this.engine.state.dailyChallenge);
+    }
 
     // Track game session start for analytics
     if (typeof highScoreManager !== 'undefined') {
@@ -231,34 +927,13 @@ ${mystery.description}
     const { state } = this.engine;
     const { resources } = this.theme;
 
-    // Update resource labels with theme-specific names and icons
-    document.getElementById('fuelLabel').textContent = `${resources.fuel.icon} ${resources.fuel.name}`;
-    document.getElementById('foodLabel').textContent = `${resources.food.icon} ${resources.food.name}`;
-    document.getElementById('moraleLabel').textContent = `${resources.morale.icon} ${resources.morale.name}`;
-    document.getElementById('currencyLabel').textContent = `${resources.currency.icon} ${resources.currency.name}`;
-    document.getElementById('specialItemLabel').textContent = `${resources.specialItem.icon} ${resources.specialItem.name}`;
-
-    // Update quick stats icons (mobile)
-    document.getElementById('fuelIcon').textContent = resources.fuel.icon;
-    document.getElementById('foodIcon').textContent = resources.food.icon;
-    document.getElementById('moraleIcon').textContent = resources.morale.icon;
-    document.getElementById('currencyIcon').textContent = resources.currency.icon;
-    document.getElementById('specialItemIcon').textContent = resources.specialItem.icon;
-
-    // Update resource displays
-    document.getElementById('fuelValue').textContent = Math.max(0, Math.floor(state.resources.fuel));
-    document.getElementById('foodValue').textContent = Math.max(0, Math.floor(state.resources.food));
-    document.getElementById('moraleValue').textContent = Math.max(0, Math.floor(state.resources.morale));
-    document.getElementById('currencyValue').textContent =
-      resources.currency.prefix + Math.max(0, Math.floor(state.resources.currency));
-    document.getElementById('specialItemValue').textContent = Math.max(0, Math.floor(state.resources.specialItem));
-
-    // Update quick stats (mobile)
-    document.getElementById('quickFuel').textContent = Math.max(0, Math.floor(state.resources.fuel));
-    document.getElementById('quickFood').textContent = Math.max(0, Math.floor(state.resources.food));
-    document.getElementById('quickMorale').textContent = Math.max(0, Math.floor(state.resources.morale));
-    document.getElementById('quickCurrency').textContent = Math.max(0, Math.floor(state.resources.currency));
-    document.getElementById('quickSpecialItem').textContent = Math.max(0, Math.floor(state.resources.specialItem));
+    this.renderResourceStats();
+
+    Object.keys(resources).forEach(key => {
+      const value = this.formatResourceValue(key, state.resources[key]);
+      document.getElementById(`${key}Value`).textContent = value;
+      document.getElementById(`${key}Quick`).textContent = value;
+    });
 
     // Color coding
     this.updateResourceColors();
@@ -275,28 +950,68 @@ ${mystery.description}
   }
 
   /**
-   * Update resource color indicators
+   * Build a stat box (and a mobile quick stat) for every theme resource.
+   * Only rebuilt when the theme's resource list changes.
+   */
+  renderResourceStats() {
+    const { resources } = this.theme;
+    const keys = Object.keys(resources).join(',');
+    const statsBar = document.getElementById('statsBar');
+    if (statsBar.dataset.resources === keys) return;
+
+    statsBar.querySelectorAll('.resource-stat').forEach(el => el.remove());
+    const quickStats = document.getElementById('quickStats');
+    quickStats.innerHTML = '';
+
+    Object.keys(resources).forEach(key => {
+      const resource = resources[key];
+
+      const stat = document.createElement('div');
+      stat.className = 'stat resource-stat';
+      stat.innerHTML = `
+        <div class="stat-label" id="${key}Label">${resource.icon} ${resource.name}</div>
+        <div class="stat-value" id="${key}Value"></div>
+      `;
+      statsBar.appendChild(stat);
+
+      quickStats.insertAdjacentHTML('beforeend', `<span>${resource.icon}</span><span id="${key}Quick"></span> `);
+    });
+
+    statsBar.dataset.resources = keys;
+  }
+
+  /**
+   * Display a resource value with its theme prefix/suffix and decimals
+   */
+  formatResourceValue(key, value) {
+    const resource = this.theme.resources[key];
+    const { min } = this.engine.getResourceBounds(key);
+    const factor = Math.pow(10, resource.decimals || 0);
+    const shown = Math.floor(Math.max(Number.isFinite(min) ? min : 0, value) * factor) / factor;
+    return `${resource.prefix || ''}${shown.toFixed(resource.decimals || 0)}${resource.suffix || ''}`;
+  }
+
+  /**
+   * Update resource color indicators. Resources with a max are coloured by
+   * how full they are; lowerIsBetter ones (e.g. Paranoia) the other way round.
    */
   updateResourceColors() {
-    ['fuel', 'food', 'morale', 'specialItem'].forEach(key => {
-      const value = this.engine.state.resources[key];
+    Object.entries(this.theme.resources).forEach(([key, resource]) => {
+      if (!resource.max) return;
+
+      const percent = (this.engine.state.resources[key] / resource.max) * 100;
       const el = document.getElementById(`${key}Value`);
       el.classList.remove('good', 'warning', 'danger');
 
-      // Special handling for Paranoia (specialItem in Roswell theme)
-      // Low paranoia = good, high paranoia = bad (opposite of other resources)
-      const isParanoia = key === 'specialItem' &&
-                         this.theme.resources.specialItem.name === 'Paranoia';
-
-      if (isParanoia) {
+      if (resource.lowerIsBetter) {
         // Reversed: low values are good, high values are bad
-        if (value < 30) el.classList.add('good');
-        else if (value < 60) el.classList.add('warning');
+        if (percent < 30) el.classList.add('good');
+        else if (percent < 60) el.classList.add('warning');
         else el.classList.add('danger');
       } else {
         // Normal: high values are good, low values are bad
-        if (value > 50) el.classList.add('good');
-        else if (value > 20) el.classList.add('warning');
+        if (percent > 50) el.classList.add('good');
+        else if (percent > 20) el.classList.add('warning');
         else el.classList.add('danger');
       }
     });
@@ -307,7 +1022,7 @@ ${mystery.description}
    */
   updateLocationDisplay() {
     const current = this.engine.getCurrentLocation();
-    const nextLoc = this.theme.locations[this.engine.state.currentLocationIndex + 1];
+    const nextLoc = this.engine.getNextLocation();
 
     if (this.engine.state.distance === current.distance) {
       document.getElementById('currentLocation').textContent = current.name;
@@ -321,6 +1036,14 @@ ${mystery.description}
     document.getElementById('progressFill').style.width = progress + '%';
     document.getElementById('progressText').textContent =
       `${Math.floor(this.engine.state.distance)} / ${this.engine.state.totalDistance} miles`;
+
+    // Current travel conditions from the theme's tables
+    const { pace, rations, weather } = this.engine.getTravelConditions();
+    document.getElementById('weatherInfo').textContent = `${weather.icon || ''} ${weather.label || this.engine.state.weather}`.trim();
+    document.getElementById('paceInfo').textContent = `Pace: ${pace.label}`;
+    document.getElementById('rationInfo').textContent = `Rations: ${rations.label}`;
+    document.getElementById('practiceInfo').classList.toggle('hidden', !this.engine.state.practice);
+    document.getElementById('dailyInfo').classList.toggle('hidden', !this.engine.state.dailyChallenge);
   }
 
   /**
@@ -367,11 +1090,26 @@ ${mystery.description}
       else if (member.doubting) doubting++;
       else groovy++;
 
-      let displayText = `${member.name} - ${status}`;
+      let displayText = `${this.escapeHtml(member.name)} - ${status}`;
       if (member.doubting && member.doubt) {
-        displayText += ` (${member.doubt})`;
+        displayText += ` (${this.escapeHtml(member.doubt)})`;
+      }
+
+      // Trait and skill, when the theme deals them out
+      const perks = [this.engine.findTrait(member.trait), this.engine.findSkill(member.skill)]
+        .filter(Boolean)
+        .map(perk => `<span title="${this.escapeHtml(perk.description || '')}">${perk.icon || ''} ${this.escapeHtml(perk.name)}</span>`);
+      if (perks.length > 0) {
+        displayText += `<br><small>${perks.join(' · ')}</small>`;
       }
-      div.innerHTML = `<span>${displayText}</span>`;
+
+      const health = member.health === undefined ? TrailGameEngine.MAX_HEALTH : member.health;
+      const condition = this.engine.getHealthCondition(member);
+      const [good, fair] = TrailGameEngine.HEALTH_CONDITIONS;
+      const fill = health >= good.min ? '' : health >= fair.min ? ' medium' : ' low';
+      div.innerHTML = `<span>${displayText}</span>` +
+        `<div class="health-bar" title="Health: ${condition} (${Math.round(health)})">` +
+        `<div class="health-fill${fill}" style="width: ${health}%"></div></div>`;
       container.appendChild(div);
     });
 
@@ -403,30 +1141,32 @@ ${mystery.description}
     container.innerHTML = '';
     const currentLoc = this.engine.getCurrentLocation();
 
-    // Theme-aware forage button text
-    let forageButtonText, forageAction;
-    if (this.theme.resources.food.name === 'Evidence') {
-      forageButtonText = 'Search for Evidence 🔍';
-      forageAction = () => this.forage();
-    } else if ((currentLoc.isShop || currentLoc.isTown) && this.theme.name === 'The NorCal Trail') {
-      forageButtonText = 'Street Performance 🎸';
-      forageAction = () => this.startStreetPerformance();
-    } else {
-      forageButtonText = 'Forage for Food';
-      forageAction = () => this.forage();
+    // Themes with a street performance (miniGames.performance) put on a
+    // show in shops and towns instead of foraging there
+    const miniGames = this.theme.miniGames || {};
+    const fuel = this.roleResource('fuel');
+    const forage = this.roleResource('forage');
+    let forageButton = null;
+    if (miniGames.performance && (currentLoc.isShop || currentLoc.isTown)) {
+      forageButton = { text: miniGames.performance.buttonText || miniGames.performance.name, action: () => this.startStreetPerformance() };
+    } else if (forage) {
+      forageButton = { text: (miniGames.foraging && miniGames.foraging.buttonText) || `Forage for ${forage.name}`, action: () => this.forage() };
     }
 
     const actions = [
-      { text: 'Continue Journey', action: () => this.travel() },
-      { text: `Buy ${this.theme.resources.fuel.icon} ${this.theme.resources.fuel.name}`, action: () => this.showGasStation(), condition: () => currentLoc.isShop || currentLoc.type === 'checkpoint' },
+      { text: 'Continue Journey', action: () => (this.engine.getPendingFork() ? this.showRouteChoice() : this.travel()) },
+      { text: fuel ? `Buy ${fuel.icon} ${fuel.name}` : '', action: () => this.showGasStation(), condition: () => fuel && (currentLoc.isShop || currentLoc.type === 'checkpoint') },
       { text: 'General Store', action: () => this.showTrade(), condition: () => currentLoc.isShop },
-      { text: 'Make Money 💰', action: () => this.showMakeMoney(), condition: () => currentLoc.isShop || currentLoc.type === 'town' },
-      { text: forageButtonText, action: forageAction },
+      { text: 'Make Money 💰', action: () => this.showMakeMoney(), condition: () => (currentLoc.isShop || currentLoc.type === 'town') && this.engine.getMoneyActivities().length > 0 },
+      { ...forageButton, condition: () => forageButton !== null },
       { text: 'Rest', action: () => this.rest() },
       { text: 'Check Supplies', action: () => this.showSupplies() },
+      { text: 'Map 🗺️', action: () => this.showMap() },
+      { text: 'Save Game 💾', action: () => this.showSaveMenu() },
+      { text: 'Undo ↩️', action: () => this.showUndoMenu(), condition: () => this.engine.getUndoHistory().length > 0 },
       { text: 'Change Pace', action: () => this.showPaceMenu() },
-      // Only show rations for food-based themes (not Evidence)
-      { text: 'Change Rations', action: () => this.showRationMenu(), condition: () => this.theme.resources.food.name !== 'Evidence' }
+      // Rations only matter when something is eaten each day
+      { text: 'Change Rations', action: () => this.showRationMenu(), condition: () => this.engine.resourceKey('food') !== null }
     ];
 
     actions.forEach(action => {
@@ -439,6 +1179,53 @@ ${mystery.description}
     });
   }
 
+  /**
+   * Pick a route at a fork before setting out. Locked routes (route.unlock)
+   * work like locked professions.
+   */
+  showRouteChoice() {
+    const eventContainer = document.getElementById('eventContainer');
+    const buttonsContainer = document.getElementById('actionButtons');
+    const location = this.engine.getCurrentLocation();
+    const fork = this.engine.getPendingFork();
+    const rejoin = this.theme.locations.find(loc => loc.name === fork.rejoin);
+
+    const playerName = document.getElementById('playerName')?.value || 'Anonymous';
+    const isLocked = unlock => !this.engine.state.dailyChallenge && typeof careerStore !== 'undefined' &&
+      !careerStore.isUnlocked(playerName, this.theme.name, unlock);
+
+    eventContainer.innerHTML = `<div class="event-box">
+      <h3>🧭 ${this.escapeHtml(location.name)}</h3>
+      <p>${this.escapeHtml(fork.text || `The road splits here. Every way leads to ${fork.rejoin} eventually.`)}</p>
+    </div>`;
+
+    buttonsContainer.innerHTML = '';
+    fork.routes.forEach(route => {
+      const miles = route.locations ? route.distance : rejoin.distance - location.distance;
+      const btn = document.createElement('button');
+      btn.className = 'secondary';
+      btn.innerHTML = `${route.icon ? route.icon + ' ' : ''}${this.escapeHtml(route.name)} - ${miles} miles to ${this.escapeHtml(fork.rejoin)}` +
+        (route.description ? `<br><span style="font-size: 0.9rem;">${this.escapeHtml(route.description)}</span>` : '');
+      if (isLocked(route.unlock)) {
+        btn.disabled = true;
+        btn.classList.add('locked');
+        btn.innerHTML += `<br><span class="unlock-hint">🔒 ${this.escapeHtml(route.unlock.hint)}</span>`;
+      } else {
+        btn.onclick = () => {
+          this.engine.chooseRoute(route.id);
+          this.updateUI();
+          this.travel();
+        };
+      }
+      buttonsContainer.appendChild(btn);
+    });
+
+    const back = document.createElement('button');
+    back.textContent = 'Back';
+    back.onclick = () => this.showMainMenu();
+    buttonsContainer.appendChild(back);
+  }
+
   /**
    * Travel action
    */
@@ -505,7 +1292,7 @@ ${mystery.description}
     }
 
     // Pick a random set from current region
-    const selectedSet = currentRegion[Math.floor(Math.random() * currentRegion.length)];
+    const selectedSet = this.engine.rng.cosmetic().pick(currentRegion);
 
     eventContainer.innerHTML = `
       <div style="text-align: center; padding: 2rem;">
@@ -554,33 +1341,19 @@ ${mystery.description}
   continueTraveling() {
     const result = this.engine.travel();
 
-    // Check if anyone abandoned this turn
+    // Check if anyone abandoned this turn; the memorial stands in for the
+    // day's event, and the day still ends wherever it got to
     if (this.engine.state.abandonedThisTurn && this.engine.state.abandonedThisTurn.length > 0) {
-      this.showAbandonmentMemorial(this.engine.state.abandonedThisTurn);
+      this.showAbandonmentMemorial(this.engine.state.abandonedThisTurn,
+        result ? () => this.showTravelResult(result) : undefined);
       this.engine.state.abandonedThisTurn = []; // Clear the list
       return;
     }
 
-    // Check if reached location or won
+    // Reached a location or won, or the day's fail check (travel runs it)
+    // turned something up
     if (result) {
-      if (result.type === 'arrival') {
-        this.showLocationArrival(result.location);
-        return;
-      } else if (result.type === 'win') {
-        // Check for Area 51 endgame sequence
-        if (this.theme.area51Endgame && this.theme.area51Endgame.enabled) {
-          this.startArea51Endgame();
-        } else {
-          this.showWinScreen();
-        }
-        return;
-      }
-    }
-
-    // Check fail conditions BEFORE showing events
-    const failResult = this.engine.checkFailConditions();
-    if (failResult) {
-      this.handleFailCondition(failResult);
+      this.showTravelResult(result);
       return;
     }
 
@@ -589,46 +1362,79 @@ ${mystery.description}
   }
 
   /**
-   * Show memorial screen for abandoned party member
+   * Play out what travel() returned: the location, the ending on a win, or
+   * a fail or abandonment
    */
-  showAbandonmentMemorial(abandonedMembers) {
+  showTravelResult(result) {
+    if (result.type === 'arrival') {
+      this.showLocationArrival(result.location);
+    } else if (result.type === 'win') {
+      // Check for Area 51 endgame sequence
+      if (this.theme.area51Endgame && this.theme.area51Endgame.enabled) {
+        this.startArea51Endgame();
+      } else {
+        this.showWinScreen();
+      }
+    } else {
+      this.handleFailCondition(result);
+    }
+  }
+
+  /**
+   * Show memorial screen for everyone who left the party this turn. Members
+   * who got too sick (sick: true) get the theme's ui.sickness text, the
+   * rest its ui.abandonment text.
+   * @param {Function} [onContinue] - Where "Continue Journey" goes (the main menu by default)
+   */
+  showAbandonmentMemorial(abandonedMembers, onContinue = () => this.showMainMenu()) {
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
 
-    const member = abandonedMembers[0]; // Show one at a time
-
-    // Get theme-specific abandonment text, or default to hippie theme
+    // Get theme-specific text, or default to hippie theme
     const abandonment = this.theme.ui?.abandonment || {
       title: '💔 SOLD OUT 💔',
       icon: '👔',
       quote: '"The establishment got another one..."',
       subtext: 'Press F to pay respects 🕊️'
     };
+    const sickness = this.theme.ui?.sickness || {
+      title: '🤒 TOO SICK TO GO ON 🤒',
+      icon: '🚑',
+      quote: '"Get well soon, friend..."',
+      subtext: 'Press F to pay respects 🕊️'
+    };
 
-    eventContainer.innerHTML = `
+    const groups = [
+      { text: sickness, members: abandonedMembers.filter(member => member.sick), left: 'had to leave the trip' },
+      { text: abandonment, members: abandonedMembers.filter(member => !member.sick), left: 'has abandoned the trip' }
+    ].filter(group => group.members.length > 0);
+
+    eventContainer.innerHTML = groups.map(({ text, members, left }) => `
       <div class="event-box" style="text-align: center; padding: 2rem;">
-        <h2 style="color: #ff6b6b; font-size: 3rem; margin-bottom: 1rem;">${abandonment.title}</h2>
-        <div style="font-size: 8rem; margin: 2rem 0;">${abandonment.icon}</div>
-        <h3 style="font-size: 2rem; color: #ffd93d; margin-bottom: 1rem;">${member.name}</h3>
-        <p style="font-size: 1.5rem; margin: 1rem 0; color: #f0e68c;">${member.name} has abandoned the trip.</p>
-        <p style="font-size: 1.3rem; margin: 1rem 0; color: #ff6b6b;">They ${member.reason}.</p>
+        <h2 style="color: #ff6b6b; font-size: 3rem; margin-bottom: 1rem;">${text.title}</h2>
+        <div style="font-size: 8rem; margin: 2rem 0;">${text.icon}</div>
+        ${members.map(member => `
+          <h3 style="font-size: 2rem; color: #ffd93d; margin-bottom: 1rem;">${this.escapeHtml(member.name)}</h3>
+          <p style="font-size: 1.5rem; margin: 1rem 0; color: #f0e68c;">${this.escapeHtml(member.name)} ${left}.</p>
+          <p style="font-size: 1.3rem; margin: 1rem 0; color: #ff6b6b;">They ${member.reason}.</p>
+        `).join('')}
         <div style="margin-top: 2rem; padding: 1.5rem; background: rgba(0,0,0,0.3); border: 2px solid #8b7355;">
           <p style="font-size: 1.2rem; font-style: italic; color: #8b7355;">
-            ${abandonment.quote}
+            ${text.quote}
           </p>
           <p style="font-size: 1rem; margin-top: 0.5rem; color: #666;">
-            ${abandonment.subtext}
+            ${text.subtext}
           </p>
         </div>
       </div>
-    `;
+    `).join('');
 
     buttonsContainer.innerHTML = '';
     const continueBtn = document.createElement('button');
     continueBtn.textContent = 'Continue Journey';
     continueBtn.onclick = () => {
       this.updateUI();
-      this.showMainMenu();
+      onContinue();
     };
     buttonsContainer.appendChild(continueBtn);
   }
@@ -637,6 +1443,9 @@ ${mystery.description}
    * Show location arrival with special handling
    */
   showLocationArrival(location) {
+    this.autosave('arrival');
+    this.recordProgress('arrival');
+
     // Handle special location types
     if (location.specialType) {
       if (location.specialType === 'checkpoint') {
@@ -664,7 +1473,7 @@ ${mystery.description}
             <h3>${location.landmarkData.title}</h3>
             <pre>${location.landmarkData.art}</pre>
             <p style="font-size: 1.2rem; margin-top: 1rem;">${location.landmarkData.description}</p>
-            ${location.landmarkData.moraleBoost ? `<p style="color: #4ade80; font-size: 1.4rem; margin-top: 1rem;">+${location.landmarkData.moraleBoost} ${this.theme.resources.morale.name}! ✨</p>` : ''}
+            ${location.landmarkData.moraleBoost ? `<p style="color: #4ade80; font-size: 1.4rem; margin-top: 1rem;">+${location.landmarkData.moraleBoost} ${this.roleResource('morale').name}! ✨</p>` : ''}
           </div>
         `;
       } else {
@@ -727,11 +1536,11 @@ ${mystery.description}
       `;
     }, 1500);
 
-    // Trigger a cop event if profession has high cop target chance
-    const copTargetChance = this.engine.state.professionModifiers?.antagonistTargetChance || 0;
-    if (Math.random() < (0.5 + copTargetChance)) {
+    // Professions with a high cop target chance get stopped more
+    const checkpoint = this.engine.rollCheckpoint();
+    if (checkpoint.stopped) {
       setTimeout(() => {
-        const copEvent = this.findCopEvent();
+        const copEvent = checkpoint.event;
         if (copEvent) {
           this.showChoiceEvent(copEvent, this.replaceTemplates(copEvent.text));
         } else {
@@ -752,15 +1561,6 @@ ${mystery.description}
     }
   }
 
-  /**
-   * Find a cop event from available events
-   */
-  findCopEvent() {
-    const phase = this.engine.getCurrentPhase();
-    const events = this.theme.events[phase] || [];
-    return events.find(e => e.copEvent === true);
-  }
-
   /**
    * Handle minigame location
    */
@@ -774,83 +1574,42 @@ ${mystery.description}
     // Create minigame if MiniGameEngine is available
     if (typeof MiniGameEngine !== 'undefined' && this.theme.miniGames && this.theme.miniGames.rapids) {
       setTimeout(() => {
-        const miniGame = new MiniGameEngine('miniGameContainer', this.theme.miniGames.rapids);
+        // Spawns come from a fork of the run's RNG, so frame timing can't shift later rolls
+        const miniGame = new MiniGameEngine(this.theme, this.engine.startMiniGame('rapids'));
         miniGame.onComplete = (result) => {
+          const effects = this.engine.finishMiniGame('rapids', { success: result.success, points: result.score });
+          const moraleChange = effects[this.engine.resourceKey('morale')];
           if (result.success) {
-            this.engine.state.resources.morale += result.points * 2;
-            this.showSimpleEvent(`🌊 You navigated the rapids! +${result.points * 2} ${this.theme.resources.morale.name}!`);
+            this.showSimpleEvent(`🌊 You navigated the rapids! +${moraleChange} ${this.roleResource('morale').name}!`);
           } else {
-            this.engine.state.resources.morale -= 15;
-            this.showSimpleEvent(`💥 You crashed in the rapids! -15 ${this.theme.resources.morale.name}!`);
+            this.showSimpleEvent(`💥 You crashed in the rapids! ${moraleChange} ${this.roleResource('morale').name}!`);
           }
           this.updateUI();
           setTimeout(() => this.showMainMenu(), 2000);
         };
-        miniGame.start();
+        miniGame.startAvoidance(this.theme.miniGames.rapids);
       }, 2000);
-    } else {
-      setTimeout(() => {
-        this.showSimpleEvent('You navigate the challenge carefully and continue on.');
-        setTimeout(() => this.showMainMenu(), 2000);
-      }, 2000);
-    }
-  }
-
-  /**
-   * Handle mountain pass location
-   */
-  handleMountainPass(location) {
-    const message = location.landmarkData ?
-      `<h3>${location.landmarkData.title}</h3><pre class="ascii-art">${location.landmarkData.art}</pre><p>${location.landmarkData.description}</p>` :
-      '<h3>⛰️ MOUNTAIN PASS</h3><p>The steep climb ahead will test your bus...</p>';
-
-    const eventContainer = document.getElementById('eventContainer');
-    const buttonsContainer = document.getElementById('actionButtons');
-
-    eventContainer.innerHTML = `<div class="event-box">${message}</div>`;
-    buttonsContainer.innerHTML = '';
-
-    // Options for mountain pass
-    const goSlowBtn = document.createElement('button');
-    goSlowBtn.textContent = '🐢 Go Slow & Steady (-15 gas, -1 day)';
-    goSlowBtn.onclick = () => {
-      this.engine.state.resources.fuel -= 15;
-      this.engine.advanceTime(1);
-      this.showSimpleEvent('You take your time and make it over safely!');
-      this.updateUI();
-      setTimeout(() => this.showMainMenu(), 2000);
-    };
-    buttonsContainer.appendChild(goSlowBtn);
-
-    const pushItBtn = document.createElement('button');
-    pushItBtn.textContent = '🚀 Push It Hard (-25 gas, risk breakdown)';
-    pushItBtn.onclick = () => {
-      this.engine.state.resources.fuel -= 25;
-      if (Math.random() < 0.3) {
-        this.showSimpleEvent('💥 Your bus breaks down on the climb! (-$50 repairs, -2 days)');
-        this.engine.state.resources.currency -= 50;
-        this.engine.advanceTime(2);
-      } else {
-        this.showSimpleEvent('You gun it and make it over! That was intense!');
-      }
-      this.updateUI();
-      setTimeout(() => this.showMainMenu(), 2000);
-    };
-    buttonsContainer.appendChild(pushItBtn);
-
-    if (this.engine.state.items.parts && this.engine.state.items.parts > 0) {
-      const usePartsBtn = document.createElement('button');
-      usePartsBtn.textContent = '🔧 Use Spare Parts (no gas, -1 parts)';
-      usePartsBtn.onclick = () => {
-        this.engine.state.items.parts--;
-        this.showSimpleEvent('You tune up the bus first! Makes it over easily!');
-        this.updateUI();
+    } else {
+      setTimeout(() => {
+        this.showSimpleEvent('You navigate the challenge carefully and continue on.');
         setTimeout(() => this.showMainMenu(), 2000);
-      };
-      buttonsContainer.appendChild(usePartsBtn);
+      }, 2000);
     }
   }
 
+  /**
+   * Handle mountain pass location
+   */
+  handleMountainPass(location) {
+    const event = this.engine.getMountainPassEvent(location);
+    const message = location.landmarkData ?
+      `<h3>${location.landmarkData.title}</h3><pre class="ascii-art">${location.landmarkData.art}</pre><p>${location.landmarkData.description}</p>` :
+      `<h3>⛰️ MOUNTAIN PASS</h3><p>${this.replaceTemplates(event.text)}</p>`;
+
+    // Odds (e.g. breaking down when pushing hard) come from the event's weighted outcomes
+    this.showChoiceEvent(event, message);
+  }
+
   /**
    * Show random event
    */
@@ -868,10 +1627,9 @@ ${mystery.description}
     if (event.isChoice) {
       this.showChoiceEvent(event, text);
     } else {
-      // Add effects summary to simple events too
-      const textWithEffects = text + this.formatEffects(event.effects || {});
-      this.showSimpleEvent(textWithEffects);
-      this.engine.applyEffects(event.effects);
+      // Add effects summary (as rolled) to simple events too
+      const effects = this.engine.resolveEvent(event);
+      this.showSimpleEvent(text + this.formatEffects(effects));
       this.updateUI();
       // Show main menu immediately
       this.showMainMenu();
@@ -896,15 +1654,25 @@ ${mystery.description}
     eventContainer.innerHTML = `<div class="event-box">${text}</div>`;
     buttonsContainer.innerHTML = '';
 
-    event.choices.forEach((choice, index) => {
-      // Check if choice is available based on condition
-      if (choice.condition && !this.engine.checkEventCondition(choice.condition)) {
-        return; // Skip this choice
-      }
-
+    // Choices whose condition isn't met are hidden; enableCondition greys them out
+    this.engine.getAvailableChoices(event).forEach(choice => {
       const btn = document.createElement('button');
       btn.textContent = this.replaceTemplates(choice.text);
-      btn.onclick = () => this.makeChoice(event, choice);
+
+      // Note who'll make a difference (a mechanic on a repair, say)
+      const helpers = this.engine.getChoiceHelpers(choice);
+      if (helpers.length > 0) {
+        const icons = helpers.map(member => this.engine.findSkill(member.skill).icon || '').join('');
+        btn.textContent += ` (${icons} ${helpers.map(member => member.name).join(' & ')} can help)`;
+      }
+
+      if (!this.engine.isChoiceEnabled(choice)) {
+        btn.disabled = true;
+        btn.style.opacity = '0.5';
+        btn.title = choice.disabledText ? this.replaceTemplates(choice.disabledText) : 'Not available right now';
+      }
+
+      btn.onclick = () => this.makeChoice(event, choice, text);
       buttonsContainer.appendChild(btn);
     });
   }
@@ -912,31 +1680,19 @@ ${mystery.description}
   /**
    * Handle choice selection
    */
-  makeChoice(event, choice) {
+  makeChoice(event, choice, text) {
     // Check for special mini-game choices
     if (choice.special === 'repairGame') {
       this.startRepairMinigame();
       return;
     }
 
-    let message = this.replaceTemplates(choice.message || 'Continued on...');
-    let effects = {};
-    let endsGame = false;
-
-    // Handle risk
-    if (choice.risk && Math.random() < choice.risk) {
-      message = this.replaceTemplates(choice.failMessage || message);
-      effects = choice.failEffects || {};
-      this.engine.applyEffects(effects);
-      endsGame = choice.failEndsGame || false;
-    } else {
-      effects = choice.effects || {};
-      this.engine.applyEffects(effects);
-      endsGame = choice.endsGame || false;
-    }
+    // Engine rolls the risk and applies whichever effects result
+    // (practice mode keeps the event so undo can put it back on screen)
+    const { message: rawMessage, effects, endsGame } = this.engine.resolveChoice(choice, { event, text });
 
     // Add effects summary to message
-    message += this.formatEffects(effects);
+    const message = this.replaceTemplates(rawMessage) + this.formatEffects(effects);
 
     this.showSimpleEvent(message);
     this.updateUI();
@@ -961,13 +1717,7 @@ ${mystery.description}
     if (!effects || Object.keys(effects).length === 0) return '';
 
     const parts = [];
-    const resourceMap = {
-      fuel: this.theme.resources.fuel,
-      food: this.theme.resources.food,
-      morale: this.theme.resources.morale,
-      currency: this.theme.resources.currency,
-      specialItem: this.theme.resources.specialItem
-    };
+    const resourceMap = this.theme.resources;
 
     Object.keys(effects).forEach(key => {
       const value = effects[key];
@@ -976,11 +1726,13 @@ ${mystery.description}
       if (resourceMap[key]) {
         const resource = resourceMap[key];
         const prefix = resource.prefix || '';
+        const suffix = resource.suffix || '';
         const name = resource.name;
         const icon = resource.icon;
         const sign = value > 0 ? '+' : '';
-        const color = value > 0 ? '#4ade80' : '#ef4444';
-        parts.push(`<span style="color: ${color};">${sign}${prefix}${value} ${name} ${icon}</span>`);
+        // Good news is green - flipped for lowerIsBetter resources
+        const color = (value > 0) !== !!resource.lowerIsBetter ? '#4ade80' : '#ef4444';
+        parts.push(`<span style="color: ${color};">${sign}${prefix}${value}${suffix} ${name} ${icon}</span>`);
       } else if (key === 'days') {
         const color = '#fbbf24';
         parts.push(`<span style="color: ${color};">+${value} days</span>`);
@@ -988,6 +1740,12 @@ ${mystery.description}
         const sign = value > 0 ? '+' : '';
         const color = value > 0 ? '#4ade80' : '#ef4444';
         parts.push(`<span style="color: ${color};">${sign}${value} spare parts 🔧</span>`);
+      } else if (key === 'health' || key === 'memberHealth') {
+        const sign = value > 0 ? '+' : '';
+        const color = value > 0 ? '#4ade80' : '#ef4444';
+        // memberHealth hit one member, named in effects.member
+        const who = key === 'health' ? 'everyone' : this.escapeHtml(effects.member || 'someone');
+        parts.push(`<span style="color: ${color};">${sign}${Math.round(value)} health for ${who} ❤️</span>`);
       }
     });
 
@@ -1002,6 +1760,7 @@ ${mystery.description}
     const buttonsContainer = document.getElementById('actionButtons');
 
     const parts = ['🔧', '⚙️', '🔩', '💧', '⚡', '🌡️'];
+    const rng = this.engine.startMiniGame('repair');
     let timeLeft = 15;
     let fixedParts = 0;
     let currentPart = null;
@@ -1041,7 +1800,7 @@ ${mystery.description}
     };
 
     const flashNextPart = () => {
-      currentPart = parts[Math.floor(Math.random() * parts.length)];
+      currentPart = rng.pick(parts);
       flashStartTime = Date.now();
       const container = document.getElementById('repairParts');
       if (!container) return;
@@ -1111,21 +1870,18 @@ ${mystery.description}
     const endGame = (success) => {
       if (gameInterval) clearInterval(gameInterval);
 
+      this.engine.finishMiniGame('repair', { success });
       if (success) {
-        this.engine.state.resources.morale += 15;
         this.showSimpleEvent(
           `<h2 style="color: #4ade80;">🔧 REPAIR SUCCESS!</h2>` +
           `<p>You fixed the bus yourself! Nice work!</p>` +
-          `<p style="color: #4ade80;">+15 ${this.theme.resources.morale.name} ${this.theme.resources.morale.icon} (feeling accomplished!)</p>`
+          `<p style="color: #4ade80;">+15 ${this.roleResource('morale').name} ${this.roleResource('morale').icon} (feeling accomplished!)</p>`
         );
       } else {
-        this.engine.state.resources.currency -= 50;
-        this.engine.advanceTime(1);
-        this.engine.state.resources.morale -= 10;
         this.showSimpleEvent(
           `<h2 style="color: #ef4444;">🔧 REPAIR FAILED</h2>` +
           `<p>You couldn't figure it out. Had to call a mechanic.</p>` +
-          `<p style="color: #ef4444;">-$50 | -1 day | -10 ${this.theme.resources.morale.name}</p>`
+          `<p style="color: #ef4444;">-${this.roleResource('currency').prefix || ''}50 | -1 day | -10 ${this.roleResource('morale').name}</p>`
         );
       }
 
@@ -1167,12 +1923,16 @@ ${mystery.description}
       finalScore,
       {
         distance: state.distance,
-        days: state.day,
+        days: Math.floor(state.daysElapsed || 0),
         profession: state.professionName,
-        survived: stillCommitted
+        survived: stillCommitted,
+        leaderboardEligible: state.leaderboardEligible,
+        daily: state.dailyChallenge,
+        replay: this.engine.getReplay()
       }
     );
     console.log('High score result:', scoreResult);
+    this.recordProgress('end', { won: true });
 
     // Generate epilogue
     const epilogue = this.generateEpilogue(stillCommitted, state);
@@ -1181,11 +1941,15 @@ ${mystery.description}
     const arrivalDate = `${monthNames[state.month]} ${state.day}`;
 
     let highScoreMessage = '';
-    if (scoreResult.madeTopTen) {
+    if (!state.leaderboardEligible) {
+      highScoreMessage = this.unrankedMessage(state);
+    } else if (scoreResult.madeTopTen) {
       highScoreMessage = `<div style="background: rgba(74, 222, 128, 0.2); border: 2px solid #4ade80; padding: 1rem; margin-bottom: 1rem; border-radius: 8px;">
         <h3 style="color: #4ade80; font-size: 1.5rem;">🏆 HIGH SCORE! 🏆</h3>
-        <p style="font-size: 1.2rem;">Rank #${scoreResult.rank} on the leaderboard!</p>
+        <p style="font-size: 1.2rem;">Rank #${scoreResult.rank} on ${this.leaderboardName()}!</p>
       </div>`;
+    } else {
+      highScoreMessage = this.scoreStatusMessage(scoreResult);
     }
 
     document.getElementById('winMessage').textContent = `You made it to ${this.theme.journey.endLocation}!`;
@@ -1201,8 +1965,8 @@ ${mystery.description}
       <br>
       Arrival: ${arrivalDate}<br>
       Made it to destination: ${stillCommitted}/4<br>
-      Cash: $${Math.floor(state.resources.currency)}<br>
-      ${this.theme.resources.morale.name}: ${Math.floor(state.resources.morale)}<br>
+      ${this.roleResource('currency').name}: ${this.roleResource('currency').prefix || ''}${Math.floor(state.resources[this.engine.resourceKey('currency')])}<br>
+      ${this.roleResource('morale').name}: ${Math.floor(state.resources[this.engine.resourceKey('morale')])}<br>
       <br>
       <span style="color: #ffd93d; font-size: 2rem;">Final Score: ${highScoreManager.formatScore(finalScore)}</span>
     `;
@@ -1285,6 +2049,110 @@ ${mystery.description}
     }
   }
 
+  /**
+   * Board this run's score is ranked on, for rank messages
+   */
+  leaderboardName() {
+    return this.engine.state.dailyChallenge ? 'the Daily Challenge board' : 'the leaderboard';
+  }
+
+  /**
+   * Note for a score that didn't reach the leaderboard (queued or refused)
+   */
+  scoreStatusMessage(scoreResult) {
+    if (scoreResult.queued) {
+      return '<p style="color: #ffd93d;">📡 Offline - your score will be sent to the leaderboard when you\'re back online.</p>';
+    }
+    if (scoreResult.rejected) {
+      return `<p style="color: #ff6b6b;">⚠️ The leaderboard didn't accept this score: ${this.escapeHtml(scoreResult.rejected)}</p>`;
+    }
+    return '';
+  }
+
+  /**
+   * Why a finished run wasn't submitted to the leaderboard, if it wasn't
+   */
+  unrankedMessage(state) {
+    if (state.leaderboardEligible) return '';
+    return state.practice
+      ? '<p style="color: #888;">🧪 Practice run - not submitted to the leaderboard.</p>'
+      : '<p style="color: #888;">🔓 This run used unlocks - not submitted to the leaderboard.</p>';
+  }
+
+  /**
+   * Milestones at an arrival or the end of a run: career progress toward
+   * unlocks (see CareerStore), then achievements
+   */
+  recordProgress(moment, outcome = {}) {
+    const { state } = this.engine;
+    if (!this.replayPlayer && !state.practice && typeof careerStore !== 'undefined') {
+      const playerName = state.playerName || 'Anonymous';
+      careerStore.recordArrival(playerName, this.theme.name, this.engine.getCurrentLocation().name);
+      if (moment === 'end') {
+        careerStore.recordRun(playerName, this.theme.name, { won: !!outcome.won, collected: state.collected });
+      }
+    }
+    this.awardAchievements(moment, outcome);
+  }
+
+  /**
+   * Unlock whatever the theme's achievements say this moment earned and toast
+   * the new ones. moment is 'arrival' or 'end' (see engine.checkAchievements).
+   */
+  awardAchievements(moment, outcome = {}) {
+    if (this.replayPlayer || typeof achievementStore === 'undefined') return;
+
+    const playerName = this.engine.state.playerName || 'Anonymous';
+    const earned = this.engine.checkAchievements(moment, outcome);
+    const fresh = achievementStore.record(playerName, this.theme.name, earned);
+    fresh.forEach(achievement => this.showAchievementToast(achievement));
+
+    if (fresh.length > 0) {
+      highScoreManager.syncAchievements(playerName, this.theme.name, achievementStore.unlocked(playerName, this.theme.name));
+    }
+  }
+
+  showAchievementToast(achievement) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    toast.innerHTML = `<span class="achievement-icon">${achievement.icon || '🏅'}</span>
+      <div><strong>Achievement unlocked: ${this.escapeHtml(achievement.name)}</strong><br>${this.escapeHtml(achievement.description)}</div>`;
+    document.getElementById('toastContainer').appendChild(toast);
+    setTimeout(() => toast.remove(), UIController.TOAST_MS);
+  }
+
+  /**
+   * Achievements screen (from the start screen): the theme's achievements and
+   * which ones the named player has. Hidden ones stay ??? until unlocked.
+   */
+  showAchievements() {
+    this.hideAllScreens();
+    document.getElementById('achievementsScreen').classList.remove('hidden');
+
+    const playerName = document.getElementById('playerName')?.value || 'Anonymous';
+    const progress = achievementStore.progress(playerName, this.theme);
+    const unlockedCount = progress.filter(achievement => achievement.unlockedAt).length;
+    const list = document.getElementById('achievementList');
+
+    if (progress.length === 0) {
+      list.innerHTML = '<div class="message-box"><p>This theme has no achievements.</p></div>';
+      return;
+    }
+
+    list.innerHTML = `<p>${this.escapeHtml(playerName)}: ${unlockedCount} of ${progress.length} unlocked</p>` +
+      progress.map(achievement => {
+        const secret = achievement.hidden && !achievement.unlockedAt;
+        return `<div class="achievement-card${achievement.unlockedAt ? ' unlocked' : ''}">
+          <span class="achievement-icon">${secret ? '❔' : achievement.icon || '🏅'}</span>
+          <div>
+            <strong>${secret ? '???' : this.escapeHtml(achievement.name)}</strong><br>
+            ${secret ? 'A hidden achievement' : this.escapeHtml(achievement.description)}
+            ${achievement.unlockedAt ? `<br><small>Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}</small>` : ''}
+          </div>
+        </div>`;
+      }).join('');
+  }
+
   /**
    * Show game over screen (failure)
    */
@@ -1305,20 +2173,25 @@ ${mystery.description}
       finalScore,
       {
         distance: state.distance,
-        days: state.day,
+        days: Math.floor(state.daysElapsed || 0),
         profession: state.professionName,
         survived: stillCommitted,
-        failed: true
+        failed: true,
+        leaderboardEligible: state.leaderboardEligible,
+        daily: state.dailyChallenge,
+        replay: this.engine.getReplay()
       }
     );
     console.log('High score result (game over):', scoreResult);
+    this.recordProgress('end', { won: false });
 
     let scoreDisplay = `
       <div style="margin: 1.5rem 0; padding: 1rem; background: rgba(255, 107, 107, 0.1); border: 1px solid #ff6b6b; border-radius: 8px;">
         <p><strong>Player:</strong> ${playerName}</p>
         <p><strong>Distance:</strong> ${Math.floor(state.distance)} miles</p>
         <p><strong>Score:</strong> <span style="color: #ffd93d; font-size: 1.3rem;">${highScoreManager.formatScore(finalScore)}</span></p>
-        ${scoreResult.madeTopTen ? `<p style="color: #4ade80; font-weight: bold;">🏆 Rank #${scoreResult.rank} on leaderboard!</p>` : ''}
+        ${scoreResult.madeTopTen ? `<p style="color: #4ade80; font-weight: bold;">🏆 Rank #${scoreResult.rank} on ${this.leaderboardName()}!</p>` : this.scoreStatusMessage(scoreResult)}
+        ${this.unrankedMessage(state)}
       </div>
     `;
 
@@ -1335,6 +2208,7 @@ ${mystery.description}
     restartBtn.textContent = 'Return to Theme Selection';
     restartBtn.onclick = () => location.reload();
     buttonsContainer.appendChild(restartBtn);
+    this.appendReplayButton(buttonsContainer);
   }
 
   /**
@@ -1374,6 +2248,7 @@ ${mystery.description}
   initMissileCommand() {
     const canvas = document.getElementById('missileCommandCanvas');
     const ctx = canvas.getContext('2d');
+    const rng = this.engine.startMiniGame('missileCommand');
 
     // Game state
     const game = {
@@ -1407,11 +2282,11 @@ ${mystery.description}
     const spawnMissile = () => {
       if (!game.running) return;
 
-      const targetCity = Math.floor(Math.random() * 6);
+      const targetCity = rng.int(0, 5);
       const target = cityPositions[targetCity];
 
       game.missiles.push({
-        x: Math.random() * canvas.width,
+        x: rng.next() * canvas.width,
         y: 0,
         targetX: target.x,
         targetY: target.y,
@@ -1705,6 +2580,9 @@ ${mystery.description}
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
 
+    this.engine.finishMiniGame('missileCommand', { won, score });
+    if (!won) this.recordProgress('end', { won: false });
+
     if (won) {
       // Victory - show the memory wipe ending sequence
       this.showMemoryWipeEnding(score);
@@ -1730,6 +2608,7 @@ ${mystery.description}
       restartBtn.textContent = 'Play Again';
       restartBtn.onclick = () => location.reload();
       buttonsContainer.appendChild(restartBtn);
+      this.appendReplayButton(buttonsContainer);
     }
   }
 
@@ -1740,14 +2619,12 @@ ${mystery.description}
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
 
-    // Calculate bonus points
-    let bonusPoints = 0;
-    let daysRemaining = 0;
-    if (this.theme.mystery && this.theme.mystery.enabled) {
-      daysRemaining = this.theme.mystery.timeLimit - this.engine.state.day;
-      bonusPoints = Math.max(0, daysRemaining * this.theme.mystery.bonusPointsPerDay);
-    }
-    const finalScore = score + bonusPoints;
+    // Hits plus the time bonus
+    const finalScore = highScoreManager.calculateMemoryWipeScore(score, this.engine.state, this.theme);
+    const bonusPoints = finalScore - score;
+    const daysRemaining = this.theme.mystery && this.theme.mystery.enabled
+      ? this.theme.mystery.timeLimit - Math.floor(this.engine.state.daysElapsed || 0)
+      : 0;
 
     // Save high score
     const { state } = this.engine;
@@ -1761,13 +2638,17 @@ ${mystery.description}
       finalScore,
       {
         distance: state.distance,
-        days: state.day,
+        days: Math.floor(state.daysElapsed || 0),
         profession: state.professionName,
         survived: stillCommitted,
-        failed: false
+        failed: false,
+        leaderboardEligible: state.leaderboardEligible,
+        daily: state.dailyChallenge,
+        replay: this.engine.getReplay()
       }
     );
     console.log('High score result:', scoreResult);
+    this.recordProgress('end', { won: true });
 
     // First: Victory at Area 51
     eventContainer.innerHTML = `
@@ -1857,6 +2738,7 @@ ${mystery.description}
       restartBtn.textContent = 'Play Again';
       restartBtn.onclick = () => location.reload();
       buttonsContainer.appendChild(restartBtn);
+      this.appendReplayButton(buttonsContainer);
     }, 6500);
   }
 
@@ -1870,7 +2752,7 @@ ${mystery.description}
 
     // Find first matching epilogue
     for (const epilogueSet of this.theme.epilogues) {
-      if (this.checkEpilogueCondition(epilogueSet.condition, stillCommitted, state)) {
+      if (!epilogueSet.condition || this.engine.checkEventCondition(epilogueSet.condition)) {
         return this.getEpilogueText(epilogueSet, stillCommitted, state);
       }
     }
@@ -1878,45 +2760,13 @@ ${mystery.description}
     return "Your journey is complete!";
   }
 
-  /**
-   * Check if epilogue conditions match
-   */
-  checkEpilogueCondition(condition, partySize, state) {
-    // Check morale range
-    if (condition.morale) {
-      if (condition.morale.min !== undefined && state.resources.morale < condition.morale.min) return false;
-      if (condition.morale.max !== undefined && state.resources.morale > condition.morale.max) return false;
-    }
-
-    // Check currency range
-    if (condition.currency) {
-      if (condition.currency.min !== undefined && state.resources.currency < condition.currency.min) return false;
-      if (condition.currency.max !== undefined && state.resources.currency > condition.currency.max) return false;
-    }
-
-    // Check party size
-    if (condition.partySize !== undefined) {
-      if (typeof condition.partySize === 'number') {
-        if (partySize !== condition.partySize) return false;
-      } else {
-        if (condition.partySize.min !== undefined && partySize < condition.partySize.min) return false;
-        if (condition.partySize.max !== undefined && partySize > condition.partySize.max) return false;
-      }
-    }
-
-    // Check profession
-    if (condition.profession && state.profession !== condition.profession) return false;
-
-    return true;
-  }
-
   /**
    * Get epilogue text from matched set
    */
   getEpilogueText(epilogueSet, partySize, state) {
     // Random selection from array
     if (epilogueSet.endings) {
-      return epilogueSet.endings[Math.floor(Math.random() * epilogueSet.endings.length)];
+      return this.engine.rng.pick(epilogueSet.endings);
     }
 
     // Profession-specific endings
@@ -1936,7 +2786,7 @@ ${mystery.description}
 
     // Morale-based endings
     if (epilogueSet.moraleEndings) {
-      const moraleLevel = state.resources.morale >= 60 ? 'high' : 'low';
+      const moraleLevel = state.resources[this.engine.resourceKey('morale')] >= 60 ? 'high' : 'low';
       return epilogueSet.moraleEndings[moraleLevel] || "Your journey is complete!";
     }
 
@@ -1962,15 +2812,17 @@ ${mystery.description}
     const { state } = this.engine;
     const { resources } = this.theme;
 
+    const supplies = Object.entries(resources).map(([key, resource]) => {
+      const max = resource.max ? `/${resource.max}` : '';
+      return `<p>${resource.icon} ${resource.name}: ${this.formatResourceValue(key, state.resources[key])}${max}</p>`;
+    }).join('');
+
     const message = `
       <h3>Current Supplies:</h3>
-      <p>${resources.fuel.icon} ${resources.fuel.name}: ${Math.floor(state.resources.fuel)}/${resources.fuel.max}</p>
-      <p>${resources.food.icon} ${resources.food.name}: ${Math.floor(state.resources.food)}/${resources.food.max}</p>
-      <p>${resources.morale.icon} ${resources.morale.name}: ${Math.floor(state.resources.morale)}/${resources.morale.max}</p>
-      <p>${resources.currency.icon} ${resources.currency.name}: ${resources.currency.prefix}${Math.floor(state.resources.currency)}</p>
-      <p>${resources.specialItem.icon} ${resources.specialItem.name}: ${Math.floor(state.resources.specialItem)}/${resources.specialItem.max}</p>
+      ${supplies}
       ${state.items.guitar ? '<p>🎸 Guitar</p>' : ''}
       ${state.items.parts ? `<p>🔧 Spare Parts: ${state.items.parts}</p>` : ''}
+      <p style="font-size: 0.9rem; color: #888; margin-top: 1rem;">Run seed: ${this.engine.seed}</p>
     `;
 
     this.showSimpleEvent(message);
@@ -1978,61 +2830,149 @@ ${mystery.description}
   }
 
   /**
-   * Show pace menu
+   * Show the journey map (laid out by JourneyMap). Tapping or clicking a
+   * stop shows its details under the map.
    */
-  showPaceMenu() {
+  showMap() {
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
+    const map = JourneyMap.build(this.theme, this.engine.state);
+    const vehicle = this.theme.journey.vehicle.singleIcon || this.theme.journey.vehicle.icon || '🚐';
+    const toPoints = points => points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+
+    const background = map.background
+      ? `<image href="${this.escapeHtml(map.background)}" width="${map.width}" height="${map.height}" preserveAspectRatio="xMidYMid slice"/>`
+      : '';
+    const decorations = map.decorations.map(decoration =>
+      `<text class="map-decoration" x="${decoration.x}" y="${decoration.y}">${this.escapeHtml(decoration.icon)}</text>`
+    ).join('');
+    const paths = map.paths.map(path =>
+      `<polyline class="map-path map-path-${path.kind}" points="${toPoints(path.points)}">` +
+      (path.route ? `<title>${this.escapeHtml(path.route.name)}</title>` : '') + '</polyline>'
+    ).join('');
+    const stops = map.stops.map((stop, index) => `
+      <g class="map-stop map-stop-${stop.status}" data-stop="${index}" tabindex="0" role="button" aria-label="${this.escapeHtml(stop.name)}">
+        <title>${this.escapeHtml(stop.name)}</title>
+        <circle class="map-hit" cx="${stop.x}" cy="${stop.y}" r="5"/>
+        <circle cx="${stop.x}" cy="${stop.y}" r="1.8"/>
+        ${stop.icon ? `<text class="map-icon" x="${stop.x}" y="${stop.y - 3}">${this.escapeHtml(stop.icon)}</text>` : ''}
+      </g>`).join('');
 
     eventContainer.innerHTML = `<div class="event-box">
-      <h3>Change Travel Pace</h3>
-      <p><strong>Mellow:</strong> 30 miles/day, 8 gas/day, +2 ${this.theme.resources.morale.name.toLowerCase()}</p>
-      <p><strong>Steady:</strong> 50 miles/day, 12 gas/day, normal</p>
-      <p><strong>Rush:</strong> 70 miles/day, 18 gas/day, -3 ${this.theme.resources.morale.name.toLowerCase()}</p>
+      <h3>🗺️ ${this.escapeHtml(this.theme.journey.startLocation)} to ${this.escapeHtml(this.theme.journey.endLocation)}</h3>
+      <div class="journey-map-wrap">
+        <svg class="journey-map" viewBox="0 0 ${map.width} ${map.height}" role="img" aria-label="Journey map">
+          ${background}${decorations}${paths}${stops}
+          <text class="map-party" x="${map.position.x}" y="${map.position.y + 2}">${this.escapeHtml(vehicle)}</text>
+        </svg>
+      </div>
+      <p class="map-legend">● visited &nbsp; ◉ you are here &nbsp; ○ ahead &nbsp; ┄ other routes</p>
+      <p id="mapDetails">${this.describeMapStop(map.stops.find(stop => stop.status === 'current'))}</p>
     </div>`;
 
-    buttonsContainer.innerHTML = '';
-    ['mellow', 'steady', 'rush'].forEach(pace => {
-      const btn = document.createElement('button');
-      btn.textContent = pace.charAt(0).toUpperCase() + pace.slice(1);
-      if (this.engine.state.pace === pace) btn.classList.add('secondary');
-      btn.onclick = () => {
-        this.engine.state.pace = pace;
-        this.showSimpleEvent(`Pace set to ${pace}.`);
-        setTimeout(() => this.showMainMenu(), 1000);
-      };
-      buttonsContainer.appendChild(btn);
+    const svg = eventContainer.querySelector('.journey-map');
+    const select = target => {
+      const group = target.closest('[data-stop]');
+      if (group) document.getElementById('mapDetails').innerHTML = this.describeMapStop(map.stops[group.dataset.stop]);
+    };
+    svg.addEventListener('click', event => select(event.target));
+    svg.addEventListener('keydown', event => {
+      if (event.key === 'Enter' || event.key === ' ') select(event.target);
     });
+
+    buttonsContainer.innerHTML = '';
+    const back = document.createElement('button');
+    back.textContent = 'Back';
+    back.onclick = () => this.showMainMenu();
+    buttonsContainer.appendChild(back);
   }
 
   /**
-   * Show ration menu
+   * A map stop's details, as HTML
    */
-  showRationMenu() {
+  describeMapStop(stop) {
+    const { location } = stop;
+    const { distance } = this.engine.state;
+    const where = {
+      visited: `Passed at mile ${stop.distance}.`,
+      current: distance > stop.distance
+        ? `Your last stop (mile ${stop.distance}). You're at mile ${Math.floor(distance)}.`
+        : 'You are here.',
+      upcoming: `${Math.max(0, Math.ceil(stop.distance - distance))} miles ahead (mile ${stop.distance}).`,
+      alternate: 'Not on your route.'
+    }[stop.status];
+    const extras = [
+      location.isShop ? '🛒 Shop' : null,
+      location.hasLandmark ? this.escapeHtml(location.landmarkData.title) : null,
+      location.fork ? '🧭 The road splits here' : null
+    ].filter(Boolean);
+
+    return `<strong>${stop.icon ? this.escapeHtml(stop.icon) + ' ' : ''}${this.escapeHtml(stop.name)}</strong> - ${where}` +
+      (extras.length > 0 ? `<br>${extras.join(' • ')}` : '');
+  }
+
+  /**
+   * One-line summary of a pace/ration/weather option's daily effects,
+   * e.g. "30 miles/day, 8 gas/day, +2 vibes"
+   */
+  describeTravelOption(option) {
+    if (option.description) return option.description;
+
+    const fuel = this.roleResource('fuel');
+    const food = this.roleResource('food');
+    const parts = [];
+    if (option.miles !== undefined) parts.push(`${option.miles} miles/day`);
+    if (option.speed !== undefined && option.speed !== 1) parts.push(`${option.speed}× speed`);
+    if (option.fuel && fuel) parts.push(`${option.fuel} ${fuel.name.toLowerCase()}/day`);
+    if (option.food && food) parts.push(`${option.food} ${food.name.toLowerCase()}/day`);
+    if (option.moraleDrain) {
+      parts.push(`${option.moraleDrain > 0 ? '-' : '+'}${Math.abs(option.moraleDrain)} ${this.roleResource('morale').name.toLowerCase()}`);
+    }
+    return parts.join(', ') || 'normal';
+  }
+
+  /**
+   * Menu for picking a pace or ration level from the engine's travel tables
+   */
+  showTravelOptionMenu(title, table, stateKey, noun) {
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
 
-    eventContainer.innerHTML = `<div class="event-box">
-      <h3>Change Food Rations</h3>
-      <p><strong>🍞 Bare Bones:</strong> Save ${this.theme.resources.food.name.toLowerCase()} (4/day), bad ${this.theme.resources.morale.name.toLowerCase()}</p>
-      <p><strong>🍔 Normal:</strong> Balanced (8/day) - RECOMMENDED</p>
-      <p><strong>🍕 Feast:</strong> Lots of ${this.theme.resources.food.name.toLowerCase()} (15/day), great ${this.theme.resources.morale.name.toLowerCase()}!</p>
-    </div>`;
+    const rows = Object.values(table).map(option =>
+      `<p><strong>${option.icon ? option.icon + ' ' : ''}${option.label}:</strong> ${this.describeTravelOption(option)}</p>`
+    ).join('');
+    eventContainer.innerHTML = `<div class="event-box"><h3>${title}</h3>${rows}</div>`;
 
     buttonsContainer.innerHTML = '';
-    ['bare', 'normal', 'feast'].forEach(ration => {
+    Object.entries(table).forEach(([key, option]) => {
       const btn = document.createElement('button');
-      btn.textContent = ration.charAt(0).toUpperCase() + ration.slice(1);
-      if (this.engine.state.rations === ration) btn.classList.add('secondary');
+      btn.textContent = option.label;
+      if (this.engine.state[stateKey] === key) btn.classList.add('secondary');
       btn.onclick = () => {
-        this.engine.state.rations = ration;
-        this.showSimpleEvent(`Rations set to ${ration}.`);
+        this.engine.setTravelOption(stateKey, key);
+        this.showSimpleEvent(`${noun} set to ${option.label.toLowerCase()}.`);
         setTimeout(() => this.showMainMenu(), 1000);
       };
       buttonsContainer.appendChild(btn);
     });
   }
 
+  /**
+   * Show pace menu
+   */
+  showPaceMenu() {
+    this.showTravelOptionMenu('Change Travel Pace', this.engine.travelTables.paces, 'pace', 'Pace');
+  }
+
+  /**
+   * Show ration menu
+   */
+  showRationMenu() {
+    this.showTravelOptionMenu(
+      `Change ${this.roleResource('food').name} Rations`, this.engine.travelTables.rations, 'rations', 'Rations'
+    );
+  }
+
   /**
    * Rest action
    */
@@ -2052,12 +2992,12 @@ ${mystery.description}
 
     eventContainer.innerHTML = `<div class="event-box">
       <h3>🛒 General Store</h3>
-      <p>Your Cash: $${Math.floor(this.engine.state.resources.currency)}</p>
+      <p>Your ${this.roleResource('currency').name}: ${this.roleResource('currency').prefix || ''}${Math.floor(this.engine.state.resources[this.engine.resourceKey('currency')])}</p>
     </div>`;
 
     buttonsContainer.innerHTML = '';
 
-    this.theme.shop.items.forEach(item => {
+    this.engine.getShopItems().forEach(item => {
       const btn = document.createElement('button');
       btn.textContent = `${item.icon} ${item.name} - $${item.cost}`;
       btn.onclick = () => {
@@ -2081,11 +3021,51 @@ ${mystery.description}
   }
 
   /**
-   * Forage mini-game
+   * The theme's foraging mini-game (miniGames.foraging), with wording
+   * worked out from the forage resource wherever the theme gives none.
+   * $AMOUNT in counter and done.text is the amount found.
+   */
+  getForageSettings() {
+    const name = this.roleResource('forage').name;
+    const lower = name.toLowerCase();
+    const config = (this.theme.miniGames && this.theme.miniGames.foraging) || {};
+    const defaults = {
+      title: `FORAGING FOR ${name.toUpperCase()}`,
+      instructions: `Click on the ${lower} before time runs out!`,
+      counter: `${name} Found: $AMOUNT`,
+      stopButton: 'Stop Foraging',
+      badItems: [],
+      perishable: [],
+      badHit: { instructions: 'That was no good!', title: 'BAD FIND!', text: `That wasn't ${lower} at all!` },
+      done: { title: 'Foraging Complete!', text: `You found <strong>$AMOUNT</strong> ${lower}!` },
+      empty: { title: `No ${name} Found`, text: `You didn't find any ${lower} this time.` }
+    };
+
+    return {
+      ...defaults,
+      ...config,
+      badHit: { ...defaults.badHit, ...config.badHit },
+      done: { ...defaults.done, ...config.done },
+      empty: { ...defaults.empty, ...config.empty }
+    };
+  }
+
+  /**
+   * Forage mini-game. Themes without boards to play on get a quick search
+   * (TrailGameEngine.forage) instead.
    */
   forage() {
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
+    const settings = this.getForageSettings();
+
+    if (!settings.boards) {
+      const result = this.engine.forage();
+      this.showSimpleEvent(result.message);
+      this.updateUI();
+      setTimeout(() => this.checkFailAndShowMenu(), 2000);
+      return;
+    }
 
     // Hide main game buttons
     buttonsContainer.innerHTML = '';
@@ -2093,38 +3073,26 @@ ${mystery.description}
     // Adjust timer based on weather
     let timeLeft = this.engine.state.weather === 'hot' ? 4 : 5;
     this.forageState = {
+      settings,
       timeLeft: timeLeft,
       collected: 0,
-      interval: null
+      interval: null,
+      rng: this.engine.startMiniGame('forage')
     };
 
-    // Theme-aware text
-    const forageTitle = this.theme.resources.food.name === 'Evidence' ?
-      `🔍 SEARCH FOR EVIDENCE 🔍` :
-      `🌿 FORAGING TIME 🌿`;
-    const forageInstruction = this.theme.resources.food.name === 'Evidence' ?
-      'Click on evidence before time runs out!' :
-      'Click on the food items before time runs out!';
-    const forageCounter = this.theme.resources.food.name === 'Evidence' ?
-      'Evidence Found: 0 files' :
-      'Food Collected: 0 lbs';
-    const stopButtonText = this.theme.resources.food.name === 'Evidence' ?
-      'Stop Searching' :
-      'Stop Foraging';
-
     // Show foraging UI
     eventContainer.innerHTML = `
       <div class="event-box">
-        <h2 style="color: #4caf50; font-size: 2.5rem; margin-bottom: 1rem;">${forageTitle}</h2>
-        <p id="forageInstructions">${forageInstruction}</p>
+        <h2 style="color: #4caf50; font-size: 2.5rem; margin-bottom: 1rem;">${settings.title}</h2>
+        <p id="forageInstructions">${settings.instructions}</p>
         <div style="font-size: 1.5rem; margin: 1rem 0; color: #fbbf24;" id="forageTimer">Time: ${timeLeft}s</div>
-        <div id="forageCounter" style="font-size: 1.8rem; margin-bottom: 1rem;">${forageCounter}</div>
+        <div id="forageCounter" style="font-size: 1.8rem; margin-bottom: 1rem;">${settings.counter.replace(/\$AMOUNT/g, 0)}</div>
         <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 1rem; margin: 1rem 0;" id="forageItems"></div>
       </div>
     `;
 
     const stopBtn = document.createElement('button');
-    stopBtn.textContent = stopButtonText;
+    stopBtn.textContent = settings.stopButton;
     stopBtn.classList.add('secondary');
     stopBtn.onclick = () => this.endForaging();
     buttonsContainer.appendChild(stopBtn);
@@ -2134,10 +3102,12 @@ ${mystery.description}
 
   startForaging() {
     if (!this.forageState) return;
+    const { settings } = this.forageState;
 
-    // Determine current location type
+    // Towns and checkpoints use the urban boards (more bad finds)
     const currentLoc = this.engine.getCurrentLocation();
     const isUrban = currentLoc.isShop || currentLoc.type === 'checkpoint';
+    const boards = (isUrban && settings.boards.urban) || settings.boards.wild;
 
     // Determine region based on distance
     const progress = this.engine.state.distance / this.engine.state.totalDistance;
@@ -2145,70 +3115,15 @@ ${mystery.description}
     if (progress >= 0.33 && progress < 0.66) region = 'middle';
     else if (progress >= 0.66) region = 'late';
 
-    // Region-specific and geographic items
-    let items = [];
-
-    // Use evidence icons for Roswell Trail, food icons for NorCal Trail
-    if (this.theme.resources.food.name === 'Evidence') {
-      // Evidence-themed items for conspiracy theme
-      if (isUrban) {
-        // Urban searching - more disinformation risk!
-        if (region === 'early') {
-          items = ['📄', '📁', '💾', '🚫', '🚫', '📋', '🚫', '🔖'];
-        } else if (region === 'middle') {
-          items = ['📸', '📁', '💿', '🚫', '🚫', '📋', '🚫', '🎞️'];
-        } else { // late
-          items = ['🛸', '👽', '📡', '🚫', '🚫', '🚫', '📹', '💾'];
-        }
-      } else {
-        // Rural/desert searching - less disinformation, more alien evidence
-        if (region === 'early') {
-          items = ['📄', '📸', '💾', '🔍', '📋', '📁', '🎞️', '🚫'];
-        } else if (region === 'middle') {
-          items = ['📡', '📹', '💿', '📋', '📁', '🔖', '📸', '🚫'];
-        } else { // late (near Area 51)
-          items = ['🛸', '👽', '📡', '💾', '📹', '🎞️', '📸', '🚫'];
-        }
-      }
-
-      // Weather affects item distribution
-      if (this.engine.state.weather === 'bad') {
-        // More disinformation in bad conditions
-        items = items.slice(0, 4).concat(['🚫', '🚫', '🚫', '🚫']);
-      } else if (this.engine.state.weather === 'hot') {
-        // More disinformation in heat
-        items = items.filter(i => !['📸', '🎞️', '📁'].includes(i)).concat(['🚫', '🚫']);
-      }
-    } else {
-      // Food-themed items for NorCal Trail theme
-      if (isUrban) {
-        // Urban foraging - more trash risk!
-        if (region === 'early') {
-          items = ['🍎', '🥕', '🍞', '🗑️', '🗑️', '🥔', '🗑️', '🍇'];
-        } else if (region === 'middle') {
-          items = ['🌽', '🥕', '🍞', '🗑️', '🗑️', '🥔', '🗑️', '🍇'];
-        } else { // late
-          items = ['🍊', '🥑', '🍞', '🗑️', '🗑️', '🗑️', '🌰', '🍇'];
-        }
-      } else {
-        // Rural/nature foraging - less trash, region-specific foods
-        if (region === 'early') {
-          items = ['🍎', '🍓', '🥕', '🍄', '🌰', '🥦', '🐟', '🗑️'];
-        } else if (region === 'middle') {
-          items = ['🌽', '🥔', '🍄', '🌰', '🥕', '🐟', '🍇', '🗑️'];
-        } else { // late
-          items = ['🍊', '🥑', '🍋', '🌵', '🍄', '🐟', '🌰', '🗑️'];
-        }
-      }
+    let items = boards[region];
 
-      // Weather affects item distribution
-      if (this.engine.state.weather === 'bad') {
-        // More trash in bad weather
-        items = items.slice(0, 4).concat(['🗑️', '🗑️', '🗑️', '🗑️']);
-      } else if (this.engine.state.weather === 'hot') {
-        // More trash, less fresh food in heat
-        items = items.filter(i => !['🍓', '🍇', '🥦'].includes(i)).concat(['🗑️', '🗑️']);
-      }
+    // Weather affects item distribution: more bad finds in bad weather,
+    // and heat spoils the perishable ones
+    const badItem = settings.badItems[0];
+    if (badItem && this.engine.state.weather === 'bad') {
+      items = items.slice(0, 4).concat([badItem, badItem, badItem, badItem]);
+    } else if (badItem && this.engine.state.weather === 'hot') {
+      items = items.filter(i => !settings.perishable.includes(i)).concat([badItem, badItem]);
     }
 
     const container = document.getElementById('forageItems');
@@ -2218,7 +3133,7 @@ ${mystery.description}
 
     // Generate random items
     for (let i = 0; i < 12; i++) {
-      const item = items[Math.floor(Math.random() * items.length)];
+      const item = this.forageState.rng.pick(items);
       const div = document.createElement('div');
       div.style.cssText = 'font-size: 3rem; cursor: pointer; padding: 1rem; background: rgba(76, 175, 80, 0.2); border: 2px solid #4caf50; border-radius: 8px; text-align: center; transition: all 0.2s;';
       div.textContent = item;
@@ -2245,10 +3160,9 @@ ${mystery.description}
 
   collectForageItem(element, item) {
     if (!this.forageState || element.style.opacity === '0.3') return;
+    const { settings } = this.forageState;
 
-    const badItem = this.theme.resources.food.name === 'Evidence' ? '🚫' : '🗑️';
-
-    if (item === badItem) {
+    if (settings.badItems.includes(item)) {
       // INSTANT FAIL - Hit bad item!
       if (this.forageState.interval) clearInterval(this.forageState.interval);
       element.style.background = 'rgba(239, 68, 68, 0.3)';
@@ -2256,33 +3170,20 @@ ${mystery.description}
 
       const instructEl = document.getElementById('forageInstructions');
       if (instructEl) {
-        if (this.theme.resources.food.name === 'Evidence') {
-          instructEl.textContent = "🚫 DISINFORMATION! That's fake!";
-        } else {
-          instructEl.textContent = "💀 FOOD POISONING! That wasn't food!";
-        }
+        instructEl.textContent = settings.badHit.instructions;
         instructEl.style.color = '#ef4444';
       }
 
       setTimeout(() => {
-        this.engine.state.resources.food = Math.max(0, this.engine.state.resources.food - 10);
-        this.engine.state.resources.morale = Math.max(0, this.engine.state.resources.morale - 15);
-
-        if (this.theme.resources.food.name === 'Evidence') {
-          this.showSimpleEvent(
-            `<h3 style="color: #ff6b6b;">🚫 DISINFORMATION! 🤥</h3>` +
-            `<p>You grabbed fake evidence! It contradicts everything you know!</p>` +
-            `<p style="color: #ff6b6b;"><strong>-10 ${this.theme.resources.food.name} | -15 ${this.theme.resources.morale.name}</strong></p>` +
-            `<p>Everyone's disappointed. 'We need to be more careful...'</p>`
-          );
-        } else {
-          this.showSimpleEvent(
-            `<h3 style="color: #ff6b6b;">🗑️ TRASH BIN! 🤢</h3>` +
-            `<p>You grabbed a trash bin by mistake! Food poisoning hits HARD!</p>` +
-            `<p style="color: #ff6b6b;"><strong>-10 ${this.theme.resources.food.name} | -15 ${this.theme.resources.morale.name}</strong></p>` +
-            `<p>Everyone's disappointed. 'Let's just buy food next time...'</p>`
-          );
-        }
+        const effects = this.engine.finishMiniGame('forage', { trash: true });
+        const losses = Object.keys(effects).map(key => `${effects[key]} ${this.theme.resources[key].name}`).join(' | ');
+
+        this.showSimpleEvent(
+          `<h3 style="color: #ff6b6b;">${settings.badHit.title}</h3>` +
+          `<p>${settings.badHit.text}</p>` +
+          `<p style="color: #ff6b6b;"><strong>${losses}</strong></p>` +
+          (settings.badHit.aftermath ? `<p>${settings.badHit.aftermath}</p>` : '')
+        );
 
         this.updateUI();
         this.forageState = null;
@@ -2290,7 +3191,7 @@ ${mystery.description}
       }, 1500);
       return;
     } else {
-      const amount = Math.floor(Math.random() * 3) + 2;
+      const amount = this.forageState.rng.int(2, 4);
       this.forageState.collected += amount;
     }
 
@@ -2298,11 +3199,7 @@ ${mystery.description}
     element.style.opacity = '0.3';
     const counterEl = document.getElementById('forageCounter');
     if (counterEl) {
-      if (this.theme.resources.food.name === 'Evidence') {
-        counterEl.textContent = `Evidence Found: ${this.forageState.collected} files`;
-      } else {
-        counterEl.textContent = `Food Collected: ${this.forageState.collected} lbs`;
-      }
+      counterEl.textContent = settings.counter.replace(/\$AMOUNT/g, this.forageState.collected);
     }
   }
 
@@ -2311,37 +3208,21 @@ ${mystery.description}
 
     if (this.forageState.interval) clearInterval(this.forageState.interval);
 
-    const collected = this.forageState.collected;
+    const { settings, collected } = this.forageState;
     this.forageState = null;
+    this.engine.finishMiniGame('forage', { collected });
 
     if (collected > 0) {
-      this.engine.state.resources.food = Math.min(this.theme.resources.food.max, this.engine.state.resources.food + collected);
-
-      if (this.theme.resources.food.name === 'Evidence') {
-        this.showSimpleEvent(
-          `<h3 style="color: #4caf50;">🔍 Search Complete!</h3>` +
-          `<p>You found <strong>${collected} files</strong> of evidence!</p>` +
-          `<p>The truth is out there! 👽</p>`
-        );
-      } else {
-        this.showSimpleEvent(
-          `<h3 style="color: #4caf50;">🌿 Foraging Complete!</h3>` +
-          `<p>You collected <strong>${collected} lbs</strong> of food!</p>` +
-          `<p>Not bad for scrounging around! ✌️</p>`
-        );
-      }
+      this.showSimpleEvent(
+        `<h3 style="color: #4caf50;">${settings.done.title}</h3>` +
+        `<p>${settings.done.text.replace(/\$AMOUNT/g, collected)}</p>` +
+        (settings.done.aftermath ? `<p>${settings.done.aftermath}</p>` : '')
+      );
     } else {
-      if (this.theme.resources.food.name === 'Evidence') {
-        this.showSimpleEvent(
-          `<h3 style="color: #fbbf24;">🤷 No Evidence Found</h3>` +
-          `<p>You didn't find any solid evidence this time. Keep searching!</p>`
-        );
-      } else {
-        this.showSimpleEvent(
-          `<h3 style="color: #fbbf24;">🤷 No Food Found</h3>` +
-          `<p>You didn't find any food this time. Better luck next time!</p>`
-        );
-      }
+      this.showSimpleEvent(
+        `<h3 style="color: #fbbf24;">${settings.empty.title}</h3>` +
+        `<p>${settings.empty.text}</p>`
+      );
     }
 
     this.updateUI();
@@ -2363,7 +3244,8 @@ ${mystery.description}
       timeLeft: 20,
       interval: null,
       noteInterval: null,
-      notes: []
+      notes: [],
+      rng: this.engine.startMiniGame('performance')
     };
 
     eventContainer.innerHTML = `
@@ -2417,7 +3299,7 @@ ${mystery.description}
   spawnNote() {
     if (!this.performanceState) return;
 
-    const lane = Math.floor(Math.random() * 3);
+    const lane = this.performanceState.rng.int(0, 2);
     const colors = ['#ff6b6b', '#4ade80', '#8b5cf6'];
     const icons = ['🎵', '🎶', '🎸'];
 
@@ -2543,15 +3425,8 @@ ${mystery.description}
 
     this.performanceState = null;
 
-    // Calculate rewards based on performance
-    const foodEarned = Math.floor(notesHit * 2.5);
-    const cashEarned = Math.floor(score / 10);
-    const moraleGain = Math.min(20, Math.floor(notesHit / 2));
-
-    this.engine.state.resources.food = Math.min(this.theme.resources.food.max, this.engine.state.resources.food + foodEarned);
-    this.engine.state.resources.currency += cashEarned;
-    this.engine.state.resources.morale = Math.min(this.theme.resources.morale.max, this.engine.state.resources.morale + moraleGain);
-    this.engine.advanceTime(0.5);
+    // Rewards scale with how well it went
+    const effects = this.engine.finishMiniGame('performance', { notesHit, score });
 
     let message = `<h3 style="color: #ffd93d;">🎸 Performance Complete! 🎸</h3>`;
 
@@ -2566,8 +3441,7 @@ ${mystery.description}
     }
 
     message += `<p><strong>Notes Hit:</strong> ${notesHit} | <strong>Score:</strong> ${score}</p>`;
-    message += `<p style="color: #4ade80;">+${foodEarned} Food | +$${cashEarned} | +${moraleGain} Vibes</p>`;
-    message += `<p style="color: #fbbf24;">+0.5 day</p>`;
+    message += `<p>${this.formatEffects(effects).replace(/^<br><br>/, '')}</p>`;
     message += `<p>People tossed coins and food into your guitar case! 🎸💰🍎</p>`;
 
     this.showSimpleEvent(message);
@@ -2592,36 +3466,13 @@ ${mystery.description}
 
     buttonsContainer.innerHTML = '';
 
-    // Use theme-specific money-making activities if available
-    if (this.theme.moneyMaking && this.theme.moneyMaking.activities) {
-      this.theme.moneyMaking.activities.forEach(activity => {
-        const btn = document.createElement('button');
-        btn.textContent = `${activity.icon} ${activity.name}`;
-        btn.onclick = () => this.doMoneyActivity(activity);
-        buttonsContainer.appendChild(btn);
-      });
-    } else {
-      // Fallback to default activities (for NorCal Trail theme)
-      // Busk with Guitar (only if has guitar)
-      if (this.engine.state.items.guitar) {
-        const buskBtn = document.createElement('button');
-        buskBtn.textContent = '🎸 Busk with Guitar (1 day, earn $30-60)';
-        buskBtn.onclick = () => this.busk();
-        buttonsContainer.appendChild(buskBtn);
-      }
-
-      // Make & Sell Crafts
-      const craftsBtn = document.createElement('button');
-      craftsBtn.textContent = '🌼 Make & Sell Crafts (1 day, earn $40-70)';
-      craftsBtn.onclick = () => this.sellCrafts();
-      buttonsContainer.appendChild(craftsBtn);
-
-      // Odd Jobs
-      const jobsBtn = document.createElement('button');
-      jobsBtn.textContent = '🔧 Odd Jobs (1 day, earn $80-120)';
-      jobsBtn.onclick = () => this.oddJobs();
-      buttonsContainer.appendChild(jobsBtn);
-    }
+    // The theme's money-making activities
+    this.engine.getMoneyActivities().forEach(activity => {
+      const btn = document.createElement('button');
+      btn.textContent = `${activity.icon} ${activity.name}`;
+      btn.onclick = () => this.doMoneyActivity(activity);
+      buttonsContainer.appendChild(btn);
+    });
 
     // Cancel
     const cancelBtn = document.createElement('button');
@@ -2632,104 +3483,15 @@ ${mystery.description}
   }
 
   /**
-   * Do theme-specific money-making activity
+   * Spend the day on a money-making activity
    */
   doMoneyActivity(activity) {
-    const earnings = Math.floor(Math.random() * (activity.earnings.max - activity.earnings.min + 1)) + activity.earnings.min;
-    this.engine.state.resources.currency += earnings;
-    this.engine.advanceTime(1);
-
-    // Apply effects if any
-    if (activity.effects) {
-      this.engine.applyEffects(activity.effects);
-    }
-
-    const message = activity.message.replace(/\$AMOUNT/g, earnings);
-    this.showSimpleEvent(message);
+    const result = this.engine.doMoneyActivity(activity.id);
+    this.showSimpleEvent(this.replaceTemplates(result.message));
     this.updateUI();
     setTimeout(() => this.checkFailAndShowMenu(), 2500);
   }
 
-  /**
-   * Busk with guitar
-   */
-  busk() {
-    if (!this.engine.state.items.guitar) {
-      this.showSimpleEvent('You need a guitar to busk, man! Check the general store.');
-      setTimeout(() => this.showMakeMoney(), 2000);
-      return;
-    }
-
-    const currentLoc = this.engine.getCurrentLocation();
-
-    // Check if already busked here
-    if (this.engine.state.lastBuskLocation === currentLoc.name) {
-      this.showSimpleEvent(
-        `<h3 style="color: #ff6b6b;">🚨 Get Outta Here! 🚨</h3>` +
-        `<p>The cops recognize you from last time!</p>` +
-        `<p>"We told you hippies NO LOITERING! Beat it!"</p>` +
-        `<p style="color: #fbbf24; margin-top: 1rem;">You got kicked out. Can't busk in ${currentLoc.name} again!</p>`
-      );
-      this.updateUI();
-      setTimeout(() => this.showMainMenu(), 2500);
-      return;
-    }
-
-    const earnings = Math.floor(Math.random() * 31) + 30; // $30-60
-    this.engine.state.resources.currency += earnings;
-    this.engine.state.resources.morale += 15; // Playing music is groovy!
-    this.engine.state.resources.food -= 5; // Standing around all day
-    this.engine.advanceTime(1);
-
-    // Track where you busked
-    this.engine.state.lastBuskLocation = currentLoc.name;
-
-    this.showSimpleEvent(
-      `🎸 You spend the day busking on the street corner, playing groovy tunes!<br><br>` +
-      `People dig your vibe and drop change in your guitar case!<br><br>` +
-      `<span style="color: #fbbf24;">+1 day</span> | ` +
-      `<span style="color: #4ade80;">+$${earnings} Cash 💰</span> | ` +
-      `<span style="color: #4ade80;">+15 ${this.theme.resources.morale.name} ${this.theme.resources.morale.icon}</span> | ` +
-      `<span style="color: #ef4444;">-5 ${this.theme.resources.food.name} ${this.theme.resources.food.icon}</span>`
-    );
-    this.updateUI();
-    setTimeout(() => this.showMainMenu(), 2500);
-  }
-
-  /**
-   * Make and sell crafts
-   */
-  sellCrafts() {
-    const earnings = Math.floor(Math.random() * 31) + 40; // $40-70
-    this.engine.state.resources.currency += earnings;
-    this.engine.advanceTime(1);
-
-    this.showSimpleEvent(
-      `🌼 You spend the day making friendship bracelets, tie-dye shirts, and peace sign necklaces!<br><br>` +
-      `The hippie market loves your crafts! You earned <strong style="color: #4ade80;">$${earnings}</strong>!<br><br>` +
-      `<span style="color: #fbbf24;">+1 day</span> | <span style="color: #4ade80;">+$${earnings} Cash 💰</span>`
-    );
-    this.updateUI();
-    setTimeout(() => this.showMainMenu(), 2500);
-  }
-
-  /**
-   * Do odd jobs
-   */
-  oddJobs() {
-    const earnings = Math.floor(Math.random() * 41) + 80; // $80-120
-    this.engine.state.resources.currency += earnings;
-    this.engine.advanceTime(1);
-
-    this.showSimpleEvent(
-      `🔧 You spend the day doing odd jobs: washing dishes, fixing cars, hauling boxes...<br><br>` +
-      `It's not glamorous, but the bread is REAL! You earned <strong style="color: #4ade80;">$${earnings}</strong>!<br><br>` +
-      `<span style="color: #fbbf24;">+1 day</span> | <span style="color: #4ade80;">+$${earnings} Cash 💰</span>`
-    );
-    this.updateUI();
-    setTimeout(() => this.showMainMenu(), 2500);
-  }
-
   /**
    * Show gas station for purchasing fuel
    */
@@ -2737,53 +3499,41 @@ ${mystery.description}
     const eventContainer = document.getElementById('eventContainer');
     const buttonsContainer = document.getElementById('actionButtons');
 
-    const currentFuel = this.engine.state.resources.fuel;
-    const maxFuel = this.theme.resources.fuel.max;
-    const spaceLeft = maxFuel - currentFuel;
-    const currentCash = this.engine.state.resources.currency;
+    const fuel = this.roleResource('fuel');
+    const currency = this.roleResource('currency');
+    const currentFuel = this.engine.state.resources[this.engine.resourceKey('fuel')];
+    const maxFuel = fuel.max;
+    const currentCash = this.engine.state.resources[this.engine.resourceKey('currency')];
+    const options = this.engine.getFuelOptions();
 
-    if (spaceLeft <= 0) {
-      this.showSimpleEvent(`Your ${this.theme.resources.fuel.name.toLowerCase()} tank is already full! (${Math.floor(currentFuel)}/${maxFuel})`);
+    if (options.length === 0) {
+      this.showSimpleEvent(`Your ${fuel.name.toLowerCase()} tank is already full! (${Math.floor(currentFuel)}/${maxFuel})`);
       setTimeout(() => this.showMainMenu(), 1500);
       return;
     }
 
     eventContainer.innerHTML = `<div class="event-box">
-      <h3 style="color: #ff6b6b; margin-bottom: 1rem;">${this.theme.resources.fuel.icon} Gas Station</h3>
-      <p>Current ${this.theme.resources.fuel.name.toLowerCase()}: ${Math.floor(currentFuel)}/${maxFuel}</p>
-      <p>Your ${this.theme.resources.currency.name.toLowerCase()}: ${this.theme.resources.currency.prefix}${Math.floor(currentCash)}</p>
+      <h3 style="color: #ff6b6b; margin-bottom: 1rem;">${fuel.icon} Gas Station</h3>
+      <p>Current ${fuel.name.toLowerCase()}: ${Math.floor(currentFuel)}/${maxFuel}</p>
+      <p>Your ${currency.name.toLowerCase()}: ${currency.prefix || ''}${Math.floor(currentCash)}</p>
       <br>
-      <p><strong>How much ${this.theme.resources.fuel.name.toLowerCase()} do you want?</strong></p>
+      <p><strong>How much ${fuel.name.toLowerCase()} do you want?</strong></p>
     </div>`;
 
     buttonsContainer.innerHTML = '';
 
-    // Gas purchase options
-    const amounts = [
-      { amount: 25, cost: 20 },
-      { amount: 50, cost: 35 },
-      { amount: 75, cost: 50 },
-      { amount: 100, cost: 60 }
-    ];
-
-    amounts.forEach(option => {
-      if (option.amount <= spaceLeft) {
-        const btn = document.createElement('button');
+    // Gas purchase options, then "Top Off Tank"
+    options.forEach(option => {
+      const btn = document.createElement('button');
+      if (option.topOff) {
+        btn.textContent = `${fuel.icon} Top Off Tank (${Math.floor(option.amount)} units) - ${currency.prefix || ''}${option.cost}`;
+      } else {
         btn.className = 'secondary';
-        btn.textContent = `${option.amount} units - ${this.theme.resources.currency.prefix}${option.cost}`;
-        btn.onclick = () => this.buyGas(option.amount, option.cost);
-        buttonsContainer.appendChild(btn);
+        btn.textContent = `${option.amount} units - ${currency.prefix || ''}${option.cost}`;
       }
-    });
-
-    // Always offer "Top Off Tank" option if not full
-    if (spaceLeft > 0) {
-      const topOffCost = Math.ceil(spaceLeft * 0.65); // ~$0.65 per unit
-      const btn = document.createElement('button');
-      btn.textContent = `${this.theme.resources.fuel.icon} Top Off Tank (${Math.floor(spaceLeft)} units) - ${this.theme.resources.currency.prefix}${topOffCost}`;
-      btn.onclick = () => this.buyGas(spaceLeft, topOffCost);
+      btn.onclick = () => this.buyGas(option);
       buttonsContainer.appendChild(btn);
-    }
+    });
 
     const cancelBtn = document.createElement('button');
     cancelBtn.textContent = 'Never mind';
@@ -2794,20 +3544,15 @@ ${mystery.description}
   /**
    * Purchase gas
    */
-  buyGas(amount, cost) {
-    if (this.engine.state.resources.currency < cost) {
-      this.showSimpleEvent(`Not enough ${this.theme.resources.currency.name.toLowerCase()}!`);
+  buyGas(option) {
+    const result = this.engine.buyFuel(option.amount, !!option.topOff);
+    if (!result.success) {
+      this.showSimpleEvent(result.message);
       setTimeout(() => this.showGasStation(), 1500);
       return;
     }
 
-    this.engine.state.resources.fuel = Math.min(
-      this.theme.resources.fuel.max,
-      this.engine.state.resources.fuel + amount
-    );
-    this.engine.state.resources.currency -= cost;
-
-    this.showSimpleEvent(`Filled up with ${amount} units of ${this.theme.resources.fuel.name.toLowerCase()}! ${this.theme.resources.fuel.icon}`);
+    this.showSimpleEvent(result.message);
     this.updateUI();
     setTimeout(() => this.showMainMenu(), 1500);
   }
@@ -2816,29 +3561,28 @@ ${mystery.description}
    * Handle fail conditions
    */
   handleFailCondition(result) {
-    const messages = {
-      allAbandoned: 'Everyone abandoned the trip. You\'re traveling alone.',
-      noFuel: 'Ran out of fuel. Stranded.',
-      starved: 'Your party starved.',
-      timeExpired: '⏰ TIME\'S UP! The 28-day deadline has passed. Whatever they were planning at Area 51... it already happened. You were too late.'
-    };
-
     if (result.type === 'fail') {
       this.hideAllScreens();
       document.getElementById('gameOverScreen').classList.remove('hidden');
-      document.getElementById('gameOverMessage').textContent = messages[result.reason] || 'Game Over';
+      document.getElementById('gameOverMessage').textContent = UIController.failMessage(result);
       this.currentScreen = 'gameOver';
     } else if (result.type === 'moraleAbandonment') {
       this.showSimpleEvent(
-        `${this.theme.resources.morale.name} hit zero! ${result.member.name} has abandoned the trip.`
+        `${this.roleResource('morale').name} hit zero! ${result.member.name} has abandoned the trip.`
       );
       this.updateUI();
-    } else if (result.type === 'paranoiaAbandonment') {
-      this.showSimpleEvent(
-        `😰 PARANOIA OVERLOAD! ${result.member.name} ${result.member.reason}!<br><br>` +
-        `<span style="color: #ff6b6b;">The stress was too much. They're gone.</span>`
-      );
+      this.showMainMenu();
+    } else if (result.type === 'resourceAbandonment') {
+      const resource = this.theme.resources[result.resource];
+      const abandonment = resource.abandonment;
+      const title = abandonment.title || `${resource.name} got too much!`;
+      const reason = result.member.reason || 'has abandoned the trip';
+      const subtext = abandonment.subtext ?
+        `<br><br><span style="color: #ff6b6b;">${abandonment.subtext}</span>` : '';
+
+      this.showSimpleEvent(`${title} ${result.member.name} ${reason}!${subtext}`);
       this.updateUI();
+      this.showMainMenu();
     }
   }
 }
@@ -0,0 +1,9 @@
+/**
+ * Leaderboard backend for the game (see engine/high-scores.js)
+ *
+ * Static hosting serves this file as-is, so the game uses the default
+ * (Supabase). server.js answers this path itself, pointing the game at its
+ * own /api. To pick a backend by hand, define it here:
+ *
+ *   const LEADERBOARD_CONFIG = { backend: 'local' };
+ */
@@ -0,0 +1,246 @@
+/**
+ * Schema Validator - Minimal JSON Schema (draft-07) checker
+ *
+ * Dependency-free so it runs in the browser loader and in Node CLIs alike.
+ * Supports the keywords the theme schema uses: type, enum, const, required,
+ * properties, additionalProperties, patternProperties, propertyNames,
+ * minProperties, items, min/maxItems, minimum/maximum, exclusiveMinimum,
+ * minLength, pattern, allOf/anyOf/oneOf/not, if/then/else and local $ref.
+ *
+ * Plus one custom keyword for arrays:
+ * - ascendingBy: "distance" - items must not decrease in that numeric property
+ *
+ * Every error carries a JSON pointer to the offending value, e.g.
+ *   { path: '/events/early/3/choices/0/effects/fuel', message: 'must be number' }
+ */
+
+class SchemaValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate data against the root schema, returning a list of errors
+   */
+  validate(data) {
+    const errors = [];
+    this.validateNode(data, this.schema, '', errors);
+    return errors;
+  }
+
+  /**
+   * Escape a property name for use in a JSON pointer
+   */
+  static escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Resolve a local reference like "#/definitions/effects"
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Only local $ref is supported: ${ref}`);
+    }
+
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+      const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || !(key in node)) throw new Error(`Unresolvable $ref: ${ref}`);
+      return node[key];
+    }, this.schema);
+  }
+
+  /**
+   * JSON Schema type name of a value
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  static matchesType(value, type) {
+    const actual = SchemaValidator.typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  /**
+   * Check whether data validates without collecting errors
+   */
+  isValid(data, schema, path) {
+    const errors = [];
+    this.validateNode(data, schema, path, errors);
+    return errors.length === 0;
+  }
+
+  validateNode(data, schema, path, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      errors.push({ path, message: 'is not allowed' });
+      return;
+    }
+
+    if (schema.$ref) {
+      this.validateNode(data, this.resolveRef(schema.$ref), path, errors);
+      return;
+    }
+
+    // Type first - no point checking properties of the wrong kind of value
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => SchemaValidator.matchesType(data, type))) {
+        errors.push({ path, message: `must be ${types.join(' or ')} (got ${SchemaValidator.typeOf(data)})` });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(data))) {
+      errors.push({ path, message: `must be one of: ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+    }
+
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(data)) {
+      errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    this.validateCombinators(data, schema, path, errors);
+
+    const type = SchemaValidator.typeOf(data);
+    if (type === 'object') this.validateObject(data, schema, path, errors);
+    if (type === 'array') this.validateArray(data, schema, path, errors);
+    if (type === 'number' || type === 'integer') this.validateNumber(data, schema, path, errors);
+    if (type === 'string') this.validateString(data, schema, path, errors);
+  }
+
+  validateCombinators(data, schema, path, errors) {
+    if (schema.allOf) {
+      schema.allOf.forEach(sub => this.validateNode(data, sub, path, errors));
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(sub => this.isValid(data, sub, path))) {
+      errors.push({ path, message: 'must match at least one allowed shape (anyOf)' });
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(sub => this.isValid(data, sub, path)).length;
+      if (matches !== 1) {
+        errors.push({ path, message: `must match exactly one allowed shape (oneOf matched ${matches})` });
+      }
+    }
+
+    if (schema.not && this.isValid(data, schema.not, path)) {
+      errors.push({ path, message: 'matches a disallowed shape (not)' });
+    }
+
+    if (schema.if) {
+      const branch = this.isValid(data, schema.if, path) ? schema.then : schema.else;
+      if (branch) this.validateNode(data, branch, path, errors);
+    }
+  }
+
+  validateObject(data, schema, path, errors) {
+    if (schema.minProperties !== undefined && Object.keys(data).length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+
+    (schema.required || []).forEach(key => {
+      if (!(key in data)) {
+        errors.push({ path: `${path}/${SchemaValidator.escapePointer(key)}`, message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {}).map(pattern => ({
+      regex: new RegExp(pattern),
+      schema: schema.patternProperties[pattern]
+    }));
+
+    Object.keys(data).forEach(key => {
+      const childPath = `${path}/${SchemaValidator.escapePointer(key)}`;
+
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        this.validateNode(key, schema.propertyNames, childPath, nameErrors);
+        if (nameErrors.length > 0) {
+          errors.push({ path: childPath, message: `is not an allowed key (${nameErrors[0].message})` });
+          return;
+        }
+      }
+
+      let matched = false;
+      if (key in properties) {
+        matched = true;
+        this.validateNode(data[key], properties[key], childPath, errors);
+      }
+
+      patterns.forEach(({ regex, schema: patternSchema }) => {
+        if (regex.test(key)) {
+          matched = true;
+          this.validateNode(data[key], patternSchema, childPath, errors);
+        }
+      });
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: 'is not an allowed property' });
+        } else {
+          this.validateNode(data[key], schema.additionalProperties, childPath, errors);
+        }
+      }
+    });
+  }
+
+  validateArray(data, schema, path, errors) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+
+    if (schema.items) {
+      data.forEach((item, index) => this.validateNode(item, schema.items, `${path}/${index}`, errors));
+    }
+
+    if (schema.ascendingBy) {
+      const key = schema.ascendingBy;
+      for (let i = 1; i < data.length; i++) {
+        const previous = data[i - 1] && data[i - 1][key];
+        const current = data[i] && data[i][key];
+        if (typeof previous === 'number' && typeof current === 'number' && current < previous) {
+          errors.push({
+            path: `${path}/${i}/${SchemaValidator.escapePointer(key)}`,
+            message: `must be >= ${previous} (items must be in ascending ${key} order)`
+          });
+        }
+      }
+    }
+  }
+
+  validateNumber(data, schema, path, errors) {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  validateString(data, schema, path, errors) {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SchemaValidator;
+}
@@ -0,0 +1,228 @@
+/**
+ * Score Store - server.js's leaderboard, kept in a JSON file
+ *
+ * Mirrors the high_scores, game_sessions and player_achievements tables in supabase-setup.sql
+ * (same column names), so data can move between the two. The whole file
+ * is read on start and rewritten after each change - plenty for an
+ * intranet's worth of players.
+ *
+ * Rows the API hands out use the camelCase shapes RestLeaderboard expects.
+ */
+const fs = require('fs');
+const path = require('path');
+const { summarizeSessions, normalizeLeaderboardQuery, applyLeaderboardQuery, boardScores } = require('./engine/leaderboard-adapters.js');
+
+class ScoreStore {
+  /**
+   * @param {string|null} filePath - JSON file to keep data in; null keeps it in memory only
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = { highScores: [], gameSessions: [], playerAchievements: [], nextIds: { highScores: 1, gameSessions: 1 } };
+
+    if (filePath && fs.existsSync(filePath)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+  }
+
+  /**
+   * Write to a temp file and rename it over the old one, so a crash mid-write
+   * can't leave half a file behind
+   */
+  persist() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  nextId(table) {
+    return this.data.nextIds[table]++;
+  }
+
+  static toScore(row) {
+    return {
+      playerName: row.player_name,
+      score: row.score,
+      date: row.created_at,
+      distance: row.distance,
+      days: row.days,
+      profession: row.profession,
+      survived: row.survived,
+      failed: row.failed,
+      daily: row.daily_date || null,
+      verified: row.verified
+    };
+  }
+
+  /**
+   * Record a score row. Verification happens before this, in server.js.
+   * @param {Object} entry - { themeName, playerName, score, distance, days, profession, survived, failed, daily, replay }
+   * @param {Object} verification - { verified, reason }
+   * @returns {Object} The stored row
+   */
+  addScore(entry, verification) {
+    const row = {
+      id: this.nextId('highScores'),
+      theme_name: entry.themeName,
+      player_name: entry.playerName,
+      score: entry.score,
+      distance: entry.distance || 0,
+      days: entry.days || 0,
+      profession: entry.profession || null,
+      survived: entry.survived || 0,
+      failed: !!entry.failed,
+      daily_date: entry.daily || null,
+      replay: entry.replay || null,
+      verified: verification.verified,
+      verify_reason: verification.reason || null,
+      created_at: new Date().toISOString()
+    };
+    this.data.highScores.push(row);
+    this.persist();
+    return row;
+  }
+
+  /**
+   * Scores for a theme's boards: verified ones, plus every Daily Challenge
+   * attempt (only the first counts, verified or not; see boardScores)
+   */
+  rankedRows(themeName) {
+    return this.data.highScores.filter(row => row.theme_name === themeName && (row.verified || row.daily_date));
+  }
+
+  /**
+   * Whether a player already has a score on a day's Daily Challenge board
+   */
+  hasDailyAttempt(themeName, playerName, daily) {
+    return this.data.highScores.some(row =>
+      row.theme_name === themeName && row.player_name === playerName && row.daily_date === daily
+    );
+  }
+
+  /**
+   * One page of a theme's leaderboard: { scores, total }
+   * @param {Object} query - See normalizeLeaderboardQuery (engine/leaderboard-adapters.js)
+   */
+  getLeaderboard(themeName, query) {
+    return applyLeaderboardQuery(this.rankedRows(themeName).map(ScoreStore.toScore), normalizeLeaderboardQuery(query));
+  }
+
+  /**
+   * 1 + how many scores on the theme's board (or a day's Daily Challenge
+   * board) beat this one
+   */
+  rankOf(themeName, score, daily = null) {
+    const scores = this.rankedRows(themeName).map(ScoreStore.toScore);
+    return boardScores(scores, daily).filter(entry => entry.score > score).length + 1;
+  }
+
+  /**
+   * A player's verified scores, newest first
+   */
+  getPlayerHistory(playerName, themeName = null) {
+    return this.data.highScores
+      .filter(row => row.player_name === playerName && row.verified)
+      .filter(row => !themeName || row.theme_name === themeName)
+      .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+      .map(row => ({ themeName: row.theme_name, ...ScoreStore.toScore(row) }));
+  }
+
+  getThemesWithScores() {
+    return [...new Set(this.data.highScores.filter(row => row.verified).map(row => row.theme_name))];
+  }
+
+  clearAllScores() {
+    this.data.highScores = [];
+    this.persist();
+  }
+
+  /**
+   * @returns {boolean} false if the session id is already taken
+   */
+  startSession(session) {
+    if (this.data.gameSessions.some(row => row.session_id === session.sessionId)) return false;
+
+    this.data.gameSessions.push({
+      id: this.nextId('gameSessions'),
+      session_id: session.sessionId,
+      theme_name: session.themeName,
+      player_name: null,
+      started_at: session.startedAt || new Date().toISOString(),
+      completed_at: null,
+      outcome: null,
+      final_score: null,
+      ip_hash: session.ipHash || null,
+      player_fingerprint: session.fingerprint || null
+    });
+    this.persist();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} false if there's no such session
+   */
+  completeSession(sessionId, result) {
+    const row = this.data.gameSessions.find(session => session.session_id === sessionId);
+    if (!row) return false;
+
+    row.completed_at = result.completedAt || new Date().toISOString();
+    row.outcome = result.outcome || null;
+    row.final_score = Number.isFinite(result.finalScore) ? result.finalScore : null;
+    row.player_name = result.playerName || row.player_name;
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Record achievements a player unlocked; ones already on record are skipped
+   * @param {Object} record - { playerName, themeName, achievements: [{ id, unlockedAt }] }
+   * @returns {number} How many were new
+   */
+  addAchievements({ playerName, themeName, achievements }) {
+    const known = this.data.playerAchievements;
+    const fresh = achievements.filter(achievement => !known.some(row =>
+      row.player_name === playerName && row.theme_name === themeName && row.achievement_id === achievement.id));
+
+    fresh.forEach(achievement => {
+      known.push({
+        player_name: playerName,
+        theme_name: themeName,
+        achievement_id: achievement.id,
+        unlocked_at: achievement.unlockedAt || new Date().toISOString()
+      });
+    });
+    if (fresh.length > 0) this.persist();
+    return fresh.length;
+  }
+
+  /**
+   * A player's achievements, oldest first: [{ themeName, id, unlockedAt }]
+   */
+  getPlayerAchievements(playerName, themeName = null) {
+    return this.data.playerAchievements
+      .filter(row => row.player_name === playerName && (!themeName || row.theme_name === themeName))
+      .sort((a, b) => (a.unlocked_at < b.unlocked_at ? -1 : 1))
+      .map(row => ({ themeName: row.theme_name, id: row.achievement_id, unlockedAt: row.unlocked_at }));
+  }
+
+  /**
+   * Same summary HighScoreManager.getAnalytics() returns
+   */
+  getAnalytics() {
+    const sessions = this.data.gameSessions;
+    const completed = sessions.filter(row => row.completed_at);
+
+    return summarizeSessions({
+      totalGames: sessions.length,
+      completedGames: completed.length,
+      fingerprints: sessions.map(row => row.player_fingerprint).filter(Boolean),
+      names: sessions.map(row => row.player_name).filter(Boolean),
+      completedThemes: completed.map(row => row.theme_name)
+    });
+  }
+}
+
+module.exports = ScoreStore;
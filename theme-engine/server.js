@@ -1,9 +1,33 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const ScoreStore = require('./score-store.js');
+const ScoreVerifier = require('./engine/score-verifier.js');
+const TrailGameEngine = require('./engine/game-engine.js');
+const { normalizeLeaderboardQuery } = require('./engine/leaderboard-adapters.js');
 
 const PORT = 8080;
 
+// Leaderboard API settings
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json');
+// 'rest' points the game at this server's /api; 'supabase' keeps the hosted leaderboard
+const LEADERBOARD_BACKEND = process.env.LEADERBOARD_BACKEND || 'rest';
+// DELETE /api/scores needs "Authorization: Bearer <token>"; unset, it's refused
+const LEADERBOARD_ADMIN_TOKEN = process.env.LEADERBOARD_ADMIN_TOKEN || '';
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+// Only scores carry a replay; sessions and achievements are a few fields
+const MAX_RECORD_BODY_BYTES = 16 * 1024;
+const MAX_SCORES_PER_PAGE = 100;
+
+// Longest names, ids and timestamps kept from a request
+const MAX_NAME_LENGTH = 50;
+const MAX_ID_LENGTH = 100;
+
+// Records one address can add in a day (counted since the server started)
+const RECORD_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_RECORDS_PER_IP = { scores: 200, sessions: 200, achievements: 500 };
+
 const MIME_TYPES = {
   '.html': 'text/html',
   '.js': 'text/javascript',
@@ -16,12 +40,345 @@ const MIME_TYPES = {
   '.ico': 'image/x-icon'
 };
 
+// Scores are verified against the same themes the game loads
+const themesDir = path.join(__dirname, 'themes');
+const themes = fs.readdirSync(themesDir)
+  .filter(file => file.endsWith('.json') && file !== 'theme-schema.json')
+  .map(file => JSON.parse(fs.readFileSync(path.join(themesDir, file), 'utf8')));
+const verifier = new ScoreVerifier(themes);
+const store = new ScoreStore(LEADERBOARD_FILE);
+
+/**
+ * Daily Challenge scores are taken for today and yesterday (UTC), so a run
+ * started just before midnight still counts
+ */
+function dailyChallengeOpen(date) {
+  const today = new Date();
+  const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+  return [today, yesterday].map(day => TrailGameEngine.dailyChallengeDate(day)).includes(date);
+}
+
+/**
+ * Whether the request carries the admin token. Both sides are hashed first so
+ * the comparison takes the same time whatever the guess.
+ */
+function isAdmin(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!LEADERBOARD_ADMIN_TOKEN || !match) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(LEADERBOARD_ADMIN_TOKEN));
+}
+
+/**
+ * The file a static request maps to, or null if it falls outside the game's
+ * folder or inside the leaderboard's data
+ */
+function resolveStaticPath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const filePath = path.resolve(__dirname, '.' + (decoded === '/' ? '/index.html' : decoded));
+  // Windows paths aren't case-sensitive, so /DATA/ is the same folder
+  const fold = file => (process.platform === 'win32' ? file.toLowerCase() : file);
+  const inside = (dir, file) => fold(file) === fold(dir) || fold(file).startsWith(fold(dir) + path.sep);
+  const storeFile = path.resolve(LEADERBOARD_FILE);
+
+  if (!inside(__dirname, filePath)) return null;
+  if (inside(path.join(__dirname, 'data'), filePath)) return null;
+  if (inside(storeFile, filePath) || inside(`${storeFile}.tmp`, filePath)) return null;
+  return filePath;
+}
+
+/**
+ * A request's address, hashed (sessions store it; the limits count by it)
+ */
+function ipHashOf(req) {
+  return crypto.createHash('sha256').update(String(req.socket.remoteAddress)).digest('hex').slice(0, 16);
+}
+
+/**
+ * A request field as trimmed text cut to max characters, or null if empty
+ */
+function clip(value, max) {
+  if (value === undefined || value === null) return null;
+  return String(value).trim().slice(0, max) || null;
+}
+
+/**
+ * A client-reported time as an ISO string; now if it isn't a date
+ */
+function clientTime(value) {
+  const time = typeof value === 'string' && value.length <= 40 ? Date.parse(value) : NaN;
+  return new Date(Number.isFinite(time) ? time : Date.now()).toISOString();
+}
+
+// { 'sessions:<ip hash>': [times added] }, pruned to the last RECORD_WINDOW_MS
+const recentRecords = new Map();
+
+/**
+ * How many more records of a kind ('scores', 'sessions', 'achievements')
+ * this address can add today
+ */
+function recordsLeft(kind, ipHash) {
+  const key = `${kind}:${ipHash}`;
+  const since = Date.now() - RECORD_WINDOW_MS;
+  const times = (recentRecords.get(key) || []).filter(time => time > since);
+  if (times.length > 0) recentRecords.set(key, times);
+  else recentRecords.delete(key);
+  return Math.max(0, MAX_RECORDS_PER_IP[kind] - times.length);
+}
+
+function noteRecords(kind, ipHash, count) {
+  const key = `${kind}:${ipHash}`;
+  const times = recentRecords.get(key) || [];
+  for (let i = 0; i < count; i++) times.push(Date.now());
+  if (times.length > 0) recentRecords.set(key, times);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error('Request body too large');
+        error.status = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+      } catch (error) {
+        body = undefined;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        const badJson = new Error('Request body isn\'t a JSON object');
+        badJson.status = 400;
+        reject(badJson);
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Leaderboard API, the routes RestLeaderboard (engine/leaderboard-adapters.js) uses:
+ *
+ *   POST   /api/scores                      submit a score (re-played before it's ranked)
+ *   GET    /api/scores?theme=&offset=&limit=&profession=&outcome=&period=&minSurvived=&daily=
+ *                                           a page of a theme's leaderboard (or a day's Daily Challenge)
+ *   GET    /api/scores/rank?theme=&score=&daily=  where a score would rank (all time)
+ *   DELETE /api/scores                      clear all scores (needs LEADERBOARD_ADMIN_TOKEN)
+ *   GET    /api/themes                      themes with scores
+ *   GET    /api/players/:name/scores?theme= a player's scores, newest first
+ *   POST   /api/sessions                    start a session
+ *   PATCH  /api/sessions/:sessionId         complete it
+ *   GET    /api/analytics                   totals, completion rate, games by theme
+ *   POST   /api/achievements                a player's unlocked achievements (ids the theme declares)
+ *   GET    /api/players/:name/achievements?theme=  a player's achievements, oldest first
+ *
+ * Session and achievement bodies are capped at MAX_RECORD_BODY_BYTES and
+ * their text fields cut to length. Each address can add MAX_RECORDS_PER_IP
+ * scores, sessions and achievements a day; past that it gets 429.
+ */
+async function handleApi(req, res, url) {
+  const route = url.pathname.replace(/^\/api/, '').replace(/\/$/, '');
+  const sessionMatch = route.match(/^\/sessions\/([^/]+)$/);
+  const playerMatch = route.match(/^\/players\/([^/]+)\/scores$/);
+  const achievementsMatch = route.match(/^\/players\/([^/]+)\/achievements$/);
+
+  if (req.method === 'POST' && route === '/scores') {
+    const entry = await readJsonBody(req);
+    const ipHash = ipHashOf(req);
+    if (recordsLeft('scores', ipHash) === 0) {
+      return sendJson(res, 429, { error: 'Too many scores from this address today' });
+    }
+    const playerName = clip(entry.playerName, MAX_NAME_LENGTH) || 'Anonymous';
+    let result = verifier.verify(entry);
+    if (result.valid && entry.daily && !dailyChallengeOpen(entry.daily)) {
+      result = { valid: false, reason: `The ${entry.daily} Daily Challenge is closed`, details: null };
+    }
+
+    // Rejected runs are only logged, so junk submissions can't fill the file.
+    // The exception is a player's first attempt at an open Daily Challenge:
+    // that's their score for the day, so it's kept (marked unverified).
+    if (!result.valid) {
+      console.log(`  Rejected score ${entry.score} for ${entry.themeName}: ${result.reason}`);
+      const firstDaily = themes.some(theme => theme.name === entry.themeName) && Number.isInteger(entry.score) &&
+        dailyChallengeOpen(entry.daily) && !store.hasDailyAttempt(entry.themeName, playerName, entry.daily);
+      if (firstDaily) {
+        store.addScore(
+          { themeName: entry.themeName, playerName, score: entry.score, failed: entry.failed, daily: entry.daily },
+          { verified: false, reason: result.reason }
+        );
+        noteRecords('scores', ipHash, 1);
+      }
+      return sendJson(res, 422, { error: result.reason });
+    }
+    const row = store.addScore(
+      { ...entry, playerName, ...result.details },
+      { verified: true, reason: null }
+    );
+    noteRecords('scores', ipHash, 1);
+    return sendJson(res, 201, { id: row.id, rank: store.rankOf(row.theme_name, row.score, row.daily_date) });
+  }
+
+  if (req.method === 'GET' && route === '/scores') {
+    const query = Object.fromEntries(url.searchParams);
+    query.limit = Math.min(MAX_SCORES_PER_PAGE, parseInt(query.limit, 10) || 10);
+    return sendJson(res, 200, store.getLeaderboard(query.theme, query));
+  }
+
+  if (req.method === 'GET' && route === '/scores/rank') {
+    const score = Number(url.searchParams.get('score'));
+    if (!Number.isFinite(score)) return sendJson(res, 400, { error: 'score must be a number' });
+    const daily = normalizeLeaderboardQuery({ daily: url.searchParams.get('daily') }).daily;
+    return sendJson(res, 200, { rank: store.rankOf(url.searchParams.get('theme'), score, daily) });
+  }
+
+  if (req.method === 'DELETE' && route === '/scores') {
+    if (!LEADERBOARD_ADMIN_TOKEN) {
+      return sendJson(res, 403, { error: 'Clearing scores is disabled (set LEADERBOARD_ADMIN_TOKEN)' });
+    }
+    if (!isAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin token required' });
+    }
+    store.clearAllScores();
+    return sendJson(res, 204);
+  }
+
+  if (req.method === 'GET' && route === '/themes') {
+    return sendJson(res, 200, { themes: store.getThemesWithScores() });
+  }
+
+  if (req.method === 'GET' && playerMatch) {
+    const playerName = decodeURIComponent(playerMatch[1]);
+    return sendJson(res, 200, { scores: store.getPlayerHistory(playerName, url.searchParams.get('theme')) });
+  }
+
+  if (req.method === 'POST' && route === '/achievements') {
+    const record = await readJsonBody(req, MAX_RECORD_BODY_BYTES);
+    const theme = themes.find(t => t.name === record.themeName);
+    if (!theme || !Array.isArray(record.achievements)) {
+      return sendJson(res, 400, { error: 'A known themeName and an achievements list are required' });
+    }
+    const ipHash = ipHashOf(req);
+    const left = recordsLeft('achievements', ipHash);
+    if (left === 0) {
+      return sendJson(res, 429, { error: 'Too many achievements from this address today' });
+    }
+    // Achievements aren't verified like scores, but they have to exist
+    // (each once per request)
+    const declared = (theme.achievements || []).map(achievement => achievement.id);
+    const achievements = [];
+    record.achievements.forEach(achievement => {
+      if (!achievement || !declared.includes(achievement.id)) return;
+      if (achievements.some(known => known.id === achievement.id)) return;
+      achievements.push({ id: achievement.id, unlockedAt: clientTime(achievement.unlockedAt) });
+    });
+    const added = store.addAchievements({
+      playerName: clip(record.playerName, MAX_NAME_LENGTH) || 'Anonymous',
+      themeName: theme.name,
+      achievements: achievements.slice(0, left)
+    });
+    noteRecords('achievements', ipHash, added);
+    return sendJson(res, 200, { added });
+  }
+
+  if (req.method === 'GET' && achievementsMatch) {
+    const playerName = decodeURIComponent(achievementsMatch[1]);
+    return sendJson(res, 200, { achievements: store.getPlayerAchievements(playerName, url.searchParams.get('theme')) });
+  }
+
+  if (req.method === 'POST' && route === '/sessions') {
+    const session = await readJsonBody(req, MAX_RECORD_BODY_BYTES);
+    const sessionId = clip(session.sessionId, MAX_ID_LENGTH);
+    const themeName = clip(session.themeName, MAX_ID_LENGTH);
+    if (!sessionId || !themeName) {
+      return sendJson(res, 400, { error: 'sessionId and themeName are required' });
+    }
+    const ipHash = ipHashOf(req);
+    if (recordsLeft('sessions', ipHash) === 0) {
+      return sendJson(res, 429, { error: 'Too many sessions from this address today' });
+    }
+    const started = store.startSession({
+      sessionId,
+      themeName,
+      startedAt: clientTime(session.startedAt),
+      fingerprint: clip(session.fingerprint, MAX_ID_LENGTH),
+      ipHash
+    });
+    if (!started) {
+      return sendJson(res, 409, { error: 'Session already exists' });
+    }
+    noteRecords('sessions', ipHash, 1);
+    return sendJson(res, 201, {});
+  }
+
+  if (req.method === 'PATCH' && sessionMatch) {
+    const result = await readJsonBody(req, MAX_RECORD_BODY_BYTES);
+    const found = store.completeSession(decodeURIComponent(sessionMatch[1]), {
+      completedAt: clientTime(result.completedAt),
+      outcome: clip(result.outcome, 20),
+      finalScore: result.finalScore,
+      playerName: clip(result.playerName, MAX_NAME_LENGTH)
+    });
+    return found ? sendJson(res, 200, {}) : sendJson(res, 404, { error: 'No such session' });
+  }
+
+  if (req.method === 'GET' && route === '/analytics') {
+    return sendJson(res, 200, store.getAnalytics());
+  }
+
+  return sendJson(res, 404, { error: `No API route for ${req.method} ${url.pathname}` });
+}
+
 const server = http.createServer((req, res) => {
   console.log(`${req.method} ${req.url}`);
 
-  let filePath = '.' + req.url;
-  if (filePath === './') {
-    filePath = './index.html';
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname.startsWith('/api/')) {
+    handleApi(req, res, url).catch(error => {
+      if (!error.status) console.error('API error:', error);
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+    });
+    return;
+  }
+
+  // Tell the game which leaderboard to use (see engine/high-scores.js)
+  if (url.pathname === '/leaderboard-config.js') {
+    const config = LEADERBOARD_BACKEND === 'rest'
+      ? { backend: 'rest', rest: { baseUrl: '/api' }, syncAchievements: true }
+      : { backend: LEADERBOARD_BACKEND };
+    res.writeHead(200, { 'Content-Type': 'text/javascript' });
+    res.end(`const LEADERBOARD_CONFIG = ${JSON.stringify(config)};\n`, 'utf-8');
+    return;
+  }
+
+  const filePath = resolveStaticPath(url.pathname);
+  if (!filePath) {
+    res.writeHead(403, { 'Content-Type': 'text/html' });
+    res.end('<h1>403 - Forbidden</h1>', 'utf-8');
+    return;
   }
 
   const extname = String(path.extname(filePath)).toLowerCase();
@@ -52,6 +409,8 @@ server.listen(PORT, () => {
   console.log(`  Local:   http://localhost:${PORT}/`);
   console.log(`  Network: http://127.0.0.1:${PORT}/`);
   console.log('');
+  console.log(`  Leaderboard: ${LEADERBOARD_BACKEND === 'rest' ? `${LEADERBOARD_FILE} (API at /api)` : LEADERBOARD_BACKEND}`);
+  console.log('');
   console.log('  Press Ctrl+C to stop the server');
   console.log('');
   console.log('========================================');
@@ -0,0 +1,82 @@
+/**
+ * Headless balance simulator
+ *
+ * Usage:
+ *   node simulate.js themes/roswell-trail.json [--runs 1000] [--strategies rush,greedyForage,random] [--seed 1] [--json]
+ */
+const fs = require('fs');
+const { SimulationRunner, BOT_STRATEGIES } = require('./engine/simulation.js');
+
+function parseArgs(argv) {
+  const args = { themePath: null, runs: 1000, strategies: Object.keys(BOT_STRATEGIES), seed: 1, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--runs') args.runs = parseInt(argv[++i], 10);
+    else if (arg === '--strategies') args.strategies = argv[++i].split(',');
+    else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+    else if (arg === '--json') args.json = true;
+    else args.themePath = arg;
+  }
+
+  return args;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+function printReport(report) {
+  console.log('');
+  console.log(`Theme: ${report.theme} (${report.runsPerStrategy} runs per strategy)`);
+
+  Object.entries(report.strategies).forEach(([id, summary]) => {
+    console.log('');
+    console.log(`== ${BOT_STRATEGIES[id].name} (${id}) ==`);
+    console.log(`  Win rate:   ${percent(summary.winRate)} (${summary.wins}/${summary.runs})`);
+    console.log(`  Avg days:   ${summary.avgDays.toFixed(1)} (wins: ${summary.avgWinDays.toFixed(1)})`);
+    console.log(`  Avg score:  ${summary.avgScore}`);
+    console.log('  Fail reasons:');
+    Object.entries(summary.failReasons)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([reason, count]) => {
+        console.log(`    ${reason.padEnd(16)} ${String(count).padStart(6)}  ${percent(count / summary.runs)}`);
+      });
+    console.log('  Professions:');
+    Object.entries(summary.professions).forEach(([prof, stats]) => {
+      console.log(`    ${prof.padEnd(16)} win ${percent(stats.winRate).padStart(6)}  avg score ${stats.avgScore}`);
+    });
+    if (Object.keys(summary.routes).length > 0) {
+      console.log('  Routes:');
+      Object.entries(summary.routes).forEach(([route, stats]) => {
+        console.log(`    ${route.padEnd(16)} win ${percent(stats.winRate).padStart(6)}  avg score ${stats.avgScore}  (${stats.runs} runs)`);
+      });
+    }
+  });
+  console.log('');
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.themePath) {
+  console.error('Usage: node simulate.js <theme.json> [--runs N] [--strategies a,b] [--seed N] [--json]');
+  console.error(`Strategies: ${Object.keys(BOT_STRATEGIES).join(', ')}`);
+  process.exit(1);
+}
+
+const unknown = args.strategies.filter(id => !BOT_STRATEGIES[id]);
+if (unknown.length > 0) {
+  console.error(`Unknown strategies: ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+const theme = JSON.parse(fs.readFileSync(args.themePath, 'utf8'));
+const report = new SimulationRunner(theme).run({
+  runs: args.runs,
+  strategies: args.strategies,
+  seed: args.seed
+});
+
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  printReport(report);
+}
@@ -14,13 +14,30 @@ CREATE TABLE IF NOT EXISTS high_scores (
   profession TEXT,
   survived INTEGER DEFAULT 0,
   failed BOOLEAN DEFAULT false,
+  daily_date DATE, -- Set for Daily Challenge runs, which have their own board
+  replay JSONB, -- Seed and inputs, re-played by verify-score.js
+  verified BOOLEAN, -- NULL until verify-score.js has checked the run
+  verify_reason TEXT, -- Why a score was rejected
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Upgrading an existing install: add the verification columns
+ALTER TABLE high_scores ADD COLUMN IF NOT EXISTS replay JSONB;
+ALTER TABLE high_scores ADD COLUMN IF NOT EXISTS verified BOOLEAN;
+ALTER TABLE high_scores ADD COLUMN IF NOT EXISTS verify_reason TEXT;
+
+-- Upgrading an existing install: add the Daily Challenge column
+ALTER TABLE high_scores ADD COLUMN IF NOT EXISTS daily_date DATE;
+
 -- Create index for fast leaderboard queries
 CREATE INDEX IF NOT EXISTS idx_high_scores_theme_score
   ON high_scores(theme_name, score DESC);
 
+-- Create index for Daily Challenge boards
+CREATE INDEX IF NOT EXISTS idx_high_scores_daily
+  ON high_scores(theme_name, daily_date, score DESC)
+  WHERE daily_date IS NOT NULL;
+
 -- Create index for player lookups
 CREATE INDEX IF NOT EXISTS idx_high_scores_player
   ON high_scores(player_name, created_at DESC);
@@ -53,13 +70,26 @@ CREATE INDEX IF NOT EXISTS idx_sessions_outcome
   ON game_sessions(outcome)
   WHERE outcome IS NOT NULL;
 
+-- ============================================
+-- Player Achievements Table (synced when LEADERBOARD_CONFIG.syncAchievements is on)
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_achievements (
+  id BIGSERIAL PRIMARY KEY,
+  player_name TEXT NOT NULL,
+  theme_name TEXT NOT NULL,
+  achievement_id TEXT NOT NULL, -- An id from the theme's "achievements"
+  unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (player_name, theme_name, achievement_id)
+);
+
 -- ============================================
 -- Enable Row Level Security (RLS)
 -- ============================================
 
--- Enable RLS on both tables
+-- Enable RLS on all tables
 ALTER TABLE high_scores ENABLE ROW LEVEL SECURITY;
 ALTER TABLE game_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_achievements ENABLE ROW LEVEL SECURITY;
 
 -- ============================================
 -- RLS Policies - Allow public read/write
@@ -71,17 +101,17 @@ CREATE POLICY "Anyone can view high scores"
   FOR SELECT
   USING (true);
 
--- High Scores: Anyone can insert
+-- High Scores: Anyone can insert, but only unverified scores
+-- (verify-score.js uses the service role key, which bypasses RLS)
+DROP POLICY IF EXISTS "Anyone can insert high scores" ON high_scores;
 CREATE POLICY "Anyone can insert high scores"
   ON high_scores
   FOR INSERT
-  WITH CHECK (true);
+  WITH CHECK (verified IS NULL AND verify_reason IS NULL);
 
--- High Scores: Allow delete (for admin/clear function)
-CREATE POLICY "Anyone can delete high scores"
-  ON high_scores
-  FOR DELETE
-  USING (true);
+-- High Scores: No delete policy, so the anon key can't wipe the board.
+-- Clear scores from the dashboard or with the service role key.
+DROP POLICY IF EXISTS "Anyone can delete high scores" ON high_scores;
 
 -- Game Sessions: Anyone can read
 CREATE POLICY "Anyone can view sessions"
@@ -101,6 +131,20 @@ CREATE POLICY "Anyone can update sessions"
   FOR UPDATE
   USING (true);
 
+-- Player Achievements: Anyone can read
+DROP POLICY IF EXISTS "Anyone can view achievements" ON player_achievements;
+CREATE POLICY "Anyone can view achievements"
+  ON player_achievements
+  FOR SELECT
+  USING (true);
+
+-- Player Achievements: Anyone can insert (they're unverified, unlike scores)
+DROP POLICY IF EXISTS "Anyone can insert achievements" ON player_achievements;
+CREATE POLICY "Anyone can insert achievements"
+  ON player_achievements
+  FOR INSERT
+  WITH CHECK (true);
+
 -- ============================================
 -- Helpful Views for Analytics
 -- ============================================
@@ -118,8 +162,18 @@ SELECT
   created_at,
   ROW_NUMBER() OVER (PARTITION BY theme_name ORDER BY score DESC) as rank
 FROM high_scores
+WHERE verified AND daily_date IS NULL
 ORDER BY theme_name, score DESC;
 
+-- View: Daily Challenge scores - each player's first attempt of the day
+-- only, verified or not, so replaying the day (or spoiling a bad first
+-- run's replay) can't improve a score. The game marks unverified ones.
+CREATE OR REPLACE VIEW daily_challenge_scores AS
+SELECT DISTINCT ON (theme_name, daily_date, player_name) *
+FROM high_scores
+WHERE daily_date IS NOT NULL
+ORDER BY theme_name, daily_date, player_name, created_at;
+
 -- View: Game statistics
 CREATE OR REPLACE VIEW game_statistics AS
 SELECT
@@ -143,10 +197,10 @@ GROUP BY theme_name;
 SELECT table_name
 FROM information_schema.tables
 WHERE table_schema = 'public'
-  AND table_name IN ('high_scores', 'game_sessions');
+  AND table_name IN ('high_scores', 'game_sessions', 'player_achievements');
 
 -- Check RLS is enabled
 SELECT tablename, rowsecurity
 FROM pg_tables
 WHERE schemaname = 'public'
-  AND tablename IN ('high_scores', 'game_sessions');
+  AND tablename IN ('high_scores', 'game_sessions', 'player_achievements');
@@ -0,0 +1,993 @@
+/**
+ * Theme Linter - Cross-reference and balance checks
+ *
+ * The JSON schema only checks shape. These checks catch themes that are
+ * well-formed but still break (or quietly misbehave) at runtime:
+ * - ids referenced elsewhere in the theme that don't exist
+ * - journey/location/phase data that disagrees with itself
+ * - keys the engine silently ignores (effects, drain modifiers, conditions)
+ * - goals that can't be reached with the configured resource caps
+ *
+ * Each issue is { severity: 'error' | 'warning', path, message } where path
+ * is a JSON pointer into the theme. Assumes the theme passed schema validation.
+ */
+
+// ConditionEvaluator is a browser global; under Node it has to be required
+const LintConditions = typeof ConditionEvaluator !== 'undefined' ? ConditionEvaluator : require('./engine/conditions.js');
+const LintEngine = typeof TrailGameEngine !== 'undefined' ? TrailGameEngine : require('./engine/game-engine.js');
+const LintSaveMigrator = typeof SaveMigrator !== 'undefined' ? SaveMigrator : require('./engine/save-migrations.js');
+const LintRoutes = typeof RouteMap !== 'undefined' ? RouteMap : require('./engine/routes.js');
+
+// Effect keys the engine handles besides theme resources
+const ENGINE_EFFECT_KEYS = ['distance', 'days', 'parts', 'health', 'memberHealth'];
+
+// Doubt trigger GameEngine.updatePartyMorale sets while morale is low
+// (resources add their own with doubtTrigger)
+const MORALE_DOUBT_TRIGGER = 'lowBelief';
+
+// Placeholders UIController.replaceTemplates fills in besides resource keys
+// (and skill:<id>, a member with that skill)
+const TEMPLATE_KEYS = ['partyMember', 'vehicle'];
+
+// Shop item types that set state.items
+const ITEM_SHOP_TYPES = ['parts', 'guitar'];
+
+// Endgame sequence UIController.startArea51Endgame jumps to
+const ENDGAME_START_SEQUENCE = 'gate_approach';
+
+const ENDGAME_MINIGAMES = ['missileCommand'];
+
+class ThemeLinter {
+  /**
+   * Lint a theme, returning a list of issues (errors first)
+   */
+  lint(theme) {
+    this.theme = theme;
+    this.issues = [];
+    this.story = { setFlags: new Set(), flagChecks: [], followUpRefs: [] };
+    this.outcomeTags = new Set();
+
+    this.lintJourney();
+    this.lintLocations();
+    this.lintForks();
+    this.lintMap();
+    this.lintProfessions();
+    this.lintEvents();
+    this.lintDoubts();
+    this.lintEndgame();
+    this.lintGoals();
+    this.lintAchievements();
+    this.lintUnlocks();
+    this.lintParty();
+    this.lintResources();
+    this.lintTravel();
+    this.lintSaveMigrations();
+    this.lintStory();
+    this.lintOutcomeWeights();
+
+    const order = { error: 0, warning: 1 };
+    return this.issues.sort((a, b) => order[a.severity] - order[b.severity]);
+  }
+
+  error(path, message) {
+    this.issues.push({ severity: 'error', path, message });
+  }
+
+  warn(path, message) {
+    this.issues.push({ severity: 'warning', path, message });
+  }
+
+  get resourceKeys() {
+    return Object.keys(this.theme.resources);
+  }
+
+  get doubtTriggers() {
+    const declared = Object.values(this.theme.resources)
+      .filter(resource => resource.doubtTrigger)
+      .map(resource => resource.doubtTrigger.name);
+    return [MORALE_DOUBT_TRIGGER, ...declared];
+  }
+
+  get phaseNames() {
+    return this.theme.journey.phases.map(phase => phase.name);
+  }
+
+  /**
+   * Ids of every event in the theme (route events included), for "event" conditions
+   */
+  get eventIds() {
+    return [...this.phaseNames, 'followUps']
+      .flatMap(pool => this.theme.events[pool] || [])
+      .concat(LintRoutes.allRouteEvents(this.theme))
+      .map(event => event.id)
+      .filter(Boolean);
+  }
+
+  /**
+   * Names of every location a run could reach, branch stops included
+   */
+  get locationNames() {
+    return LintRoutes.allLocations(this.theme).map(location => location.name);
+  }
+
+  partyIds(list) {
+    return ((this.theme.party && this.theme.party[list]) || []).map(entry => entry.id);
+  }
+
+  get routeIds() {
+    return this.theme.locations
+      .filter(location => location.fork)
+      .flatMap(location => location.fork.routes.map(route => route.id));
+  }
+
+  /**
+   * Pace/ration/weather tables as the engine will see them (with defaults)
+   */
+  get travelTables() {
+    return LintEngine.resolveTravelTables(this.theme);
+  }
+
+  /**
+   * Item names the player can ever hold (for has<Item> conditions)
+   */
+  get grantableItems() {
+    const items = new Set();
+    const shopItems = (this.theme.shop && this.theme.shop.items) || [];
+    shopItems.forEach(item => {
+      if (ITEM_SHOP_TYPES.includes(item.type)) items.add(item.type);
+    });
+
+    Object.keys(this.theme.startingItems || {}).forEach(item => {
+      if (this.theme.startingItems[item]) items.add(item);
+    });
+    (this.theme.unlockables || []).forEach(unlockable => {
+      Object.keys(unlockable.startingItems || {}).forEach(item => {
+        if (unlockable.startingItems[item]) items.add(item);
+      });
+    });
+    return items;
+  }
+
+  /**
+   * Phases must tile the journey from mile 0 to totalDistance without gaps,
+   * and each phase needs an event pool
+   */
+  lintJourney() {
+    const { journey, events } = this.theme;
+    const phases = journey.phases;
+
+    phases.forEach((phase, index) => {
+      const path = `/journey/phases/${index}`;
+
+      if (phase.endMile <= phase.startMile) {
+        this.error(`${path}/endMile`, `must be greater than startMile (${phase.startMile})`);
+      }
+
+      if (index === 0 && phase.startMile !== 0) {
+        this.error(`${path}/startMile`, 'first phase must start at mile 0');
+      }
+
+      const previous = phases[index - 1];
+      if (previous && phase.startMile !== previous.endMile) {
+        const problem = phase.startMile > previous.endMile ? 'gap' : 'overlap';
+        this.error(`${path}/startMile`, `${problem} after phase "${previous.name}" (ends at ${previous.endMile}, this starts at ${phase.startMile})`);
+      }
+
+      if (!Array.isArray(events[phase.name])) {
+        this.error(`${path}/name`, `no events.${phase.name} pool for this phase`);
+      }
+
+      if (phases.findIndex(p => p.name === phase.name) !== index) {
+        this.error(`${path}/name`, `duplicate phase name "${phase.name}"`);
+      }
+    });
+
+    const last = phases[phases.length - 1];
+    if (last && last.endMile < journey.totalDistance) {
+      this.error(`/journey/phases/${phases.length - 1}/endMile`, `phases end at ${last.endMile} but totalDistance is ${journey.totalDistance}`);
+    }
+  }
+
+  lintLocations() {
+    const { locations, journey } = this.theme;
+    const names = locations.map(location => location.name);
+    const seen = new Map();
+
+    locations.forEach((location, index) => {
+      const path = `/locations/${index}`;
+
+      if (seen.has(location.name)) {
+        this.error(`${path}/name`, `duplicate location name (also /locations/${seen.get(location.name)})`);
+      } else {
+        seen.set(location.name, index);
+      }
+
+      if (index > 0 && location.distance < locations[index - 1].distance) {
+        this.error(`${path}/distance`, `out of order (${location.distance} comes after ${locations[index - 1].distance})`);
+      }
+
+      if (location.distance > journey.totalDistance) {
+        this.error(`${path}/distance`, `beyond journey.totalDistance (${journey.totalDistance})`);
+      }
+
+      if (location.event) {
+        (location.event.choices || []).forEach((choice, choiceIndex) => {
+          this.lintChoice(choice, `${path}/event/choices/${choiceIndex}`);
+        });
+      } else if (location.specialType === 'mountain') {
+        this.error(`${path}/specialType`, 'a mountain pass needs an "event" (the choice event shown there)');
+      }
+    });
+
+    if (!names.includes(journey.startLocation)) {
+      this.error('/journey/startLocation', `"${journey.startLocation}" doesn't match any location name`);
+    } else if (names[0] !== journey.startLocation) {
+      this.warn('/journey/startLocation', `"${journey.startLocation}" isn't the first location ("${names[0]}")`);
+    }
+
+    if (!names.includes(journey.endLocation)) {
+      this.error('/journey/endLocation', `"${journey.endLocation}" doesn't match any location name`);
+    } else if (names[names.length - 1] !== journey.endLocation) {
+      this.warn('/journey/endLocation', `"${journey.endLocation}" isn't the last location ("${names[names.length - 1]}")`);
+    }
+
+    if (locations[0].distance !== 0) {
+      this.warn('/locations/0/distance', 'first location should be at mile 0');
+    }
+
+    const lastIndex = locations.length - 1;
+    if (locations[lastIndex].distance !== journey.totalDistance) {
+      this.warn(`/locations/${lastIndex}/distance`, `final location is at ${locations[lastIndex].distance} but journey.totalDistance is ${journey.totalDistance}`);
+    }
+  }
+
+  /**
+   * Forks need a later main-line location to rejoin at, exactly one
+   * main-line route, and branch stops that fit before the rejoin
+   */
+  lintForks() {
+    const { locations } = this.theme;
+    const names = locations.map(location => location.name);
+    const seenRoutes = new Map();
+    const seenStops = new Map();
+    const seenEvents = new Map([...this.phaseNames, 'followUps']
+      .flatMap(pool => (this.theme.events[pool] || []).map((event, index) => [event.id, `/events/${pool}/${index}`])));
+
+    locations.forEach((location, index) => {
+      if (!location.fork) return;
+
+      const path = `/locations/${index}/fork`;
+      const { fork } = location;
+      const rejoinIndex = names.indexOf(fork.rejoin);
+      if (rejoinIndex === -1) {
+        this.error(`${path}/rejoin`, `"${fork.rejoin}" doesn't match any location name`);
+      } else if (rejoinIndex <= index) {
+        this.error(`${path}/rejoin`, `"${fork.rejoin}" comes before the fork, so it can't rejoin there`);
+      } else if (locations.slice(index + 1, rejoinIndex).some(between => between.fork)) {
+        this.error(`${path}/rejoin`, 'another fork comes before the rejoin location; forks can\'t overlap');
+      }
+
+      const mainRoutes = fork.routes.filter(route => !route.locations);
+      if (mainRoutes.length !== 1) {
+        this.error(`${path}/routes`, `needs exactly one route without "locations" (the main line), found ${mainRoutes.length}`);
+      }
+      if (mainRoutes.some(route => route.unlock)) {
+        this.error(`${path}/routes`, 'the main-line route can\'t be locked; runs fall back to it');
+      }
+
+      fork.routes.forEach((route, routeIndex) => {
+        const routePath = `${path}/routes/${routeIndex}`;
+        if (seenRoutes.has(route.id)) {
+          this.error(`${routePath}/id`, `duplicate route id (also ${seenRoutes.get(route.id)})`);
+        } else {
+          seenRoutes.set(route.id, routePath);
+        }
+
+        (route.locations || []).forEach((stop, stopIndex) => {
+          const stopPath = `${routePath}/locations/${stopIndex}`;
+          if (names.includes(stop.name) || seenStops.has(stop.name)) {
+            this.error(`${stopPath}/name`, `duplicate location name "${stop.name}"`);
+          } else {
+            seenStops.set(stop.name, stopPath);
+          }
+          if (stop.fork) {
+            this.error(`${stopPath}/fork`, 'branch stops can\'t fork again');
+          }
+          if (stop.distance <= 0 || stop.distance >= route.distance) {
+            this.error(`${stopPath}/distance`, `must be between 0 and the route's distance (${route.distance}), counted from the fork`);
+          }
+          if (stopIndex > 0 && stop.distance < route.locations[stopIndex - 1].distance) {
+            this.error(`${stopPath}/distance`, `out of order (${stop.distance} comes after ${route.locations[stopIndex - 1].distance})`);
+          }
+          if (stop.event) {
+            (stop.event.choices || []).forEach((choice, choiceIndex) => {
+              this.lintChoice(choice, `${stopPath}/event/choices/${choiceIndex}`);
+            });
+          }
+        });
+
+        (route.events || []).forEach((event, eventIndex) => {
+          const eventPath = `${routePath}/events/${eventIndex}`;
+          if (event.id) {
+            if (seenEvents.has(event.id)) {
+              this.error(`${eventPath}/id`, `duplicate event id (also ${seenEvents.get(event.id)})`);
+            } else {
+              seenEvents.set(event.id, eventPath);
+            }
+          }
+          this.lintTemplate(event.text, `${eventPath}/text`);
+          this.lintEffects(event.effects, `${eventPath}/effects`);
+          this.lintCondition(event.condition, `${eventPath}/condition`);
+          this.collectStory(event, eventPath);
+          (event.choices || []).forEach((choice, choiceIndex) => {
+            this.lintChoice(choice, `${eventPath}/choices/${choiceIndex}`);
+          });
+        });
+
+        this.lintUnlock(route.unlock, `${routePath}/unlock`);
+      });
+    });
+  }
+
+  /**
+   * Map coordinates are optional, but once some locations have them, a first
+   * or last location without any is put at the edge of the map
+   */
+  lintMap() {
+    const { locations } = this.theme;
+    if (!LintRoutes.allLocations(this.theme).some(location => location.map)) return;
+
+    [0, locations.length - 1].forEach(index => {
+      if (!locations[index].map) {
+        this.warn(`/locations/${index}/map`, 'missing while other locations have map coordinates, so the map puts this one at its edge');
+      }
+    });
+  }
+
+  lintProfessions() {
+    const seen = new Map();
+
+    this.theme.professions.forEach((profession, index) => {
+      const path = `/professions/${index}`;
+
+      if (seen.has(profession.id)) {
+        this.error(`${path}/id`, `duplicate profession id (also /professions/${seen.get(profession.id)})`);
+      } else {
+        seen.set(profession.id, index);
+      }
+
+      const modifiers = profession.modifiers || {};
+      if (modifiers.vibeDrainByPhase) {
+        this.warn(`${path}/modifiers/vibeDrainByPhase`, 'ignored by the engine, which reads moraleDrainByPhase (every phase falls back to the default drain)');
+      }
+
+      Object.keys(modifiers.moraleDrainByPhase || {}).forEach(phase => {
+        if (!this.phaseNames.includes(phase)) {
+          this.warn(`${path}/modifiers/moraleDrainByPhase/${phase}`, `no journey phase named "${phase}"`);
+        }
+      });
+    });
+  }
+
+  lintEvents() {
+    const seenIds = new Map();
+
+    [...this.phaseNames, 'followUps'].forEach(pool => {
+      (this.theme.events[pool] || []).forEach((event, index) => {
+        const path = `/events/${pool}/${index}`;
+
+        if (event.id) {
+          if (seenIds.has(event.id)) {
+            this.error(`${path}/id`, `duplicate event id (also ${seenIds.get(event.id)})`);
+          } else {
+            seenIds.set(event.id, path);
+          }
+        }
+
+        this.lintTemplate(event.text, `${path}/text`);
+        this.lintEffects(event.effects, `${path}/effects`);
+        this.lintCondition(event.condition, `${path}/condition`);
+        this.collectStory(event, path);
+
+        (event.choices || []).forEach((choice, choiceIndex) => {
+          this.lintChoice(choice, `${path}/choices/${choiceIndex}`);
+        });
+      });
+    });
+  }
+
+  /**
+   * Record the flags and follow-ups an event or choice sets and checks
+   */
+  collectStory(entry, path) {
+    ['setFlags', 'failSetFlags'].forEach(key => {
+      (entry[key] || []).forEach(flag => this.story.setFlags.add(flag));
+    });
+
+    ['requiresFlags', 'forbidsFlags', 'clearFlags', 'failClearFlags'].forEach(key => {
+      (entry[key] || []).forEach((flag, index) => {
+        this.story.flagChecks.push({ flag, key, path: `${path}/${key}/${index}` });
+      });
+    });
+
+    ['followUps', 'failFollowUps'].forEach(key => {
+      (entry[key] || []).forEach((followUp, index) => {
+        this.story.followUpRefs.push({ id: followUp.event, path: `${path}/${key}/${index}/event` });
+      });
+    });
+  }
+
+  /**
+   * Flags nothing sets, and follow-ups that don't exist or are never scheduled
+   */
+  lintStory() {
+    const { setFlags, flagChecks, followUpRefs } = this.story;
+
+    flagChecks.forEach(({ flag, key, path }) => {
+      if (setFlags.has(flag)) return;
+      const consequence = key === 'requiresFlags'
+        ? 'this never becomes available'
+        : key === 'forbidsFlags' ? 'this check never matters' : 'clearing it does nothing';
+      this.warn(path, `no event or choice sets flag "${flag}", so ${consequence}`);
+    });
+
+    const followUps = this.theme.events.followUps || [];
+    const followUpIds = followUps.map(event => event.id);
+
+    followUpRefs.forEach(({ id, path }) => {
+      if (!followUpIds.includes(id)) {
+        this.error(path, `"${id}" doesn't match any events.followUps id`);
+      }
+    });
+
+    followUps.forEach((event, index) => {
+      if (!followUpRefs.some(ref => ref.id === event.id)) {
+        this.warn(`/events/followUps/${index}`, `follow-up "${event.id}" is never scheduled by any followUps entry`);
+      }
+    });
+  }
+
+  lintChoice(choice, path) {
+    this.lintTemplate(choice.message, `${path}/message`);
+    this.lintTemplate(choice.failMessage, `${path}/failMessage`);
+    this.lintEffects(choice.effects, `${path}/effects`);
+    this.lintEffects(choice.failEffects, `${path}/failEffects`);
+    this.collectStory(choice, path);
+
+    (choice.outcomes || []).forEach((outcome, index) => {
+      const outcomePath = `${path}/outcomes/${index}`;
+      this.lintTemplate(outcome.message, `${outcomePath}/message`);
+      this.lintEffects(outcome.effects, `${outcomePath}/effects`);
+      this.collectStory(outcome, outcomePath);
+      if (outcome.tag) this.outcomeTags.add(outcome.tag);
+    });
+    if (choice.tag) this.outcomeTags.add(choice.tag);
+
+    if (choice.outcomes && choice.outcomes.every(outcome => outcome.weight === 0)) {
+      this.error(`${path}/outcomes`, 'every outcome has weight 0');
+    }
+
+    if (choice.outcomes && choice.risk) {
+      this.warn(`${path}/risk`, 'ignored because the choice has outcomes');
+    }
+
+    if (choice.risk && !choice.outcomes && !choice.failEffects && !choice.failMessage && !choice.failEndsGame) {
+      this.warn(`${path}/risk`, 'risk has no failEffects/failMessage, so failing looks the same as succeeding');
+    }
+
+    this.lintCondition(choice.condition, `${path}/condition`);
+    this.lintCondition(choice.enableCondition, `${path}/enableCondition`);
+  }
+
+  /**
+   * Profession and skill outcomeWeights, and skill effectMultipliers, must
+   * name tags some choice or outcome actually uses
+   */
+  lintOutcomeWeights() {
+    const checkTags = (tags, path) => Object.keys(tags || {}).forEach(tag => {
+      if (!this.outcomeTags.has(tag)) {
+        this.warn(`${path}/${tag}`, `no choice or outcome is tagged "${tag}"`);
+      }
+    });
+
+    this.theme.professions.forEach((profession, index) => {
+      checkTags(profession.modifiers && profession.modifiers.outcomeWeights, `/professions/${index}/modifiers/outcomeWeights`);
+    });
+    ((this.theme.party && this.theme.party.skills) || []).forEach((skill, index) => {
+      const modifiers = skill.modifiers || {};
+      checkTags(modifiers.outcomeWeights, `/party/skills/${index}/modifiers/outcomeWeights`);
+      checkTags(modifiers.effectMultipliers, `/party/skills/${index}/modifiers/effectMultipliers`);
+    });
+  }
+
+  /**
+   * String conditions are legacy "has<Item>" checks against state.items
+   * (anything else is always true); objects use the JSON condition language
+   */
+  lintCondition(condition, path) {
+    if (condition === undefined) return;
+
+    if (typeof condition === 'string') {
+      const match = condition.match(/^has(.+)$/);
+      if (!match) {
+        this.warn(path, `unrecognized condition "${condition}" is always true`);
+        return;
+      }
+
+      const item = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+      if (/\s/.test(item)) {
+        this.warn(path, `item name "${item}" contains whitespace`);
+      }
+      this.checkGrantable(item, path);
+      return;
+    }
+
+    const context = {
+      resourceKeys: this.resourceKeys,
+      phaseNames: this.phaseNames,
+      professionIds: this.theme.professions.map(p => p.id),
+      paceIds: Object.keys(this.travelTables.paces),
+      rationIds: Object.keys(this.travelTables.rations),
+      weatherIds: Object.keys(this.travelTables.weather.types),
+      eventIds: this.eventIds,
+      locationNames: this.locationNames,
+      routeIds: this.routeIds,
+      skillIds: this.partyIds('skills'),
+      traitIds: this.partyIds('traits')
+    };
+    LintConditions.check(condition, context).forEach(problem => {
+      this.error(`${path}${problem.path}`, problem.message);
+    });
+
+    this.collectConditionRefs(condition, path);
+  }
+
+  /**
+   * Items and flags a condition object depends on
+   */
+  collectConditionRefs(condition, path) {
+    Object.keys(condition).forEach(key => {
+      const value = condition[key];
+      if (key === 'all' || key === 'any') {
+        value.forEach((sub, index) => this.collectConditionRefs(sub, `${path}/${key}/${index}`));
+      } else if (key === 'not') {
+        this.collectConditionRefs(value, `${path}/not`);
+      } else if (key === 'item') {
+        LintConditions.toList(value).forEach(item => this.checkGrantable(item, `${path}/item`));
+      } else if (key === 'flag') {
+        LintConditions.toList(value).forEach(flag => {
+          this.story.flagChecks.push({ flag, key: 'requiresFlags', path: `${path}/flag` });
+        });
+      }
+    });
+  }
+
+  checkGrantable(item, path) {
+    if (!this.grantableItems.has(item)) {
+      const known = Array.from(this.grantableItems).join(', ') || 'none';
+      this.warn(path, `nothing in this theme grants item "${item}", so this never matches (grantable: ${known})`);
+    }
+  }
+
+  lintEffects(effects, path) {
+    if (!effects) return;
+
+    Object.keys(effects).forEach(key => {
+      if (!this.resourceKeys.includes(key) && !ENGINE_EFFECT_KEYS.includes(key)) {
+        this.warn(`${path}/${key}`, `"${key}" is not a resource, so the engine ignores this effect`);
+      }
+
+      const value = effects[key];
+      if (typeof value === 'object' && value.min > value.max) {
+        this.error(`${path}/${key}`, `range min (${value.min}) is greater than max (${value.max})`);
+      }
+    });
+  }
+
+  lintTemplate(text, path) {
+    if (typeof text !== 'string') return;
+
+    const known = [...TEMPLATE_KEYS, ...this.resourceKeys, ...this.partyIds('skills').map(id => `skill:${id}`)];
+    (text.match(/\{\{[^}]*\}\}/g) || []).forEach(placeholder => {
+      const key = placeholder.slice(2, -2);
+      if (key.startsWith('skill:') && !known.includes(key)) {
+        this.warn(path, `no party skill "${key.slice(6)}", so ${placeholder} always reads "Someone"`);
+      } else if (!known.includes(key)) {
+        this.warn(path, `unknown placeholder ${placeholder} will be shown as-is`);
+      }
+    });
+  }
+
+  /**
+   * Trait and skill ids must be unique, and traits' doubtWeights must name
+   * doubts (or doubt triggers) that exist
+   */
+  lintParty() {
+    const party = this.theme.party;
+    if (!party) return;
+
+    ['traits', 'skills'].forEach(list => {
+      const seen = new Map();
+      (party[list] || []).forEach((entry, index) => {
+        if (seen.has(entry.id)) {
+          this.error(`/party/${list}/${index}/id`, `duplicate id (also /party/${list}/${seen.get(entry.id)})`);
+        } else {
+          seen.set(entry.id, index);
+        }
+      });
+    });
+
+    const doubts = this.theme.events.doubts || [];
+    const doubtKeys = [...doubts.map(doubt => doubt.name), ...this.doubtTriggers];
+    (party.traits || []).forEach((trait, index) => {
+      Object.keys(trait.doubtWeights || {}).forEach(key => {
+        if (!doubtKeys.includes(key)) {
+          this.warn(`/party/traits/${index}/doubtWeights/${key}`, `no doubt named "${key}" (or trigger), so this weight does nothing`);
+        }
+      });
+    });
+
+    (party.skills || []).forEach((skill, index) => {
+      const multipliers = (skill.modifiers && skill.modifiers.effectMultipliers) || {};
+      Object.keys(multipliers).forEach(tag => {
+        Object.keys(multipliers[tag]).forEach(key => {
+          if (!ENGINE_EFFECT_KEYS.includes(key) && !this.resourceKeys.includes(key)) {
+            this.error(`/party/skills/${index}/modifiers/effectMultipliers/${tag}/${key}`, `"${key}" is not an effect key`);
+          }
+        });
+      });
+    });
+  }
+
+  lintDoubts() {
+    const doubts = this.theme.events.doubts;
+
+    if (!Array.isArray(doubts) || doubts.length === 0) {
+      this.error('/events/doubts', 'no doubts defined - a party member starting to doubt will crash the engine');
+      return;
+    }
+
+    const triggers = this.doubtTriggers;
+    if (!doubts.some(doubt => doubt.trigger)) {
+      this.warn('/events/doubts', `no doubt has a trigger (${triggers.join(' or ')}), so doubts are picked regardless of what caused them`);
+      return;
+    }
+
+    doubts.forEach((doubt, index) => {
+      if (!doubt.trigger) {
+        this.warn(`/events/doubts/${index}`, `no trigger (${triggers.join(' or ')}), so this doubt is never picked while triggered doubts exist`);
+      } else if (!triggers.includes(doubt.trigger)) {
+        this.warn(`/events/doubts/${index}/trigger`, `no resource declares doubtTrigger "${doubt.trigger}", so this doubt is never picked`);
+      }
+    });
+
+    triggers.forEach(trigger => {
+      if (!doubts.some(doubt => doubt.trigger === trigger)) {
+        this.warn('/events/doubts', `no doubt uses trigger "${trigger}"`);
+      }
+    });
+  }
+
+  lintEndgame() {
+    const endgame = this.theme.area51Endgame;
+    if (!endgame || !endgame.enabled) return;
+
+    const sequences = endgame.sequences || [];
+    const ids = new Map();
+
+    sequences.forEach((sequence, index) => {
+      if (ids.has(sequence.id)) {
+        this.error(`/area51Endgame/sequences/${index}/id`, `duplicate sequence id (also /area51Endgame/sequences/${ids.get(sequence.id)})`);
+      } else {
+        ids.set(sequence.id, index);
+      }
+    });
+
+    if (!ids.has(ENDGAME_START_SEQUENCE)) {
+      this.error('/area51Endgame/sequences', `no "${ENDGAME_START_SEQUENCE}" sequence - the endgame always starts there`);
+    }
+
+    const checkNext = (next, path) => {
+      if (next !== undefined && !ids.has(next)) {
+        this.error(path, `"${next}" doesn't match any sequence id`);
+      }
+    };
+
+    sequences.forEach((sequence, index) => {
+      const path = `/area51Endgame/sequences/${index}`;
+      checkNext(sequence.next, `${path}/next`);
+
+      if (sequence.triggersMinigame && !ENDGAME_MINIGAMES.includes(sequence.minigame)) {
+        this.error(`${path}/minigame`, `unknown minigame "${sequence.minigame}" (supported: ${ENDGAME_MINIGAMES.join(', ')})`);
+      }
+
+      if (!sequence.choices && !sequence.next && !sequence.triggersMinigame) {
+        this.warn(path, 'dead end: no choices, next or minigame');
+      }
+
+      (sequence.choices || []).forEach((choice, choiceIndex) => {
+        const choicePath = `${path}/choices/${choiceIndex}`;
+        checkNext(choice.next, `${choicePath}/next`);
+
+        if (choice.success && !choice.next) {
+          this.warn(choicePath, 'successful choice has no next sequence, so clicking it does nothing');
+        }
+
+        Object.keys(choice.requires || {}).forEach(key => {
+          if (!this.resourceKeys.includes(key)) {
+            this.error(`${choicePath}/requires/${key}`, `"${key}" is not a resource`);
+          } else {
+            this.checkReachable(key, choice.requires[key], `${choicePath}/requires/${key}`);
+          }
+        });
+      });
+    });
+  }
+
+  lintGoals() {
+    const { winCondition, mystery, epilogues } = this.theme;
+
+    if (winCondition && winCondition.resource) {
+      if (!this.resourceKeys.includes(winCondition.resource)) {
+        this.error('/winCondition/resource', `"${winCondition.resource}" is not a resource`);
+      } else if (winCondition.threshold !== undefined) {
+        this.checkReachable(winCondition.resource, winCondition.threshold, '/winCondition/threshold');
+      }
+    }
+
+    // The briefing's evidence goal is counted in the win condition's resource
+    const goalResource = winCondition && this.resourceKeys.includes(winCondition.resource) ? winCondition.resource : null;
+    if (mystery && mystery.enabled && mystery.evidenceGoal !== undefined && goalResource) {
+      this.checkReachable(goalResource, mystery.evidenceGoal, '/mystery/evidenceGoal');
+    }
+
+    const professionIds = this.theme.professions.map(p => p.id);
+    (epilogues || []).forEach((epilogue, index) => {
+      this.lintCondition(epilogue.condition, `/epilogues/${index}/condition`);
+
+      Object.keys(epilogue.professionEndings || {}).forEach(id => {
+        if (!professionIds.includes(id)) {
+          this.warn(`/epilogues/${index}/professionEndings/${id}`, `"${id}" doesn't match any profession id`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Achievement ids have to be unique - players' unlocks are stored by id
+   */
+  lintAchievements() {
+    const seenIds = new Map();
+
+    (this.theme.achievements || []).forEach((achievement, index) => {
+      const path = `/achievements/${index}`;
+      if (seenIds.has(achievement.id)) {
+        this.error(`${path}/id`, `duplicate achievement id (also ${seenIds.get(achievement.id)})`);
+      } else {
+        seenIds.set(achievement.id, path);
+      }
+      this.lintCondition(achievement.condition, `${path}/condition`);
+    });
+  }
+
+  /**
+   * Locked professions and unlockables (see engine/career.js). Unlockable ids
+   * are recorded in replays, so they have to be unique too.
+   */
+  lintUnlocks() {
+    const { professions } = this.theme;
+    professions.forEach((profession, index) => this.lintUnlock(profession.unlock, `/professions/${index}/unlock`));
+    if (professions.every(profession => profession.unlock)) {
+      this.error('/professions', 'every profession is locked, so a new player can\'t start a run');
+    }
+
+    const seenIds = new Map();
+    (this.theme.unlockables || []).forEach((unlockable, index) => {
+      const path = `/unlockables/${index}`;
+      if (seenIds.has(unlockable.id)) {
+        this.error(`${path}/id`, `duplicate unlockable id (also ${seenIds.get(unlockable.id)})`);
+      } else {
+        seenIds.set(unlockable.id, path);
+      }
+
+      Object.keys(unlockable.startingResources || {}).forEach(key => {
+        if (!this.resourceKeys.includes(key)) {
+          this.error(`${path}/startingResources/${key}`, `"${key}" is not a resource`);
+        }
+      });
+      if (!unlockable.startingItems && !unlockable.startingResources) {
+        this.warn(path, 'has no startingItems or startingResources, so unlocking it does nothing');
+      }
+      this.lintUnlock(unlockable.unlock, `${path}/unlock`);
+    });
+  }
+
+  lintUnlock(unlock, path) {
+    if (!unlock) return;
+
+    const locationNames = this.locationNames;
+    [].concat(unlock.reached || []).forEach(name => {
+      if (!locationNames.includes(name)) {
+        this.error(`${path}/reached`, `no location named "${name}", so this never unlocks`);
+      }
+    });
+    Object.keys(unlock.collected || {}).forEach(key => {
+      if (!this.resourceKeys.includes(key)) {
+        this.error(`${path}/collected/${key}`, `"${key}" is not a resource, so this never unlocks`);
+      }
+    });
+  }
+
+  /**
+   * A target above a resource's cap can never be met
+   */
+  checkReachable(key, target, path) {
+    const resource = this.theme.resources[key];
+    if (resource && resource.max !== undefined && target > resource.max) {
+      this.error(path, `${target} can never be reached (${resource.name} is capped at ${resource.max})`);
+    }
+  }
+
+  isPastThreshold(value, threshold) {
+    if (threshold.atOrAbove !== undefined && value >= threshold.atOrAbove) return true;
+    if (threshold.atOrBelow !== undefined && value <= threshold.atOrBelow) return true;
+    return false;
+  }
+
+  /**
+   * A resetTo still past the threshold would drive someone off every turn
+   */
+  lintAbandonment(key, resource) {
+    const abandonment = resource.abandonment;
+    if (!abandonment || abandonment.resetTo === undefined) return;
+
+    const path = `/resources/${key}/abandonment/resetTo`;
+    if (abandonment.atOrAbove !== undefined && abandonment.resetTo >= abandonment.atOrAbove) {
+      this.error(path, `${abandonment.resetTo} is still at or above ${abandonment.atOrAbove}, so the whole party leaves on consecutive turns`);
+    }
+    if (abandonment.atOrBelow !== undefined && abandonment.resetTo <= abandonment.atOrBelow) {
+      this.error(path, `${abandonment.resetTo} is still at or below ${abandonment.atOrBelow}, so the whole party leaves on consecutive turns`);
+    }
+  }
+
+  lintResources() {
+    LintEngine.resourceRoleProblems(this.theme).forEach(({ path, message }) => this.error(path, message));
+
+    Object.entries(this.theme.resources).forEach(([key, resource]) => {
+      if (resource.max !== undefined && resource.startValue > resource.max) {
+        this.warn(`/resources/${key}/startValue`, `${resource.startValue} is above max (${resource.max}) and will be capped on the first change`);
+      }
+      if (typeof resource.min === 'number') {
+        if (resource.max !== undefined && resource.min >= resource.max) {
+          this.error(`/resources/${key}/min`, `${resource.min} is not below max (${resource.max})`);
+        } else if (resource.startValue < resource.min) {
+          this.warn(`/resources/${key}/startValue`, `${resource.startValue} is below min (${resource.min}) and will be raised on the first change`);
+        }
+      }
+      if (resource.consumed !== undefined) {
+        this.warn(`/resources/${key}/consumed`, 'ignored by the engine; only the resource with the "food" role is eaten each day');
+      }
+      if (resource.restCost !== undefined && resource.max !== undefined && resource.restCost > resource.max) {
+        this.warn(`/resources/${key}/restCost`, `${resource.restCost} is more than ${resource.name} can hold (${resource.max}), so the party can never rest`);
+      }
+      if (resource.failAt && this.isPastThreshold(resource.startValue, resource.failAt)) {
+        this.error(`/resources/${key}/failAt`, `startValue ${resource.startValue} is already past it, so every run ends on the first check`);
+      }
+      this.lintAbandonment(key, resource);
+    });
+
+    // The travel loop burns fuel every day; without a threshold an empty tank never ends the run
+    const fuel = Object.keys(this.theme.resources).find(key => (this.theme.resources[key].roles || []).includes('fuel'));
+    if (fuel && !this.theme.resources[fuel].failAt) {
+      this.warn(`/resources/${fuel}`, `no failAt, so running out of ${this.theme.resources[fuel].name} never ends the game`);
+    }
+
+    ((this.theme.shop && this.theme.shop.items) || []).forEach((item, index) => {
+      const resource = this.theme.resources[item.type];
+      if (!resource && !ITEM_SHOP_TYPES.includes(item.type)) {
+        this.error(`/shop/items/${index}/type`, `"${item.type}" is neither a resource nor an item (${ITEM_SHOP_TYPES.join(', ')}), so buying it does nothing`);
+      }
+      if (resource && resource.max !== undefined && item.amount > resource.max) {
+        this.warn(`/shop/items/${index}/amount`, `${item.amount} is more than ${resource.name} can hold (${resource.max})`);
+      }
+      this.lintCondition(item.condition, `/shop/items/${index}/condition`);
+    });
+
+    ((this.theme.moneyMaking && this.theme.moneyMaking.activities) || []).forEach((activity, index) => {
+      this.lintCondition(activity.condition, `/moneyMaking/activities/${index}/condition`);
+    });
+  }
+
+  /**
+   * Theme travel tables: paces need miles, weather chances must name real
+   * weather types, and every type should be rollable
+   */
+  lintTravel() {
+    const travel = this.theme.travel;
+    if (!travel) return;
+
+    ['paces', 'rations'].forEach(table => {
+      if (travel[table]) this.lintTravelDefaults(travel[table], `/travel/${table}`);
+    });
+
+    Object.entries(travel.paces || {}).forEach(([key, pace]) => {
+      if (pace.miles === undefined) {
+        this.error(`/travel/paces/${key}`, 'has no miles, so the party never moves at this pace');
+      }
+    });
+
+    const weather = travel.weather;
+    if (!weather) return;
+    this.lintTravelDefaults(weather.types, '/travel/weather/types');
+
+    const distributions = [['/travel/weather/chances', weather.chances]];
+    Object.entries(weather.chancesByPhase || {}).forEach(([phase, chances]) => {
+      if (!this.phaseNames.includes(phase)) {
+        this.warn(`/travel/weather/chancesByPhase/${phase}`, `no journey phase named "${phase}", so this is never used`);
+      }
+      distributions.push([`/travel/weather/chancesByPhase/${phase}`, chances]);
+    });
+
+    const rollable = new Set();
+    distributions.forEach(([path, chances]) => {
+      let total = 0;
+      Object.entries(chances).forEach(([key, chance]) => {
+        if (!weather.types[key]) {
+          this.error(`${path}/${key}`, `no weather type "${key}"`);
+          return;
+        }
+        total += chance;
+        if (chance > 0) rollable.add(key);
+      });
+      if (total <= 0) {
+        this.error(path, 'no weather type has a chance above 0, so the weather never changes');
+      }
+    });
+
+    Object.keys(weather.types).forEach(key => {
+      if (!rollable.has(key) && !weather.types[key].default) {
+        this.warn(`/travel/weather/types/${key}`, 'has no chance in any distribution, so it never happens');
+      }
+    });
+  }
+
+  /**
+   * Save migrations must predate the current theme version (or they'd re-run
+   * on every load) and rename things into ids the theme actually has
+   */
+  lintSaveMigrations() {
+    const targets = {
+      renameEvents: { known: LintSaveMigrator.knownEventKeys(this.theme), label: 'event' },
+      renameItems: { known: this.grantableItems, label: 'item' },
+      renameResources: { known: new Set(this.resourceKeys), label: 'resource' },
+      renameProfessions: { known: new Set(this.theme.professions.map(p => p.id)), label: 'profession' }
+    };
+
+    (this.theme.saveMigrations || []).forEach((migration, index) => {
+      const path = `/saveMigrations/${index}`;
+      if (LintSaveMigrator.compareVersions(migration.version, this.theme.version) > 0) {
+        this.error(`${path}/version`, `${migration.version} is newer than the theme (${this.theme.version}), so it re-runs on every load`);
+      }
+
+      Object.keys(targets).forEach(field => {
+        Object.entries(migration[field] || {}).forEach(([from, to]) => {
+          if (!targets[field].known.has(to)) {
+            this.error(`${path}/${field}/${from}`, `renames to "${to}", which isn't a ${targets[field].label} in this theme`);
+          }
+        });
+      });
+    });
+  }
+
+  lintTravelDefaults(table, path) {
+    const defaults = Object.keys(table).filter(key => table[key].default);
+    if (defaults.length > 1) {
+      this.warn(path, `${defaults.join(', ')} are all marked default; the first one wins`);
+    }
+  }
+}
+
+// Export for use in browser or Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeLinter;
+}
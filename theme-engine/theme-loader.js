@@ -12,6 +12,7 @@ class ThemeLoader {
   constructor() {
     this.themes = new Map();
     this.currentTheme = null;
+    this.schema = null;
   }
 
   /**
@@ -64,38 +65,81 @@ class ThemeLoader {
   }
 
   /**
-   * Validate theme structure
+   * Load the JSON schema used by validateTheme
    */
-  validateTheme(theme) {
+  async loadSchema(schemaPath = 'themes/theme-schema.json') {
+    const response = await fetch(schemaPath);
+    if (!response.ok) {
+      throw new Error(`Failed to load theme schema: ${response.statusText}`);
+    }
+
+    this.schema = await response.json();
+    return this.schema;
+  }
+
+  /**
+   * List every problem with a theme as { path, message } (JSON pointer paths).
+   * Uses the full schema once loaded, otherwise falls back to basic checks.
+   */
+  getValidationErrors(theme) {
+    if (this.schema && typeof SchemaValidator !== 'undefined') {
+      const errors = new SchemaValidator(this.schema).validate(theme);
+      return errors.length > 0 ? errors : this.getRoleErrors(theme);
+    }
+
+    const errors = [];
     const required = ['name', 'version', 'metadata', 'resources', 'professions', 'journey', 'locations', 'events'];
 
     required.forEach(field => {
       if (!theme[field]) {
-        throw new Error(`Theme missing required field: ${field}`);
+        errors.push({ path: `/${field}`, message: 'is required' });
       }
     });
+    if (errors.length > 0) return errors;
 
-    // Validate resources
-    const requiredResources = ['fuel', 'food', 'morale', 'currency', 'specialItem'];
-    requiredResources.forEach(res => {
-      if (!theme.resources[res]) {
-        throw new Error(`Theme missing required resource: ${res}`);
-      }
-    });
+    // Validate resources: the engine needs a morale and a currency
+    errors.push(...this.getRoleErrors(theme));
 
     // Validate professions
     if (!Array.isArray(theme.professions) || theme.professions.length === 0) {
-      throw new Error('Theme must have at least one profession');
+      errors.push({ path: '/professions', message: 'must have at least 1 item(s)' });
     }
 
     // Validate locations
     if (!Array.isArray(theme.locations) || theme.locations.length < 2) {
-      throw new Error('Theme must have at least 2 locations');
+      errors.push({ path: '/locations', message: 'must have at least 2 item(s)' });
     }
 
     // Validate events
-    if (!theme.events.early || !theme.events.middle || !theme.events.late) {
-      throw new Error('Theme must have events for early, middle, and late phases');
+    ['early', 'middle', 'late'].forEach(phase => {
+      if (!theme.events[phase]) {
+        errors.push({ path: `/events/${phase}`, message: 'is required' });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Resource role problems (see TrailGameEngine.resourceRoleProblems)
+   */
+  getRoleErrors(theme) {
+    return typeof TrailGameEngine !== 'undefined' ? TrailGameEngine.resourceRoleProblems(theme) : [];
+  }
+
+  /**
+   * Validate theme structure
+   * Throws with every problem listed; the raw list is on error.errors
+   */
+  validateTheme(theme) {
+    const errors = this.getValidationErrors(theme);
+
+    if (errors.length > 0) {
+      const label = theme && typeof theme.name === 'string' ? theme.name : 'Theme';
+      const details = errors.map(e => `  ${e.path || '/'}: ${e.message}`).join('\n');
+      const error = new Error(`${label} failed validation (${errors.length} problem(s)):\n${details}`);
+      error.errors = errors;
+      throw error;
     }
 
     return true;
@@ -157,6 +201,10 @@ class ThemeLoader {
     const card = document.createElement('div');
     card.className = 'theme-card';
 
+    // One Daily Challenge attempt per theme per day
+    const today = TrailGameEngine.dailyChallengeDate();
+    const dailyPlayed = typeof highScoreManager !== 'undefined' && highScoreManager.hasPlayedDaily(theme.name, today);
+
     card.innerHTML = `
       <div class="theme-card-header">
         <h3>${theme.name}</h3>
@@ -177,27 +225,35 @@ class ThemeLoader {
         <button class="play-theme-btn" data-theme="${theme.name}">
           Play This Theme
         </button>
+        <button class="secondary daily-theme-btn" data-theme="${theme.name}" ${dailyPlayed ? 'disabled' : ''}>
+          ${dailyPlayed ? '📅 Today\'s Daily Challenge played - back tomorrow' : '📅 Daily Challenge'}
+        </button>
       </div>
     `;
 
-    // Add click handler
+    // Add click handlers
     const btn = card.querySelector('.play-theme-btn');
     btn.addEventListener('click', () => {
       this.onThemeSelected(theme.name);
     });
+    card.querySelector('.daily-theme-btn').addEventListener('click', () => {
+      this.onThemeSelected(theme.name, { daily: today });
+    });
 
     return card;
   }
 
   /**
    * Handle theme selection
+   * @param {Object} [options]
+   * @param {string} [options.daily] - Start that day's Daily Challenge (YYYY-MM-DD)
    */
-  onThemeSelected(themeName) {
+  onThemeSelected(themeName, options = {}) {
     this.setCurrentTheme(themeName);
 
     // Dispatch custom event
     const event = new CustomEvent('themeSelected', {
-      detail: { theme: this.currentTheme }
+      detail: { theme: this.currentTheme, daily: options.daily || null }
     });
     document.dispatchEvent(event);
   }
@@ -270,6 +326,13 @@ const themeLoader = new ThemeLoader();
 // Auto-load bundled themes on page load
 document.addEventListener('DOMContentLoaded', async () => {
   try {
+    // Full schema validation when available, basic checks otherwise
+    try {
+      await themeLoader.loadSchema();
+    } catch (error) {
+      console.warn('Could not load theme schema, using basic validation:', error.message);
+    }
+
     // Load embedded themes
     themeLoader.loadEmbeddedThemes();
 
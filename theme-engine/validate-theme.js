@@ -1,13 +1,67 @@
+/**
+ * Theme validator CLI
+ *
+ * Checks theme files against themes/theme-schema.json, then runs the
+ * cross-reference/balance linter on files that pass. Every problem is
+ * printed with a JSON pointer. Exits non-zero if any file has errors
+ * (or warnings, with --strict).
+ *
+ * Usage:
+ *   node validate-theme.js themes/roswell-trail.json [more-themes.json ...] [--strict]
+ */
 const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('./schema-validator.js');
+const ThemeLinter = require('./theme-linter.js');
 
-const theme = JSON.parse(fs.readFileSync('themes/roswell-trail.json', 'utf8'));
-
-console.log('Theme name:', theme.name);
-console.log('Has events.early:', !!theme.events.early);
-console.log('Has events.middle:', !!theme.events.middle);
-console.log('Has events.late:', !!theme.events.late);
-console.log('Events.early length:', theme.events.early?.length);
-console.log('Events.middle length:', theme.events.middle?.length);
-console.log('Events.late length:', theme.events.late?.length);
-console.log('Professions:', theme.professions?.length);
-console.log('Locations:', theme.locations?.length);
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const themePaths = args.filter(arg => arg !== '--strict');
+
+if (themePaths.length === 0) {
+  console.error('Usage: node validate-theme.js <theme.json> [more...] [--strict]');
+  process.exit(1);
+}
+
+const schemaPath = path.join(__dirname, 'themes', 'theme-schema.json');
+const validator = new SchemaValidator(JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+const linter = new ThemeLinter();
+
+let failed = 0;
+
+themePaths.forEach(themePath => {
+  let theme;
+  try {
+    theme = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+  } catch (error) {
+    console.error(`✗ ${themePath}: ${error.message}`);
+    failed++;
+    return;
+  }
+
+  const errors = validator.validate(theme);
+  if (errors.length > 0) {
+    failed++;
+    console.error(`✗ ${themePath}: ${errors.length} schema problem(s)`);
+    errors.forEach(error => console.error(`  ${error.path || '/'}: ${error.message}`));
+    return;
+  }
+
+  const issues = linter.lint(theme);
+  const lintErrors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+
+  if (lintErrors.length > 0 || (strict && warnings.length > 0)) {
+    failed++;
+    console.error(`✗ ${themePath}: ${lintErrors.length} error(s), ${warnings.length} warning(s)`);
+  } else {
+    console.log(`✓ ${themePath} (${theme.name})${warnings.length ? ` - ${warnings.length} warning(s)` : ''}`);
+  }
+
+  issues.forEach(issue => {
+    const log = issue.severity === 'error' ? console.error : console.log;
+    log(`  ${issue.severity.padEnd(7)} ${issue.path || '/'}: ${issue.message}`);
+  });
+});
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,139 @@
+/**
+ * Score verifier CLI
+ *
+ * Re-plays submitted runs with engine/score-verifier.js against the themes
+ * in themes/ and prints whether each score holds up.
+ *
+ * Files hold one submission or an array of them, either as addScore sends
+ * them ({ themeName, score, replay, ... }) or as high_scores rows
+ * ({ theme_name, score, replay, ... }). Exits non-zero if any is rejected.
+ *
+ * With --supabase, checks every high_scores row that hasn't been verified
+ * yet and marks it verified (with the replayed distance/days/etc.) or
+ * rejected. Needs SUPABASE_URL and SUPABASE_SERVICE_KEY (the service role
+ * key: anonymous clients can't update scores). Run it on a schedule, since
+ * the leaderboard only lists verified scores.
+ *
+ * Usage:
+ *   node verify-score.js submission.json [more.json ...]
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... node verify-score.js --supabase
+ */
+const fs = require('fs');
+const path = require('path');
+const ScoreVerifier = require('./engine/score-verifier.js');
+
+const themesDir = path.join(__dirname, 'themes');
+const themes = fs.readdirSync(themesDir)
+  .filter(file => file.endsWith('.json') && file !== 'theme-schema.json')
+  .map(file => JSON.parse(fs.readFileSync(path.join(themesDir, file), 'utf8')));
+const verifier = new ScoreVerifier(themes);
+
+/**
+ * Accept addScore-style and high_scores-row submissions alike
+ */
+function normalize(entry) {
+  return {
+    themeName: entry.themeName || entry.theme_name,
+    playerName: entry.playerName || entry.player_name,
+    score: entry.score,
+    failed: entry.failed,
+    daily: entry.daily || entry.daily_date || null,
+    replay: typeof entry.replay === 'string' ? JSON.parse(entry.replay) : entry.replay
+  };
+}
+
+function describe(submission) {
+  return `${submission.playerName || 'Anonymous'} - ${submission.themeName} - ${submission.score}`;
+}
+
+function verifyFiles(files) {
+  let rejected = 0;
+
+  files.forEach(file => {
+    let entries;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      entries = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      console.error(`✗ ${file}: ${error.message}`);
+      rejected++;
+      return;
+    }
+
+    entries.forEach(entry => {
+      const submission = normalize(entry);
+      const result = verifier.verify(submission);
+      if (result.valid) {
+        console.log(`✓ ${file}: ${describe(submission)}`);
+      } else {
+        rejected++;
+        console.error(`✗ ${file}: ${describe(submission)}: ${result.reason}`);
+      }
+    });
+  });
+
+  return rejected;
+}
+
+async function verifySupabase() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (!url || !key) {
+    throw new Error('Set SUPABASE_URL and SUPABASE_SERVICE_KEY to verify Supabase scores');
+  }
+
+  const request = async (query, options = {}) => {
+    const response = await fetch(`${url}/rest/v1/high_scores?${query}`, {
+      ...options,
+      headers: { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Supabase request failed: ${response.status} ${await response.text()}`);
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  const rows = await request('verified=is.null&select=*&order=id');
+  let rejected = 0;
+
+  for (const row of rows) {
+    const submission = normalize(row);
+    let result;
+    try {
+      result = verifier.verify(submission);
+    } catch (error) {
+      result = { valid: false, reason: error.message };
+    }
+
+    const update = result.valid
+      ? { verified: true, verify_reason: null, ...result.details }
+      : { verified: false, verify_reason: result.reason };
+    await request(`id=eq.${row.id}`, { method: 'PATCH', body: JSON.stringify(update) });
+
+    if (result.valid) {
+      console.log(`✓ #${row.id}: ${describe(submission)}`);
+    } else {
+      rejected++;
+      console.error(`✗ #${row.id}: ${describe(submission)}: ${result.reason}`);
+    }
+  }
+
+  console.log(`${rows.length} score(s) checked, ${rejected} rejected`);
+  return rejected;
+}
+
+const args = process.argv.slice(2);
+
+if (args.includes('--supabase')) {
+  verifySupabase()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+} else if (args.length === 0) {
+  console.error('Usage: node verify-score.js <submission.json> [more...] | --supabase');
+  process.exit(1);
+} else {
+  process.exit(verifyFiles(args) > 0 ? 1 : 0);
+}